@@ -0,0 +1,70 @@
+/**
+ * Benchmark of the spatial index against the linear scan it replaced, over
+ * a million random points.
+ *
+ * Run from the repository root: node bench/spatialIndex.bench.js [count]
+ */
+
+import { createRequire } from 'node:module';
+import { performance } from 'node:perf_hooks';
+
+const require = createRequire(import.meta.url);
+globalThis.d3 = require('../scripts/d3.v7.js');
+const { createSpatialIndex } = await import('../scripts/spatialIndex.js');
+
+const COUNT = +process.argv[2] || 1_000_000;
+const QUERIES = 1000;
+// Pixels per data unit and hover radius of a typical plot
+const SX = 800;
+const SY = -600;
+const RADIUS = 10;
+
+/**
+ * Finds the nearest point by testing every point, as findNearest did before the index
+ * @param {Float32Array} positions - Interleaved x, y positions in data space
+ * @param {number} x - Query x in data space
+ * @param {number} y - Query y in data space
+ * @returns {number} Index of the nearest point within RADIUS pixels, or -1
+ */
+function linearFind(positions, x, y) {
+    let best = -1;
+    let bestD2 = RADIUS * RADIUS;
+    for (let i = 0; i < positions.length / 2; i++) {
+        const dx = (positions[2 * i] - x) * SX;
+        const dy = (positions[2 * i + 1] - y) * SY;
+        const d2 = dx * dx + dy * dy;
+        if (d2 < bestD2) {
+            bestD2 = d2;
+            best = i;
+        }
+    }
+    return best;
+}
+
+/**
+ * Times a function
+ * @param {Function} run - Function to time
+ * @returns {Array} [milliseconds, result]
+ */
+function time(run) {
+    const start = performance.now();
+    const result = run();
+    return [performance.now() - start, result];
+}
+
+const random = d3.randomLcg(42);
+const positions = new Float32Array(COUNT * 2);
+for (let i = 0; i < positions.length; i++) positions[i] = random();
+const queries = Array.from({ length: QUERIES }, () => [random(), random()]);
+
+const [buildTime, index] = time(() => createSpatialIndex(positions));
+const [indexTime, found] = time(() =>
+    queries.map(([x, y]) => index.find(x, y, { sx: SX, sy: SY, radius: RADIUS })));
+const [linearTime, expected] = time(() => queries.map(([x, y]) => linearFind(positions, x, y)));
+
+const format = d3.format(',.2f');
+console.log(`${d3.format(',')(COUNT)} points, ${QUERIES} queries`);
+console.log(`index build      ${format(buildTime)} ms`);
+console.log(`index query      ${format(indexTime / QUERIES)} ms`);
+console.log(`linear query     ${format(linearTime / QUERIES)} ms`);
+console.log(`same results     ${found.every((i, q) => i === expected[q])}`);
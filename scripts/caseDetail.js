@@ -0,0 +1,113 @@
+/**
+ * Case detail panel: every attribute of a clicked case and, for event logs,
+ * its activity trace drawn as a vertical timeline.
+ *
+ * Values are inserted with `.text()`, never as markup.
+ */
+
+import { findIdColumn } from './quality.js';
+import { caseName, fieldFormatter, formatDuration } from './tooltip.js';
+
+// Height of one event of the timeline, in pixels
+const EVENT_HEIGHT = 34;
+// Horizontal position of the timeline axis
+const AXIS_X = 8;
+
+/**
+ * Empties the detail panel
+ */
+export function clearCaseDetail() {
+    d3.select('#case-detail')
+        .html('')
+        .append('div')
+        .attr('class', 'small text-muted')
+        .text('Click a point to see the case.');
+}
+
+/**
+ * Shows a case in the detail panel
+ * @param {Object} d - Point with its typed `record` and, for event logs, its `trace`
+ * @param {Object} schema - Schema from inferSchema
+ */
+export function renderCaseDetail(d, schema) {
+    const panel = d3.select('#case-detail').html('');
+
+    const header = panel.append('div').attr('class', 'd-flex align-items-center mb-1');
+    header.append('strong')
+        .attr('class', 'flex-grow-1 text-truncate')
+        .text(`Case ${caseName(d, findIdColumn(schema))}`);
+    header.append('button')
+        .attr('type', 'button')
+        .attr('class', 'btn-close btn-sm')
+        .attr('aria-label', 'Close')
+        .on('click', clearCaseDetail);
+
+    // Every attribute, in column order
+    const rows = panel.append('table')
+        .attr('class', 'case-attributes table table-sm small mb-2')
+        .append('tbody')
+        .selectAll('tr')
+        .data(schema.fields)
+        .join('tr');
+    rows.append('th').text(f => f.name);
+    rows.append('td').text(f => fieldFormatter(f)(d.record[f.name]));
+
+    if (d.trace && d.trace.length) renderTimeline(panel, d.trace);
+}
+
+/**
+ * Draws the events of a trace from top to bottom, with the time elapsed
+ * since the previous event
+ * @param {Object} panel - d3 selection of the panel
+ * @param {Array<Object>} events - Events `{ activity, timestamp }` in trace order
+ */
+function renderTimeline(panel, events) {
+    const formatTime = d3.timeFormat('%Y-%m-%d %H:%M');
+
+    panel.append('div')
+        .attr('class', 'small fw-bold')
+        .text(`Trace (${events.length} events)`);
+
+    const svg = panel.append('svg')
+        .attr('class', 'case-timeline')
+        .attr('width', '100%')
+        .attr('height', events.length * EVENT_HEIGHT);
+
+    svg.append('line')
+        .attr('x1', AXIS_X)
+        .attr('x2', AXIS_X)
+        .attr('y1', EVENT_HEIGHT / 2)
+        .attr('y2', (events.length - 0.5) * EVENT_HEIGHT)
+        .attr('stroke', '#bbb');
+
+    const rows = svg.selectAll('g.timeline-event')
+        .data(events)
+        .join('g')
+        .attr('class', 'timeline-event')
+        .attr('transform', (e, i) => `translate(0, ${i * EVENT_HEIGHT})`);
+
+    rows.append('circle')
+        .attr('cx', AXIS_X)
+        .attr('cy', EVENT_HEIGHT / 2)
+        .attr('r', 4)
+        .attr('fill', (e, i) => i === 0 || i === events.length - 1 ? '#377eb8' : '#fff')
+        .attr('stroke', '#377eb8');
+
+    rows.append('text')
+        .attr('x', AXIS_X + 10)
+        .attr('y', EVENT_HEIGHT / 2 - 3)
+        .attr('font-size', '12px')
+        .text(e => e.activity);
+
+    rows.append('text')
+        .attr('x', AXIS_X + 10)
+        .attr('y', EVENT_HEIGHT / 2 + 10)
+        .attr('font-size', '10px')
+        .attr('fill', '#777')
+        .text((e, i) => {
+            if (!e.timestamp) return 'no timestamp';
+            const previous = i > 0 ? events[i - 1].timestamp : null;
+            const gap = previous ? ` (+${formatDuration(e.timestamp - previous)})` : '';
+            return formatTime(e.timestamp) + gap;
+        });
+}
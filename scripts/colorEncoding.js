@@ -0,0 +1,319 @@
+/**
+ * Color encoding: maps any attribute of the points to a color, with the
+ * matching legend (swatches for categories, a gradient bar for numbers).
+ *
+ * An encoding is created from a choice `{ field, scale }`, where `field` is a
+ * column of the point records and `scale` a key of COLOR_SCALES. Categories
+ * take their colors from the palette manager (see palette.js).
+ */
+
+import { categoryColor } from './palette.js';
+import { MAX_CATEGORIES } from './schema.js';
+
+export const COLOR_SCALES = {
+    ordinal: { label: 'Categorical', continuous: false },
+    sequential: { label: 'Sequential', continuous: true },
+    diverging: { label: 'Diverging', continuous: true },
+    log: { label: 'Log', continuous: true },
+    quantile: { label: 'Quantile', continuous: true }
+};
+
+// Color of points without a value, or with a value the scale cannot show
+export const MISSING_COLOR = '#bbbbbb';
+
+// Number of classes of quantile scales
+const QUANTILE_CLASSES = 7;
+
+// Size of the gradient bar of continuous legends
+const GRADIENT_WIDTH = 160;
+const GRADIENT_HEIGHT = 10;
+
+// Makes gradient ids unique when several legends are on the page
+let gradientCount = 0;
+
+/**
+ * Lists the scales that can encode a field. Numbers are offered as categories
+ * only when they take few values; otherwise every point would get its own color.
+ * @param {Object} field - Schema field
+ * @returns {Array<string>} Keys of COLOR_SCALES, the default first
+ */
+export function colorScaleTypes(field) {
+    if (field.type === 'number') {
+        const continuous = ['sequential', 'diverging', 'log', 'quantile'];
+        return field.distinct <= MAX_CATEGORIES ? [...continuous, 'ordinal'] : continuous;
+    }
+    if (field.type === 'date') return ['sequential', 'quantile'];
+    return ['ordinal'];
+}
+
+/**
+ * Lists the fields that can be encoded by color
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {Array<Object>} Schema fields; free text has too many values to color
+ */
+export function colorFields(schema) {
+    return schema.fields.filter(f => f.type !== 'text');
+}
+
+/**
+ * Checks whether a value can be shown by a scale
+ * @param {*} value - Record value
+ * @param {string} type - Key of COLOR_SCALES
+ * @returns {boolean} True if the value gets a color of its own
+ */
+function hasColor(value, type) {
+    if (value === null || value === undefined) return false;
+    if (type === 'log') return +value > 0;
+    return true;
+}
+
+/**
+ * Creates a color encoding over the given points
+ * @param {Array} data - Points with typed records
+ * @param {Object} choice - Encoding choice
+ * @param {string} choice.field - Record column to encode
+ * @param {string} choice.scale - Key of COLOR_SCALES
+ * @param {Function} [choice.value] - Derives the encoded value from a point, in
+ *   place of the `field` column (e.g. named selection membership)
+ * @returns {Object} Encoding `{ field, scale, continuous, color(d), legend }`, where
+ *   `color` returns a CSS color for a point and `legend` describes the legend.
+ *   Categorical encodings also have `category(d)`, the legend entry of a point
+ *   (null when the value is missing).
+ */
+export function createColorEncoding(data, { field, scale: type, value = d => d.record[field] }) {
+    const values = data.map(value).filter(v => hasColor(v, type));
+    const isDate = values.length > 0 && values[0] instanceof Date;
+
+    if (type === 'ordinal') {
+        // The legend lists categories in order of appearance
+        const domain = Array.from(new Set(values.map(String)));
+        const legend = { items: domain.map(v => ({ value: v, color: categoryColor(v) })) };
+
+        return {
+            field,
+            scale: type,
+            continuous: false,
+            color: d => hasColor(value(d), type) ? categoryColor(value(d)) : MISSING_COLOR,
+            category: d => hasColor(value(d), type) ? String(value(d)) : null,
+            legend
+        };
+    }
+
+    const [min, max] = values.length ? d3.extent(values, v => +v) : [0, 1];
+
+    let scale;
+    switch (type) {
+        case 'diverging': {
+            // Diverge around zero when the values have both signs, otherwise around the median
+            const mid = min < 0 && max > 0 ? 0 : d3.median(values, v => +v);
+            scale = d3.scaleDiverging([min, mid, max], t => d3.interpolateRdBu(1 - t));
+            break;
+        }
+        case 'log':
+            scale = d3.scaleSequentialLog([min, max], d3.interpolateViridis);
+            break;
+        case 'quantile':
+            scale = d3.scaleQuantile(values.map(v => +v), d3.quantize(d3.interpolateViridis, QUANTILE_CLASSES));
+            break;
+        default:
+            scale = d3.scaleSequential([min, max], d3.interpolateViridis);
+    }
+
+    return {
+        field,
+        scale: type,
+        continuous: true,
+        color: d => hasColor(value(d), type) ? scale(+value(d)) : MISSING_COLOR,
+        legend: { scale, type, isDate, domain: [min, max] }
+    };
+}
+
+/**
+ * Draws the legend of a color encoding
+ * @param {Object} g - d3 selection of the SVG group holding the legend
+ * @param {Object} encoding - Encoding from createColorEncoding
+ * @param {Object} [options] - Legend options
+ * @param {string} [options.title] - Title shown above the legend
+ * @param {Function} [options.onSwatchClick] - Called with the category whose swatch was clicked
+ * @param {Set} [options.hidden] - Categories shown as hidden
+ * @param {Function} [options.onToggle] - Called with the category whose entry was clicked
+ *   and the click event
+ * @param {Function} [options.onIsolate] - Called with the category whose entry was double-clicked
+ * @param {Function} [options.onHighlight] - Called with the hovered category, then null when left
+ */
+export function renderColorLegend(g, encoding, {
+    title,
+    onSwatchClick,
+    hidden = new Set(),
+    onToggle,
+    onIsolate,
+    onHighlight
+} = {}) {
+    g.selectAll('*').remove();
+
+    let top = 0;
+    if (title) {
+        g.append('text')
+            .attr('class', 'legend-title')
+            .attr('y', 10)
+            .attr('font-size', '12px')
+            .attr('font-weight', 'bold')
+            .text(title);
+        top = 18;
+    }
+
+    const body = g.append('g').attr('transform', `translate(0, ${top})`);
+    if (encoding.continuous) {
+        renderGradient(body, encoding.legend);
+        return;
+    }
+
+    encoding.legend.items.forEach(({ value, color }, i) => {
+        const row = body.append('g')
+            .attr('transform', `translate(0, ${i * 20})`)
+            .attr('class', 'legend-item')
+            .classed('legend-hidden', hidden.has(value))
+            .style('cursor', onToggle ? 'pointer' : null);
+
+        if (onToggle) row.on('click', event => onToggle(value, event));
+        if (onIsolate) row.on('dblclick', () => onIsolate(value));
+        if (onHighlight) {
+            row
+                .on('mouseenter', () => onHighlight(value))
+                .on('mouseleave', () => onHighlight(null));
+        }
+
+        // Legend color box
+        const swatch = row.append('rect')
+            .attr('width', 12)
+            .attr('height', 12)
+            .attr('rx', 2)
+            .attr('ry', 2)
+            .attr('fill', color);
+
+        if (onSwatchClick) {
+            swatch.on('click', event => {
+                // The swatch edits the color; the rest of the entry toggles the category
+                event.stopPropagation();
+                onSwatchClick(value);
+            });
+            swatch.append('title').text('Click to change the color');
+        }
+
+        // Legend text
+        row.append('text')
+            .attr('x', 16)
+            .attr('y', 10)
+            .attr('font-size', '12px')
+            .attr('alignment-baseline', 'middle')
+            .text(value);
+    });
+}
+
+/**
+ * Draws a gradient bar with tick labels for a continuous scale
+ * @param {Object} g - d3 selection to draw into
+ * @param {Object} legend - Legend description from createColorEncoding
+ */
+function renderGradient(g, { scale, type, isDate, domain }) {
+    const axisScale = (isDate ? d3.scaleTime() : type === 'log' ? d3.scaleLog() : d3.scaleLinear())
+        .domain(isDate ? domain.map(v => new Date(v)) : domain)
+        .range([0, GRADIENT_WIDTH]);
+
+    if (type === 'quantile') {
+        // One block per class, with the class boundaries as ticks
+        const colors = scale.range();
+        const blockWidth = GRADIENT_WIDTH / colors.length;
+        g.selectAll('rect.legend-block')
+            .data(colors)
+            .join('rect')
+            .attr('class', 'legend-block')
+            .attr('x', (c, i) => i * blockWidth)
+            .attr('width', blockWidth)
+            .attr('height', GRADIENT_HEIGHT)
+            .attr('fill', c => c);
+
+        const thresholds = scale.quantiles();
+        const format = isDate ? d3.timeFormat('%Y-%m-%d') : d3.format('~s');
+        g.append('g')
+            .attr('transform', `translate(0, ${GRADIENT_HEIGHT})`)
+            .call(d3.axisBottom(d3.scalePoint(thresholds.map((t, i) => i), [blockWidth, GRADIENT_WIDTH - blockWidth]))
+                .tickFormat(i => format(isDate ? new Date(thresholds[i]) : thresholds[i])))
+            .attr('font-size', '10px');
+        return;
+    }
+
+    const id = `color-gradient-${++gradientCount}`;
+    g.append('defs')
+        .append('linearGradient')
+        .attr('id', id)
+        .selectAll('stop')
+        .data(d3.range(0, 1.0001, 0.1))
+        .join('stop')
+        .attr('offset', t => `${t * 100}%`)
+        .attr('stop-color', t => scale(+axisScale.invert(t * GRADIENT_WIDTH)));
+
+    g.append('rect')
+        .attr('width', GRADIENT_WIDTH)
+        .attr('height', GRADIENT_HEIGHT)
+        .attr('fill', `url(#${id})`);
+
+    g.append('g')
+        .attr('transform', `translate(0, ${GRADIENT_HEIGHT})`)
+        .call(d3.axisBottom(axisScale).ticks(4, isDate ? undefined : '~s'))
+        .attr('font-size', '10px');
+}
+
+/**
+ * Wires the color controls
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with the choice `{ field, scale }`
+ * @returns {Object} `{ update(schema, choice) }` to refresh the lists for a dataset
+ */
+export function initColorControls({ onChange }) {
+    const fieldSelect = d3.select('#color-field');
+    const scaleSelect = d3.select('#color-scale');
+    let schema = null;
+
+    /**
+     * Lists the scales of the selected field
+     * @param {string} selected - Scale to select, if available
+     */
+    function renderScales(selected) {
+        const field = schema.field(fieldSelect.property('value'));
+        const types = field ? colorScaleTypes(field) : [];
+        scaleSelect.selectAll('option')
+            .data(types)
+            .join('option')
+            .attr('value', t => t)
+            .text(t => COLOR_SCALES[t].label);
+        scaleSelect
+            .property('disabled', types.length < 2)
+            .property('value', types.includes(selected) ? selected : types[0]);
+    }
+
+    fieldSelect.on('change', () => {
+        renderScales();
+        onChange({ field: fieldSelect.property('value'), scale: scaleSelect.property('value') });
+    });
+
+    scaleSelect.on('change', () => {
+        onChange({ field: fieldSelect.property('value'), scale: scaleSelect.property('value') });
+    });
+
+    return {
+        update(nextSchema, choice) {
+            schema = nextSchema;
+            const fields = schema ? colorFields(schema) : [];
+            fieldSelect.selectAll('option')
+                .data(fields)
+                .join('option')
+                .attr('value', f => f.name)
+                .text(f => f.name);
+            fieldSelect
+                .property('disabled', fields.length === 0)
+                .property('value', choice ? choice.field : null);
+            if (schema) renderScales(choice && choice.scale);
+        }
+    };
+}
@@ -0,0 +1,328 @@
+/**
+ * Column mapping step: decides which CSV columns hold the embedding
+ * coordinates and the category shown by color.
+ *
+ * A mapping has the shape `{ x, y, outcome }`, each value being a column name.
+ * The dialog also serves other mapping steps (e.g. event logs) through the
+ * `fields` option. Confirmed mappings are remembered per dataset in localStorage.
+ */
+
+const STORAGE_PREFIX = 'columnMapping:';
+
+/**
+ * Fields of the default mapping step; numeric fields only accept numeric columns
+ */
+export const COORDINATE_FIELDS = [
+    { key: 'x', label: 'X coordinate', numeric: true },
+    { key: 'y', label: 'Y coordinate', numeric: true },
+    { key: 'outcome', label: 'Category' }
+];
+
+// Number of rows inspected when guessing column roles
+const SAMPLE_SIZE = 500;
+
+// Known embedding names, most preferred first
+const EMBEDDING_PREFIXES = ['umap', 'tsne', 't-sne', 'pca', 'mds', 'pc', 'emb', 'dim'];
+
+// Column names that usually hold the label of a case
+const CATEGORY_PATTERN = /outcome|label|class|state|status|category|result|group|cluster/i;
+
+// Largest number of distinct values a column may have to count as categorical
+const MAX_CATEGORIES = 30;
+
+/**
+ * Splits a column name into an embedding prefix, an axis (0 or 1) and the
+ * suffix it was read from, e.g. 'umap-1' → ['umap', 0, '1'],
+ * 'tsne_y' → ['tsne', 1, 'y'], 'pca2' → ['pca', 1, '2']
+ * @param {string} name - Column name
+ * @returns {Array|null} [prefix, axis, suffix] or null if the name has no axis suffix
+ */
+function splitAxis(name) {
+    const match = /^(.*?)[\s_.-]?(x|y|1|2)$/i.exec(name.trim());
+    if (!match) return null;
+
+    const suffix = match[2].toLowerCase();
+    const axis = suffix === 'x' || suffix === '1' ? 0 : 1;
+    return [match[1].toLowerCase(), axis, suffix];
+}
+
+/**
+ * Describes every column of a sample: numeric or not and its distinct values
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Raw rows
+ * @returns {Array<Object>} Per-column profile
+ */
+export function profileColumns(columns, rows) {
+    const sample = rows.slice(0, SAMPLE_SIZE);
+
+    return columns.map(name => {
+        let filled = 0;
+        let numeric = 0;
+        const distinct = new Set();
+
+        sample.forEach(row => {
+            const value = row[name];
+            if (value === undefined || value === null || value === '') return;
+            filled++;
+            if (Number.isFinite(+value)) numeric++;
+            if (distinct.size <= MAX_CATEGORIES) distinct.add(String(value));
+        });
+
+        return {
+            name,
+            isNumeric: filled > 0 && numeric / filled >= 0.95,
+            distinctCount: distinct.size,
+            isCategorical: distinct.size >= 2 && distinct.size <= MAX_CATEGORIES
+        };
+    });
+}
+
+/**
+ * Finds the coordinate pairs among numeric columns: columns that share a
+ * prefix and differ only by axis suffix, e.g. 'umap-1'/'umap-2' or 'pca_x'/'pca_y'
+ * @param {Array<string>} numeric - Names of the numeric columns
+ * @returns {Array<Object>} Pairs `{ x, y, prefix }`, best known embeddings first
+ */
+export function findCoordinatePairs(numeric) {
+    const pairs = [];
+    numeric.forEach(first => {
+        const a = splitAxis(first);
+        if (!a || a[1] !== 0) return;
+
+        const second = numeric.find(name => {
+            const b = splitAxis(name);
+            return b && b[0] === a[0] && b[1] === 1 && name !== first &&
+                // Pair x with y and digits with the next digit
+                (a[2] === 'x') === (b[2] === 'y');
+        });
+        if (second) pairs.push({ x: first, y: second, prefix: a[0] });
+    });
+
+    const rank = prefix => {
+        const i = EMBEDDING_PREFIXES.findIndex(p => prefix.includes(p));
+        return i === -1 ? EMBEDDING_PREFIXES.length : i;
+    };
+    return pairs.sort((a, b) => rank(a.prefix) - rank(b.prefix));
+}
+
+/**
+ * Guesses the coordinate pair and category column from the header and a sample
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} rows - Raw rows
+ * @returns {Object} Mapping `{ x, y, outcome }` (entries may be undefined)
+ */
+export function guessColumnMapping(columns, rows) {
+    const profiles = profileColumns(columns, rows);
+    const numeric = profiles.filter(p => p.isNumeric).map(p => p.name);
+    const pairs = findCoordinatePairs(numeric);
+
+    const pair = pairs[0] || { x: numeric[0], y: numeric[1] };
+
+    // Prefer well-named categorical columns, then any low-cardinality text column
+    const categorical = profiles.filter(p => p.isCategorical && p.name !== pair.x && p.name !== pair.y);
+    const category = categorical.find(p => CATEGORY_PATTERN.test(p.name)) ||
+        categorical.find(p => !p.isNumeric) ||
+        categorical[0];
+
+    return {
+        x: pair.x,
+        y: pair.y,
+        outcome: category ? category.name : undefined
+    };
+}
+
+/**
+ * Checks that every field of a mapping names an existing column
+ * @param {Object} mapping - Column name per field key
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Object>} [fields] - Fields to check, COORDINATE_FIELDS by default
+ * @returns {boolean} True if the mapping is complete and valid
+ */
+export function isValidMapping(mapping, columns, fields = COORDINATE_FIELDS) {
+    return Boolean(mapping) &&
+        fields.every(({ key }) => columns.includes(mapping[key]));
+}
+
+/**
+ * Reads the mapping remembered for a dataset
+ * @param {string} key - Dataset key
+ * @returns {Object|null} Saved mapping, if any
+ */
+export function loadSavedMapping(key) {
+    try {
+        return JSON.parse(window.localStorage.getItem(STORAGE_PREFIX + key));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remembers the mapping of a dataset
+ * @param {string} key - Dataset key
+ * @param {Object} mapping - Mapping `{ x, y, outcome }`
+ */
+export function saveMapping(key, mapping) {
+    try {
+        window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(mapping));
+    } catch (error) {
+        console.warn('Could not save column mapping:', error);
+    }
+}
+
+/**
+ * Shows the column mapping dialog and waits for the user to confirm
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Dataset name shown in the dialog
+ * @param {Array<string>} options.columns - Column names
+ * @param {Array<Object>} options.rows - Raw rows, used for the preview
+ * @param {Object} options.initial - Preselected mapping
+ * @param {Array<Object>} [options.fields] - Fields to map, COORDINATE_FIELDS by default
+ * @returns {Promise<Object>} The confirmed mapping and whether to remember it; rejects
+ *   with an AbortError if the dialog is closed without applying
+ */
+export function promptColumnMapping({ title, columns, rows, initial, fields = COORDINATE_FIELDS }) {
+    const modalEl = document.getElementById('column-mapping-modal');
+    const modal = bootstrap.Modal.getOrCreateInstance(modalEl);
+    const dialog = d3.select(modalEl);
+    const profiles = profileColumns(columns, rows);
+
+    dialog.select('.mapping-dataset').text(title);
+
+    // One select per field; numeric fields only offer numeric columns
+    const groups = dialog.select('.mapping-fields')
+        .selectAll('.mapping-field')
+        .data(fields, f => f.key)
+        .join(enter => {
+            const group = enter.append('div').attr('class', 'col mapping-field');
+            group.append('label').attr('class', 'form-label');
+            group.append('select').attr('class', 'form-select form-select-sm');
+            return group;
+        });
+
+    groups.select('label')
+        .attr('for', f => `mapping-${f.key}`)
+        .text(f => f.label);
+
+    groups.select('select')
+        .attr('id', f => `mapping-${f.key}`)
+        .attr('name', f => f.key)
+        .on('change.preview', updatePreview)
+        .each(function (field) {
+            d3.select(this).selectAll('option')
+                .data(field.numeric ? profiles.filter(p => p.isNumeric) : profiles, p => p.name)
+                .join('option')
+                .attr('value', p => p.name)
+                .text(p => p.isCategorical && !field.numeric
+                    ? `${p.name} (${p.distinctCount} values)`
+                    : p.name);
+            this.value = initial[field.key] || '';
+        });
+
+    dialog.select('.mapping-preview thead tr')
+        .selectAll('th')
+        .data(fields)
+        .join('th')
+        .text(f => f.label);
+
+    /**
+     * Shows the first few values of the selected columns
+     */
+    function updatePreview() {
+        const mapping = readSelection();
+        const preview = rows.slice(0, 3).map(row =>
+            fields.map(({ key }) => row[mapping[key]] ?? '')
+        );
+
+        dialog.select('.mapping-preview tbody')
+            .selectAll('tr')
+            .data(preview)
+            .join('tr')
+            .selectAll('td')
+            .data(d => d)
+            .join('td')
+            .text(d => d);
+
+        dialog.select('.mapping-apply')
+            .property('disabled', !isValidMapping(mapping, columns, fields));
+    }
+
+    /**
+     * Reads the current value of every select
+     * @returns {Object} Column name per field key
+     */
+    function readSelection() {
+        return Object.fromEntries(fields.map(({ key }) =>
+            [key, dialog.select(`select[name="${key}"]`).property('value')]
+        ));
+    }
+
+    updatePreview();
+
+    // Settle only once the dialog is fully hidden, so that another mapping
+    // step can open it again right away
+    return new Promise((resolve, reject) => {
+        let result = null;
+
+        dialog.select('.mapping-apply').on('click', () => {
+            result = {
+                mapping: readSelection(),
+                remember: dialog.select('.mapping-remember').property('checked')
+            };
+            modal.hide();
+        });
+
+        modalEl.addEventListener('hidden.bs.modal', () => {
+            dialog.select('.mapping-apply').on('click', null);
+            if (result) resolve(result);
+            else reject(new DOMException('Column mapping was cancelled', 'AbortError'));
+        }, { once: true });
+
+        modal.show();
+    });
+}
+
+/**
+ * Decides the column mapping of a dataset. A remembered mapping wins, then the
+ * mapping declared by the source; if neither fits the header (or `prompt` is
+ * set), the user confirms a guessed mapping in the dialog.
+ * @param {Object} options - Resolution options
+ * @param {string} options.key - Dataset key used to remember the mapping
+ * @param {string} options.title - Dataset name shown in the dialog
+ * @param {Object} options.declared - Mapping declared by the data source
+ * @param {Array<string>} options.columns - Column names
+ * @param {Array<Object>} options.rows - Raw rows
+ * @param {boolean} [options.prompt=false] - Always show the dialog
+ * @param {Array<Object>} [options.fields] - Fields to map, COORDINATE_FIELDS by default
+ * @param {Function} [options.guess] - `(columns, rows)` → initial mapping, guessColumnMapping by default
+ * @returns {Promise<Object>} Column name per field key, e.g. `{ x, y, outcome }`
+ */
+export async function resolveColumnMapping({
+    key,
+    title,
+    declared,
+    columns,
+    rows,
+    prompt = false,
+    fields = COORDINATE_FIELDS,
+    guess = guessColumnMapping
+}) {
+    const saved = loadSavedMapping(key);
+    const valid = mapping => isValidMapping(mapping, columns, fields);
+
+    if (!prompt) {
+        if (valid(saved)) return saved;
+        if (valid(declared)) return declared;
+    }
+
+    const required = fields.filter(f => f.numeric).length;
+    const numeric = profileColumns(columns, rows).filter(p => p.isNumeric);
+    if (numeric.length < required) {
+        throw new Error(`Need ${required} numeric columns, found ${numeric.length}`);
+    }
+
+    const initial = [saved, declared].find(valid) || guess(columns, rows);
+
+    const { mapping, remember } = await promptColumnMapping({ title, columns, rows, initial, fields });
+    if (remember) saveMapping(key, mapping);
+    return mapping;
+}
@@ -0,0 +1,152 @@
+/**
+ * Main-thread side of the streaming CSV parser (see csvWorker.js).
+ *
+ * The worker keeps every column in typed arrays. Records over these columns
+ * are small objects whose properties are getters shared by all records, so
+ * that `record[column]` reads like the records of typeRecord without a
+ * million objects full of values.
+ */
+
+import { inferSchema, parseValue } from './schema.js';
+
+// Property holding the row of a columnar record
+const ROW = Symbol('row');
+
+/**
+ * Parses a CSV file in a Web Worker
+ * @param {Object} options - Parse options
+ * @param {string} [options.url] - Location of the file (resolved against the page)
+ * @param {File} [options.file] - File to read instead of a URL
+ * @param {Function} options.colorOf - Returns the CSS color of an outcome category
+ * @param {number} options.opacity - Point opacity
+ * @param {Function} options.onHeader - Async callback `(columns, sampleRows)` resolving to the column mapping
+ * @param {Function} [options.onProgress] - Called with `{ loaded, total, rows }`
+ * @param {AbortSignal} [options.signal] - Stops the worker, and with it the fetch
+ * @returns {Promise<Object>} Typed arrays `positions`, `colors`, `categoryIndex` and
+ *   `rowIndex`, plus `categories`, `mapping`, `columns`, `types`, `sample`, `invalid`
+ *   rows (raw `values` per row) and `record(i)`, the typed record of buffer row i.
+ *   Rejects with an AbortError when the signal aborts.
+ */
+export function streamCsv({ url, file, colorOf, opacity, onHeader, onProgress, signal }) {
+    const worker = new Worker(new URL('./csvWorker.js', import.meta.url));
+
+    return new Promise((resolve, reject) => {
+        const fail = error => {
+            worker.terminate();
+            reject(error);
+        };
+
+        if (signal) {
+            const abort = () => fail(new DOMException('CSV parsing was cancelled', 'AbortError'));
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            signal.addEventListener('abort', abort, { once: true });
+        }
+
+        worker.onmessage = async event => {
+            const message = event.data;
+
+            switch (message.type) {
+                case 'header':
+                    try {
+                        const sample = toObjects(message.columns, message.sample);
+                        const mapping = await onHeader(message.columns, sample);
+                        // The worker stores every column after the types of the sample
+                        const types = inferSchema(sample, message.columns).fields.map(f => f.type);
+                        worker.postMessage({ type: 'mapping', mapping, types });
+                    } catch (error) {
+                        fail(error);
+                    }
+                    break;
+                case 'progress':
+                    if (onProgress) onProgress(message);
+                    break;
+                case 'categories':
+                    try {
+                        worker.postMessage({ type: 'palette', colors: message.categories.map(colorOf) });
+                    } catch (error) {
+                        fail(error);
+                    }
+                    break;
+                case 'done':
+                    worker.terminate();
+                    resolve({
+                        ...message,
+                        sample: toObjects(message.columns, message.sample),
+                        record: columnRecords(message.columns, message.store, message.types)
+                    });
+                    break;
+                case 'error':
+                    fail(new Error(message.message));
+                    break;
+            }
+        };
+
+        worker.onerror = event => {
+            event.preventDefault();
+            fail(new Error(event.message || 'CSV worker failed'));
+        };
+
+        worker.postMessage({
+            type: 'parse',
+            // The worker resolves relative URLs against its own location
+            url: url && new URL(url, document.baseURI).href,
+            file,
+            opacity
+        });
+    });
+}
+
+/**
+ * Turns parsed CSV records into objects keyed by column name, like d3.csvParse
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array<string>>} records - Parsed records
+ * @returns {Array<Object>} Rows with a `columns` property
+ */
+function toObjects(columns, records) {
+    const rows = records.map(values =>
+        Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+    );
+    rows.columns = columns;
+    return rows;
+}
+
+/**
+ * Creates records reading their values from the columnar store of the worker
+ * @param {Array<string>} columns - Column names, in the order of `store`
+ * @param {Array<Object>} store - Columns from the worker
+ * @param {Array<string>} types - Schema type of every column
+ * @returns {Function} Returns the typed record of a buffer row; missing values are null
+ */
+export function columnRecords(columns, store, types) {
+    const prototype = {};
+
+    columns.forEach((name, j) => {
+        const { kind, values, dictionary } = store[j];
+        let get;
+        if (kind === 'number') {
+            get = types[j] === 'date'
+                ? row => Number.isNaN(values[row]) ? null : new Date(values[row])
+                : row => Number.isNaN(values[row]) ? null : values[row];
+        } else {
+            // Each distinct value is typed once
+            const typed = dictionary.map(v => parseValue(v, types[j]));
+            get = row => typed[values[row]];
+        }
+
+        Object.defineProperty(prototype, name, {
+            enumerable: true,
+            get() {
+                return get(this[ROW]);
+            },
+            // Assigning a value (e.g. a projected coordinate) overrides the column for this record
+            set(value) {
+                Object.defineProperty(this, name, { value, writable: true, enumerable: true, configurable: true });
+            }
+        });
+    });
+
+    return row => Object.create(prototype, { [ROW]: { value: row } });
+}
@@ -0,0 +1,376 @@
+/**
+ * Web Worker that streams a CSV file and builds the GPU buffers of the
+ * scatter plot off the main thread.
+ *
+ * Protocol (messages are objects with a `type`):
+ *   main → worker  parse      { url | file, opacity }
+ *   worker → main  header     { columns, sample }        waits for 'mapping'
+ *   main → worker  mapping    { mapping: { x, y, outcome }, types }
+ *   worker → main  progress   { loaded, total, rows }
+ *   worker → main  categories { categories }             waits for 'palette'
+ *   main → worker  palette    { colors }                 one CSS color per category
+ *   worker → main  done       { positions, colors, categoryIndex, rowIndex, store, types, ... }
+ *
+ * Colors come from the palette of the main thread once every category is
+ * known, and the worker fills the color buffer with them.
+ *   worker → main  error    { message }
+ *
+ * Besides the buffers, every column of the file is kept in `store`, one entry
+ * per column in header order, stored after the type the main thread inferred
+ * from the sample (`types`):
+ *   - numbers and dates: `{ kind: 'number', values }`, a Float64Array of the
+ *     numbers or epoch milliseconds, NaN when missing or invalid
+ *   - other columns: `{ kind: 'dictionary', values, dictionary }`, codes into
+ *     the distinct raw strings, in the smallest unsigned integer array that
+ *     holds them
+ * A number or date column meeting a value of another kind after the sample is
+ * widened to a text dictionary, its earlier values written back as strings;
+ * `types` in 'done' gives the type every column ended up with.
+ * Rows of `store` follow the buffer order; rows that cannot be placed keep
+ * their raw `values` in `invalid`.
+ */
+importScripts('./d3.v7.js');
+
+// Rows sent to the main thread to guess and confirm the column mapping
+const SAMPLE_SIZE = 500;
+
+// Initial number of points the buffers are sized for
+const INITIAL_CAPACITY = 1 << 16;
+
+let resolveMapping = null;
+let resolvePalette = null;
+
+self.onmessage = event => {
+    const message = event.data;
+
+    if (message.type === 'parse') {
+        parse(message).catch(error => {
+            self.postMessage({ type: 'error', message: error.message });
+        });
+    } else if (message.type === 'mapping' && resolveMapping) {
+        resolveMapping(message);
+        resolveMapping = null;
+    } else if (message.type === 'palette' && resolvePalette) {
+        resolvePalette(message);
+        resolvePalette = null;
+    }
+};
+
+/**
+ * Returns the length of the leading part of `text` that ends with a complete
+ * CSV record, i.e. up to the last line break outside of quotes
+ * @param {string} text - Unparsed text starting at a record boundary
+ * @returns {number} Number of characters that can be parsed
+ */
+function completeLength(text) {
+    let inQuote = false;
+    let last = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text.charCodeAt(i);
+        if (c === 34) inQuote = !inQuote; // "
+        else if (c === 10 && !inQuote) last = i + 1; // \n
+    }
+    return last;
+}
+
+/**
+ * Copies codes into the smallest unsigned integer array that holds them
+ * @param {Uint32Array} codes - Codes below `count`
+ * @param {number} count - Number of distinct codes
+ * @returns {Uint8Array|Uint16Array|Uint32Array} Narrowed copy
+ */
+function narrowCodes(codes, count) {
+    if (count <= 1 << 8) return new Uint8Array(codes);
+    if (count <= 1 << 16) return new Uint16Array(codes);
+    return codes.slice();
+}
+
+/**
+ * Checks whether a raw CSV value is empty
+ * @param {string} [raw] - Raw CSV value
+ * @returns {boolean} True for missing and blank values
+ */
+function isBlank(raw) {
+    return raw === undefined || raw.trim() === '';
+}
+
+/**
+ * Converts a raw value of a number or date column
+ * @param {string} [raw] - Raw CSV value
+ * @param {string} type - 'number' or 'date'
+ * @returns {number} The number, or epoch milliseconds, NaN if missing or invalid
+ */
+function toNumber(raw, type) {
+    if (isBlank(raw)) return NaN;
+    const n = type === 'date' ? new Date(raw.trim()).getTime() : +raw;
+    return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Converts a stored number or date back to a raw value
+ * @param {number} n - Number or epoch milliseconds, NaN if missing
+ * @param {string} type - 'number' or 'date'
+ * @returns {string} Raw value, empty if missing
+ */
+function fromNumber(n, type) {
+    if (Number.isNaN(n)) return '';
+    return type === 'date' ? new Date(n).toISOString() : String(n);
+}
+
+/**
+ * Returns the code of a raw value in a dictionary column, adding it if new
+ * @param {Object} column - Dictionary column
+ * @param {string} raw - Raw CSV value
+ * @returns {number} Code of the value
+ */
+function codeOf(column, raw) {
+    let code = column.codes.get(raw);
+    if (code === undefined) {
+        code = column.dictionary.length;
+        column.dictionary.push(raw);
+        column.codes.set(raw, code);
+    }
+    return code;
+}
+
+/**
+ * Creates growable typed arrays for the point buffers and the columns
+ * @param {Array<string>} types - Schema type of every column, in header order
+ * @returns {Object} Table with `append(x, y, category, row, values)` and
+ *   `trim(palette)`, which colors every point after its category
+ */
+function createTable(types) {
+    let capacity = INITIAL_CAPACITY;
+    let length = 0;
+    let positions = new Float32Array(capacity * 2);
+    let categoryIndex = new Uint32Array(capacity);
+    let rowIndex = new Uint32Array(capacity);
+    const columns = types.map(type => type === 'number' || type === 'date'
+        ? { kind: 'number', type, values: new Float64Array(capacity) }
+        : { kind: 'dictionary', type, values: new Uint32Array(capacity), dictionary: [], codes: new Map() });
+
+    /**
+     * Turns a number or date column into a text dictionary, keeping the rows stored so far
+     * @param {Object} column - Number column
+     */
+    function widen(column) {
+        const numbers = column.values;
+        const type = column.type;
+        Object.assign(column, {
+            kind: 'dictionary',
+            type: 'text',
+            values: new Uint32Array(capacity),
+            dictionary: [],
+            codes: new Map()
+        });
+        for (let i = 0; i < length; i++) {
+            column.values[i] = codeOf(column, fromNumber(numbers[i], type));
+        }
+    }
+
+    /**
+     * Doubles the capacity of all arrays
+     */
+    function grow() {
+        capacity *= 2;
+        const grown = (array, size) => {
+            const next = new array.constructor(capacity * size);
+            next.set(array);
+            return next;
+        };
+        positions = grown(positions, 2);
+        categoryIndex = grown(categoryIndex, 1);
+        rowIndex = grown(rowIndex, 1);
+        columns.forEach(column => {
+            column.values = grown(column.values, 1);
+        });
+    }
+
+    return {
+        get length() {
+            return length;
+        },
+        append(x, y, category, row, values) {
+            if (length === capacity) grow();
+            positions[2 * length] = x;
+            positions[2 * length + 1] = y;
+            categoryIndex[length] = category;
+            rowIndex[length] = row;
+            columns.forEach((column, j) => {
+                if (column.kind === 'number') {
+                    const n = toNumber(values[j], column.type);
+                    if (!Number.isNaN(n) || isBlank(values[j])) {
+                        column.values[length] = n;
+                        return;
+                    }
+                    // The sample did not show every kind of value of this column
+                    widen(column);
+                }
+                column.values[length] = codeOf(column, values[j] === undefined ? '' : values[j]);
+            });
+            length++;
+        },
+        trim(palette) {
+            const colors = new Float32Array(length * 4);
+            for (let i = 0; i < length; i++) {
+                colors.set(palette[categoryIndex[i]], 4 * i);
+            }
+            return {
+                types: columns.map(column => column.type),
+                positions: positions.slice(0, length * 2),
+                colors,
+                categoryIndex: narrowCodes(categoryIndex.subarray(0, length), palette.length),
+                rowIndex: rowIndex.slice(0, length),
+                store: columns.map(({ kind, values, dictionary }) => kind === 'number'
+                    ? { kind, values: values.slice(0, length) }
+                    : { kind, values: narrowCodes(values.subarray(0, length), dictionary.length), dictionary })
+            };
+        }
+    };
+}
+
+/**
+ * Streams and parses a CSV file
+ * @param {Object} options - Parse request
+ * @param {string} [options.url] - Absolute URL to fetch
+ * @param {File} [options.file] - File to read
+ * @param {number} options.opacity - Point opacity
+ */
+async function parse({ url, file, opacity }) {
+    let stream;
+    let total;
+    if (file) {
+        stream = file.stream();
+        total = file.size;
+    } else {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+        }
+        stream = response.body;
+        total = +response.headers.get('Content-Length') || 0;
+    }
+
+    let table = null;
+    const categories = [];
+    const categoryIds = new Map();
+    const invalid = [];
+    const sample = [];
+    let columns = null;
+    let mapping = null;
+    let xi, yi, oi;
+    let pending = [];
+    let row = 0;
+
+    /**
+     * Appends parsed records to the table
+     * @param {Array<Array<string>>} records - Parsed CSV records
+     */
+    function append(records) {
+        records.forEach(values => {
+            if (values.length === 1 && values[0] === '') return; // Blank line
+
+            const x = +values[xi];
+            const y = +values[yi];
+            const outcome = values[oi];
+
+            if (values[xi] === '' || values[yi] === '' || !Number.isFinite(x) || !Number.isFinite(y)) {
+                invalid.push({ row, values });
+            } else {
+                let id = categoryIds.get(outcome);
+                if (id === undefined) {
+                    id = categories.length;
+                    categories.push(outcome);
+                    categoryIds.set(outcome, id);
+                }
+                table.append(x, y, id, row, values);
+            }
+            row++;
+        });
+    }
+
+    /**
+     * Sends the header and a sample, then waits for the column mapping
+     */
+    async function requestMapping() {
+        self.postMessage({ type: 'header', columns, sample });
+        const reply = await new Promise(resolve => {
+            resolveMapping = resolve;
+        });
+        mapping = reply.mapping;
+        table = createTable(reply.types);
+        xi = columns.indexOf(mapping.x);
+        yi = columns.indexOf(mapping.y);
+        oi = columns.indexOf(mapping.outcome);
+    }
+
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    let carry = '';
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (value) {
+            loaded += value.length;
+            carry += decoder.decode(value, { stream: true });
+        }
+        if (done) carry += decoder.decode();
+
+        const cut = done ? carry.length : completeLength(carry);
+        if (cut > 0 || done) {
+            const records = cut > 0 ? d3.csvParseRows(carry.slice(0, cut)) : [];
+            carry = carry.slice(cut);
+
+            if (!columns) columns = records.shift() || null;
+
+            if (columns && mapping) {
+                append(records);
+            } else if (columns) {
+                // Hold records back until the sample is large enough to map columns
+                pending = pending.concat(records);
+                for (let i = sample.length; i < Math.min(pending.length, SAMPLE_SIZE); i++) {
+                    sample.push(pending[i]);
+                }
+                if (sample.length >= SAMPLE_SIZE || done) {
+                    await requestMapping();
+                    append(pending);
+                    pending = null;
+                }
+            }
+        }
+
+        self.postMessage({ type: 'progress', loaded, total, rows: row });
+        if (done) break;
+    }
+
+    if (!columns) {
+        throw new Error('CSV parsing resulted in empty dataset');
+    }
+
+    self.postMessage({ type: 'categories', categories });
+    const { colors } = await new Promise(resolve => {
+        resolvePalette = resolve;
+    });
+    const palette = colors.map(c => {
+        const { r, g, b } = d3.color(c);
+        return [r / 255, g / 255, b / 255, opacity];
+    });
+
+    const buffers = table.trim(palette);
+    self.postMessage({
+        type: 'done',
+        columns,
+        mapping,
+        sample,
+        categories,
+        invalid,
+        ...buffers
+    }, [
+        buffers.positions.buffer,
+        buffers.colors.buffer,
+        buffers.categoryIndex.buffer,
+        buffers.rowIndex.buffer,
+        ...buffers.store.map(column => column.values.buffer)
+    ]);
+}
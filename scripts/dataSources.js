@@ -0,0 +1,240 @@
+/**
+ * Registry of data sources the visualization can load from.
+ *
+ * Every source declares where its rows come from and how its columns map onto
+ * the fields the scatter plot uses (x, y and outcome). Files and URLs hold one
+ * of the following formats, given by `format` or guessed from the name:
+ *   - csv:    one row per point (the default)
+ *   - xes:    an XES event log (names ending in .xes)
+ *   - events: a CSV event log with one row per event
+ * Supported types:
+ *   - url:   fetches a CSV file from a fixed URL
+ *   - query: fetches a CSV file whose URL is given by a query parameter
+ *   - file:  reads a CSV file picked or dropped by the user
+ *   - array: uses rows already in memory (objects keyed by column name)
+ */
+
+import { KNOWN_CATEGORIES } from './palette.js';
+
+/**
+ * Column mapping of the preprocessed event-log exports
+ */
+export const DEFAULT_COLUMNS = {
+    x: 'umap-1',
+    y: 'umap-2',
+    outcome: 'outcome'
+};
+
+const SOURCE_TYPES = ['url', 'query', 'file', 'array'];
+
+// Picked files larger than this are parsed by the streaming worker
+const STREAM_THRESHOLD_BYTES = 20 * 1024 * 1024;
+
+const sources = new Map();
+
+/**
+ * Registers (or replaces) a data source
+ * @param {Object} source - Source definition
+ * @param {string} source.id - Unique identifier
+ * @param {string} source.type - One of 'url', 'query', 'file' or 'array'
+ * @param {string} [source.label] - Name shown in the dataset selector
+ * @param {string} [source.url] - CSV location (type 'url')
+ * @param {string} [source.param] - Query parameter holding the CSV location (type 'query')
+ * @param {File} [source.file] - File to read (type 'file')
+ * @param {Array<Object>} [source.rows] - In-memory rows (type 'array')
+ * @param {Object} [source.columns] - Column mapping, merged over DEFAULT_COLUMNS
+ * @param {Object} [source.quality] - Data quality checks (`knownCategories`, `idColumn`, `ranges`)
+ *   and `policy` (see quality.js); outcomes are checked only against declared `knownCategories`
+ * @param {boolean} [source.stream] - Parse in a Web Worker; by default fetched CSV files
+ *   and picked CSV files above 20 MB are
+ * @param {string} [source.format] - 'csv', 'xes' or 'events'; guessed from the file name if omitted
+ * @param {Object} [source.eventColumns] - Case ID, activity and timestamp columns of an 'events' log
+ * @param {Array<Object>|string} [source.outcomeRules] - Outcome labelling rules for event logs,
+ *   or a key of OUTCOME_RULE_PRESETS (see eventLog.js)
+ * @returns {Object} The registered source
+ */
+export function registerDataSource(source) {
+    if (!source || !source.id) {
+        throw new Error('Data source requires an id');
+    }
+    if (!SOURCE_TYPES.includes(source.type)) {
+        throw new Error(`Unknown data source type "${source.type}" for "${source.id}"`);
+    }
+
+    const entry = {
+        label: source.id,
+        ...source,
+        columns: { ...DEFAULT_COLUMNS, ...source.columns }
+    };
+    sources.set(entry.id, entry);
+    return entry;
+}
+
+/**
+ * Removes a data source from the registry
+ * @param {string} id - Source identifier
+ */
+export function unregisterDataSource(id) {
+    sources.delete(id);
+}
+
+/**
+ * Looks up a registered data source
+ * @param {string} id - Source identifier
+ * @returns {Object|undefined} The source, if registered
+ */
+export function getDataSource(id) {
+    return sources.get(id);
+}
+
+/**
+ * Lists the sources that can currently be loaded, in registration order
+ * @returns {Array<Object>} Available sources
+ */
+export function listDataSources() {
+    return Array.from(sources.values()).filter(isAvailable);
+}
+
+/**
+ * Checks whether a source has everything it needs to be loaded
+ * @param {Object} source - Source definition
+ * @returns {boolean} True if the source can be read
+ */
+function isAvailable(source) {
+    switch (source.type) {
+        case 'query':
+            return Boolean(new URLSearchParams(window.location.search).get(source.param));
+        case 'file':
+            return Boolean(source.file);
+        case 'array':
+            return Array.isArray(source.rows);
+        default:
+            return Boolean(source.url);
+    }
+}
+
+/**
+ * Picks the source to show on page load. `?dataset=<id>` selects a registered
+ * source; otherwise the first available query source wins, then the first
+ * available source of any type.
+ * @returns {Object|undefined} The initial source
+ */
+export function resolveInitialSource() {
+    const requested = new URLSearchParams(window.location.search).get('dataset');
+    const available = listDataSources();
+
+    if (requested) {
+        const match = available.find(s => s.id === requested);
+        if (match) return match;
+        console.warn(`Requested dataset "${requested}" is not available`);
+    }
+
+    return available.find(s => s.type === 'query') || available[0];
+}
+
+/**
+ * Identifies the dataset behind a source, e.g. to remember settings for it.
+ * Sources reading the same file or URL share the key.
+ * @param {Object} source - Source definition
+ * @returns {string} Dataset key
+ */
+export function datasetKey(source) {
+    switch (source.type) {
+        case 'file':
+            return `file:${source.file.name}`;
+        case 'query':
+        case 'url':
+            return `url:${sourceUrl(source)}`;
+        default:
+            return `source:${source.id}`;
+    }
+}
+
+/**
+ * Returns the URL a 'url' or 'query' source reads from
+ * @param {Object} source - Source definition
+ * @returns {string|null} CSV location
+ */
+export function sourceUrl(source) {
+    return source.type === 'query'
+        ? new URLSearchParams(window.location.search).get(source.param)
+        : source.url;
+}
+
+/**
+ * Returns the format of a file or URL source
+ * @param {Object} source - Source definition
+ * @returns {string} 'csv', 'xes' or 'events'
+ */
+export function sourceFormat(source) {
+    if (source.format) return source.format;
+    const name = source.type === 'file' ? source.file.name : sourceUrl(source) || '';
+    return /\.xes$/i.test(name) ? 'xes' : 'csv';
+}
+
+/**
+ * Checks whether a source should be parsed by the streaming worker
+ * @param {Object} source - Source definition
+ * @returns {boolean} True for CSV files fetched from a URL, picked files above
+ *   the threshold, and sources that ask for streaming; `stream: false` opts out
+ */
+export function shouldStream(source) {
+    if (source.type === 'array' || sourceFormat(source) !== 'csv') return false;
+    if (source.stream !== undefined) return Boolean(source.stream);
+    // The size of a response is not known before it arrives, so fetched files always stream
+    return source.type !== 'file' || source.file.size > STREAM_THRESHOLD_BYTES;
+}
+
+/**
+ * Reads the raw content of a source
+ * @param {Object} source - Source definition
+ * @returns {Promise<string|Array<Object>>} File content, or rows for 'array' sources
+ */
+export async function readSource(source) {
+    switch (source.type) {
+        case 'array':
+            return source.rows;
+        case 'file':
+            return source.file.text();
+        default:
+            return fetchText(sourceUrl(source));
+    }
+}
+
+/**
+ * Fetches a text resource, rejecting on HTTP errors
+ * @param {string} url - Resource location
+ * @returns {Promise<string>} Response body
+ */
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+}
+
+// ───────────────────────────────────────────
+// Built-in sources
+
+registerDataSource({
+    id: 'preprocessed',
+    label: 'Preprocessed event log',
+    type: 'url',
+    url: 'data/data_preprocessed.csv',
+    quality: {
+        knownCategories: KNOWN_CATEGORIES,
+        ranges: {
+            amount: [0, Infinity],
+            expense: [0, Infinity],
+            totalPaymentAmount: [0, Infinity]
+        }
+    }
+});
+
+registerDataSource({
+    id: 'query',
+    label: 'Dataset from URL',
+    type: 'query',
+    param: 'data'
+});
@@ -0,0 +1,119 @@
+/**
+ * Density rendering: instead of (or under) the points, the plot can show how
+ * many cases lie around every pixel. The renderer splats a Gaussian kernel per
+ * point into a float framebuffer and tone-maps the sums with a color ramp; in
+ * 'category' mode every point adds its own color, so that the densities of
+ * the categories blend.
+ */
+
+// Ways of drawing the plot; hexagonal bins (see hexbin.js) replace points and densities
+export const RENDER_MODES = {
+    points: { label: 'Points' },
+    density: { label: 'Density' },
+    both: { label: 'Points and density' },
+    hexbin: { label: 'Hexagonal bins' }
+};
+
+export const DENSITY_RAMPS = {
+    category: { label: 'Per category', interpolator: null },
+    viridis: { label: 'Viridis', interpolator: d3.interpolateViridis },
+    magma: { label: 'Magma', interpolator: t => d3.interpolateMagma(1 - t) },
+    blues: { label: 'Blues', interpolator: d3.interpolateBlues },
+    greys: { label: 'Greys', interpolator: d3.interpolateGreys }
+};
+
+// Number of colors of the ramp texture
+export const RAMP_SIZE = 256;
+
+/**
+ * Samples a color ramp for upload as a texture
+ * @param {string} ramp - Key of DENSITY_RAMPS other than 'category'
+ * @returns {Uint8Array} RGBA bytes of RAMP_SIZE colors, from low to high density
+ */
+export function rampPixels(ramp) {
+    const { interpolator } = DENSITY_RAMPS[ramp];
+    const pixels = new Uint8Array(RAMP_SIZE * 4);
+    for (let i = 0; i < RAMP_SIZE; i++) {
+        const c = d3.rgb(interpolator(i / (RAMP_SIZE - 1)));
+        pixels.set([c.r, c.g, c.b, 255], i * 4);
+    }
+    return pixels;
+}
+
+/**
+ * Estimates the highest density on screen, to which the tone mapping is
+ * scaled: the largest weighted number of points in a square cell as wide as
+ * the kernel radius
+ * @param {Function} project - Writes the screen position of point i into `out`
+ *   (`out[0]`, `out[1]`), returning false when the point is not drawn
+ * @param {number} count - Number of points
+ * @param {Object} grid - Grid description
+ * @param {number} grid.width - Screen width in pixels
+ * @param {number} grid.height - Screen height in pixels
+ * @param {number} grid.cellSize - Cell size in pixels
+ * @param {Function} [grid.weight] - Weight of point i (1 by default)
+ * @returns {number} Largest weighted count, at least 1
+ */
+export function estimatePeakDensity(project, count, { width, height, cellSize, weight = () => 1 }) {
+    const columns = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+    const cells = new Float32Array(columns * rows);
+    const out = [0, 0];
+    let peak = 1;
+
+    for (let i = 0; i < count; i++) {
+        if (!project(i, out)) continue;
+        const column = Math.floor(out[0] / cellSize);
+        const row = Math.floor(out[1] / cellSize);
+        if (column < 0 || column >= columns || row < 0 || row >= rows) continue;
+
+        const cell = row * columns + column;
+        cells[cell] += weight(i);
+        if (cells[cell] > peak) peak = cells[cell];
+    }
+    return peak;
+}
+
+/**
+ * Wires the render mode and density ramp controls
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with the choice `{ mode, ramp }`
+ * @param {Object} options.choice - Initial choice
+ */
+export function initDensityControls({ onChange, choice }) {
+    const modeSelect = d3.select('#render-mode');
+    const rampSelect = d3.select('#density-ramp');
+
+    modeSelect.selectAll('option')
+        .data(Object.entries(RENDER_MODES))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, mode]) => mode.label);
+
+    rampSelect.selectAll('option')
+        .data(Object.entries(DENSITY_RAMPS))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, ramp]) => ramp.label);
+
+    /**
+     * Enables the ramp only when densities are drawn, and the bin colors of
+     * hexbin.js only when bins are
+     */
+    function updateState() {
+        const mode = modeSelect.property('value');
+        rampSelect.property('disabled', mode !== 'density' && mode !== 'both');
+        d3.select('#hexbin-color').property('disabled', mode !== 'hexbin');
+    }
+
+    modeSelect.property('value', choice.mode);
+    rampSelect.property('value', choice.ramp);
+    updateState();
+
+    const changed = () => {
+        updateState();
+        onChange({ mode: modeSelect.property('value'), ramp: rampSelect.property('value') });
+    };
+    modeSelect.on('change', changed);
+    rampSelect.on('change', changed);
+}
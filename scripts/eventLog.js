@@ -0,0 +1,310 @@
+/**
+ * Case-level feature extraction for event logs.
+ *
+ * Importers (XES, flat CSV) produce cases of the form
+ * `{ id, attributes, events: [{ activity, timestamp, attributes }] }`;
+ * this module turns them into one row per case with derived features and an
+ * outcome label, ready for the regular loading pipeline.
+ */
+
+import { inferSchema, typeRecord } from './schema.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Columns a flat event log (one row per event) must map, for the column mapping dialog
+ */
+export const EVENT_FIELDS = [
+    { key: 'caseId', label: 'Case ID' },
+    { key: 'activity', label: 'Activity' },
+    { key: 'timestamp', label: 'Timestamp' }
+];
+
+// Usual column names per event field, most specific first
+const EVENT_COLUMN_NAMES = {
+    caseId: ['case:concept:name', 'case_id', 'caseid', 'case id', 'case'],
+    activity: ['concept:name', 'activity', 'activity_name', 'event', 'task', 'action'],
+    timestamp: ['time:timestamp', 'timestamp', 'time', 'date', 'complete_timestamp', 'start_time']
+};
+
+// Name fragments used when no usual name matches
+const EVENT_COLUMN_FRAGMENTS = {
+    caseId: 'case',
+    activity: 'activ',
+    timestamp: 'time'
+};
+
+// Prefix of case-level columns in flattened logs (e.g. exported by pm4py)
+const CASE_PREFIX = 'case:';
+
+// Event attributes that describe the event itself rather than the case
+const EVENT_KEYS = new Set(['concept:name', 'time:timestamp', 'lifecycle:transition', 'org:resource']);
+
+/**
+ * Outcome rules for the road traffic fine management log. Rules are checked
+ * in order and the first match labels the case. A rule matches when all of its
+ * conditions hold; a rule without conditions always matches.
+ *   - hasActivity:  the trace contains this activity
+ *   - lastActivity: the trace ends with this activity
+ *   - attribute:    case feature compared with `equals`, `in`, `notIn`, `min` or `max`
+ *   - test:         function receiving `{ id, events, features }`
+ */
+export const ROAD_FINES_OUTCOME_RULES = [
+    { label: 'dismissed', attribute: 'dismissal', notIn: ['NIL', ''] },
+    { label: 'credit_collection', hasActivity: 'Send for Credit Collection' },
+    {
+        label: 'paid_full',
+        test: ({ features }) => features.totalPaymentAmount > 0 &&
+            features.totalPaymentAmount >= (features.amount || 0) + (features.expense || 0)
+    },
+    { label: 'unresolved' }
+];
+
+// Activity that marks a log as the road traffic fine management log
+const ROAD_FINES_ACTIVITY = 'Create Fine';
+
+// Final activities labelling cases of their own; rarer ones are labelled 'other'
+const MAX_DERIVED_OUTCOMES = 8;
+
+/**
+ * Ways of labelling the outcome of the cases of a log, for the upload panel
+ */
+export const OUTCOME_RULE_PRESETS = {
+    auto: { label: 'Automatic' },
+    'final-activity': { label: 'Final activity' },
+    'road-fines': { label: 'Road fines rules' }
+};
+
+/**
+ * Derives outcome rules from the activities that end the cases: each of the
+ * most frequent final activities labels the cases it ends
+ * @param {Array<Object>} cases - Cases from an importer
+ * @returns {Array<Object>} Outcome rules, ending with a catch-all 'other'
+ */
+export function deriveOutcomeRules(cases) {
+    const counts = d3.rollup(
+        cases.filter(c => c.events.length > 0),
+        v => v.length,
+        c => c.events[c.events.length - 1].activity
+    );
+    const frequent = Array.from(counts)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, counts.size > MAX_DERIVED_OUTCOMES ? MAX_DERIVED_OUTCOMES - 1 : MAX_DERIVED_OUTCOMES);
+    return [
+        ...frequent.map(([activity]) => ({ label: activity, lastActivity: activity })),
+        { label: 'other' }
+    ];
+}
+
+/**
+ * Resolves the outcome rules of a log
+ * @param {Array<Object>} cases - Cases from an importer
+ * @param {Array<Object>|string} rules - Outcome rules, or a key of OUTCOME_RULE_PRESETS;
+ *   'auto' applies the road fines rules to that log and derived rules to any other
+ * @returns {Array<Object>} Outcome rules
+ */
+export function resolveOutcomeRules(cases, rules) {
+    if (Array.isArray(rules)) return rules;
+    if (!OUTCOME_RULE_PRESETS[rules]) {
+        throw new Error(`Unknown outcome rules "${rules}"`);
+    }
+
+    const roadFines = rules === 'road-fines' || (rules === 'auto' &&
+        cases.some(c => c.events.some(e => e.activity === ROAD_FINES_ACTIVITY)));
+    return roadFines ? ROAD_FINES_OUTCOME_RULES : deriveOutcomeRules(cases);
+}
+
+/**
+ * Checks whether a case satisfies every condition of a rule
+ * @param {Object} rule - Outcome rule (see ROAD_FINES_OUTCOME_RULES)
+ * @param {Object} info - Case `{ id, events, features }`
+ * @returns {boolean} True if the rule applies
+ */
+function matchesRule(rule, info) {
+    const activities = info.events.map(e => e.activity);
+
+    if (rule.hasActivity !== undefined && !activities.includes(rule.hasActivity)) return false;
+    if (rule.lastActivity !== undefined && activities[activities.length - 1] !== rule.lastActivity) return false;
+
+    if (rule.attribute !== undefined) {
+        const value = info.features[rule.attribute];
+        if (rule.equals !== undefined && value !== rule.equals) return false;
+        if (rule.in !== undefined && !rule.in.includes(value)) return false;
+        if (rule.notIn !== undefined && (value === undefined || value === null || rule.notIn.includes(value))) return false;
+        if (rule.min !== undefined && !(value >= rule.min)) return false;
+        if (rule.max !== undefined && !(value <= rule.max)) return false;
+    }
+
+    if (rule.test !== undefined && !rule.test(info)) return false;
+
+    return true;
+}
+
+/**
+ * Labels a case with the first matching rule
+ * @param {Object} info - Case `{ id, events, features }`
+ * @param {Array<Object>} rules - Outcome rules
+ * @returns {string|undefined} Outcome label
+ */
+export function labelOutcome(info, rules) {
+    const rule = rules.find(r => matchesRule(r, info));
+    return rule ? rule.label : undefined;
+}
+
+/**
+ * Derives the features of a single case
+ * @param {Object} c - Case from an importer
+ * @returns {Object} Features keyed by column name
+ */
+function caseFeatures(c) {
+    const events = c.events;
+    const times = events.map(e => e.timestamp).filter(t => t instanceof Date).map(t => t.getTime());
+
+    const features = {
+        trace_length: events.length,
+        duration_days: times.length > 1 ? (d3.max(times) - d3.min(times)) / MS_PER_DAY : 0,
+        first_activity: events.length ? events[0].activity : null,
+        last_activity: events.length ? events[events.length - 1].activity : null
+    };
+
+    // Event attributes: the last observed value describes the case best
+    events.forEach(e => {
+        Object.entries(e.attributes).forEach(([key, value]) => {
+            if (EVENT_KEYS.has(key) || value instanceof Date || value === null || value === '') return;
+            features[key] = value;
+        });
+    });
+
+    // Case attributes take precedence over event attributes of the same name
+    Object.entries(c.attributes).forEach(([key, value]) => {
+        if (key !== 'concept:name') features[key] = value;
+    });
+
+    // Activity frequencies
+    events.forEach(e => {
+        const key = `count:${e.activity}`;
+        features[key] = (features[key] || 0) + 1;
+    });
+
+    return features;
+}
+
+/**
+ * Guesses the case ID, activity and timestamp columns of a flat event log
+ * @param {Array<string>} columns - Column names
+ * @returns {Object} Mapping `{ caseId, activity, timestamp }` (entries may be undefined)
+ */
+export function guessEventMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+
+    EVENT_FIELDS.forEach(({ key }) => {
+        const lower = columns.map(c => c.toLowerCase());
+        let i = EVENT_COLUMN_NAMES[key]
+            .map(name => lower.indexOf(name))
+            .find(index => index !== -1 && !used.has(columns[index]));
+        if (i === undefined) {
+            i = lower.findIndex((name, index) =>
+                name.includes(EVENT_COLUMN_FRAGMENTS[key]) && !used.has(columns[index]));
+        }
+        if (i !== undefined && i !== -1) {
+            mapping[key] = columns[i];
+            used.add(columns[i]);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Groups the rows of a flat event log into cases. Events are ordered by
+ * timestamp, keeping file order for ties and events without a timestamp.
+ * Columns prefixed with 'case:' become case attributes; the others become
+ * event attributes.
+ * @param {Array<Object>} rows - Raw rows with a `columns` property
+ * @param {Object} mapping - Mapping `{ caseId, activity, timestamp }`
+ * @returns {Array<Object>} Cases in order of first appearance
+ */
+export function groupEvents(rows, mapping) {
+    const schema = inferSchema(rows, rows.columns);
+    const mapped = new Set([mapping.caseId, mapping.activity, mapping.timestamp]);
+    const byCase = new Map();
+
+    rows.forEach((row, i) => {
+        const id = row[mapping.caseId];
+        if (id === undefined || id === '') return;
+
+        const record = typeRecord(row, schema);
+        const timestamp = record[mapping.timestamp] instanceof Date
+            ? record[mapping.timestamp]
+            : new Date(row[mapping.timestamp]);
+
+        let c = byCase.get(id);
+        if (!c) {
+            c = { id, attributes: {}, events: [] };
+            byCase.set(id, c);
+        }
+
+        const attributes = {};
+        Object.entries(record).forEach(([key, value]) => {
+            if (mapped.has(key) || value === null) return;
+            if (key.startsWith(CASE_PREFIX)) c.attributes[key.slice(CASE_PREFIX.length)] = value;
+            else attributes[key] = value;
+        });
+
+        c.events.push({
+            activity: row[mapping.activity],
+            timestamp: isNaN(timestamp) ? null : timestamp,
+            attributes,
+            order: i
+        });
+    });
+
+    const cases = Array.from(byCase.values());
+    cases.forEach(c => {
+        c.events.sort((a, b) =>
+            (a.timestamp && b.timestamp ? a.timestamp - b.timestamp : 0) || a.order - b.order);
+        c.events.forEach(e => delete e.order);
+    });
+    return cases;
+}
+
+/**
+ * Turns cases into one row per case with derived features and an outcome
+ * @param {Array<Object>} cases - Cases from an importer
+ * @param {Object} [options] - Conversion options
+ * @param {Array<Object>|string} [options.outcomeRules='auto'] - Outcome rules, or a key
+ *   of OUTCOME_RULE_PRESETS (see resolveOutcomeRules)
+ * @returns {Array<Object>} Rows with a `columns` property, like d3.csvParse returns,
+ *   and a parallel `cases` property holding the case (with its events) behind each row
+ */
+export function casesToRows(cases, { outcomeRules = 'auto' } = {}) {
+    if (cases.length === 0) {
+        throw new Error('Event log contains no cases');
+    }
+    const rules = resolveOutcomeRules(cases, outcomeRules);
+
+    const rows = cases.map(c => {
+        const features = caseFeatures(c);
+        const outcome = labelOutcome({ id: c.id, events: c.events, features }, rules);
+        return { case_id: c.id, outcome, ...features };
+    });
+
+    // Fixed columns first, then attributes, then activity counts
+    const fixed = ['case_id', 'outcome', 'trace_length', 'duration_days', 'first_activity', 'last_activity'];
+    const others = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => {
+        if (!fixed.includes(key)) others.add(key);
+    }));
+    const counts = Array.from(others).filter(key => key.startsWith('count:')).sort();
+    const attributes = Array.from(others).filter(key => !key.startsWith('count:')).sort();
+
+    // Activities that never occur in a case count zero
+    rows.forEach(row => counts.forEach(key => {
+        if (row[key] === undefined) row[key] = 0;
+    }));
+
+    rows.columns = [...fixed, ...attributes, ...counts];
+    rows.cases = cases;
+    return rows;
+}
@@ -0,0 +1,185 @@
+/**
+ * Hexagonal binning: instead of the points, the plot can show the cases
+ * aggregated into hexagons of a fixed size on screen. The area of a hexagon
+ * shows how many cases it holds, its color the outcome most of them have, or
+ * the share of one chosen outcome.
+ *
+ * Bins are computed in plot coordinates, after the zoom, so that zooming in
+ * splits them into finer bins. The layout of the grid follows d3-hexbin, which
+ * d3.v7.js does not bundle.
+ */
+
+import { MISSING_COLOR } from './colorEncoding.js';
+import { categoryColor } from './palette.js';
+import { escapeHtml } from './tooltip.js';
+
+// Color of a bin without any case of the chosen outcome
+const EMPTY_SHARE_COLOR = '#f0f0f0';
+
+/**
+ * Builds the outline of a hexagon centered on the origin, pointy side up
+ * @param {number} radius - Distance from the center to a corner, in pixels
+ * @returns {string} SVG path data, to be translated to the bin center
+ */
+export function hexagonPath(radius) {
+    const corners = d3.range(6).map(k => {
+        const angle = k * Math.PI / 3;
+        return [Math.sin(angle) * radius, -Math.cos(angle) * radius];
+    });
+    return `M${corners.map(([x, y]) => `${x.toFixed(2)},${y.toFixed(2)}`).join('L')}Z`;
+}
+
+/**
+ * Finds the hexagon of the grid containing a position
+ * @param {number} x - Position along x, in pixels
+ * @param {number} y - Position along y, in pixels
+ * @param {number} dx - Horizontal distance between bin centers
+ * @param {number} dy - Vertical distance between bin rows
+ * @returns {Array<number>} [column, row] of the bin
+ */
+function locate(x, y, dx, dy) {
+    const py = y / dy;
+    let row = Math.round(py);
+    const px = x / dx - (row & 1) / 2;
+    let column = Math.round(px);
+    const ry = py - row;
+
+    // Near the slanted edges the nearest center may be in the neighboring row;
+    // distances are compared in pixels, as rows and columns are spaced differently
+    if (Math.abs(ry) * 3 > 1) {
+        const rx = (px - column) * dx;
+        const column2 = column + (px < column ? -1 : 1) / 2;
+        const row2 = row + (py < row ? -1 : 1);
+        const rx2 = (px - column2) * dx;
+        const ry2 = (py - row2) * dy;
+        if (rx * rx + (ry * dy) ** 2 > rx2 * rx2 + ry2 * ry2) {
+            column = column2 + (row & 1 ? 1 : -1) / 2;
+            row = row2;
+        }
+    }
+    return [column, row];
+}
+
+/**
+ * Aggregates the points on screen into hexagonal bins
+ * @param {Function} project - Writes the plot position of point i into `out`
+ *   (`out[0]`, `out[1]`), returning false when the point is not drawn
+ * @param {number} count - Number of points
+ * @param {Object} options - Binning options
+ * @param {number} options.width - Plot width in pixels; points outside are left out
+ * @param {number} options.height - Plot height in pixels
+ * @param {number} options.radius - Bin radius in pixels
+ * @param {Function} options.category - Category of point i, or null when missing
+ * @returns {Object} `{ bins, maxCount, find(x, y) }`, where every bin is
+ *   `{ x, y, indices, counts, dominant }`: its center, the points it holds, the
+ *   number of points per category (a Map) and the most frequent category
+ */
+export function aggregateHexbins(project, count, { width, height, radius, category }) {
+    const dx = radius * Math.sqrt(3);
+    const dy = radius * 1.5;
+    // Bins are keyed by their cell in a grid one bin larger than the plot on every side
+    const columns = Math.ceil(width / dx) + 3;
+    const key = (column, row) => (row + 1) * columns + column + 1;
+
+    const byKey = new Map();
+    const out = [0, 0];
+    for (let i = 0; i < count; i++) {
+        if (!project(i, out)) continue;
+        const [x, y] = out;
+        if (x < 0 || x > width || y < 0 || y > height) continue;
+
+        const [column, row] = locate(x, y, dx, dy);
+        const k = key(column, row);
+        let bin = byKey.get(k);
+        if (!bin) {
+            bin = { x: (column + (row & 1) / 2) * dx, y: row * dy, indices: [], counts: new Map() };
+            byKey.set(k, bin);
+        }
+        bin.indices.push(i);
+        const c = category(i);
+        bin.counts.set(c, (bin.counts.get(c) || 0) + 1);
+    }
+
+    const bins = Array.from(byKey.values());
+    bins.forEach(bin => {
+        bin.dominant = d3.greatest(bin.counts, ([, n]) => n)[0];
+    });
+
+    return {
+        bins,
+        maxCount: d3.max(bins, bin => bin.indices.length) || 0,
+        /**
+         * Finds the bin under a position
+         * @param {number} x - Position along x, in pixels
+         * @param {number} y - Position along y, in pixels
+         * @returns {Object|undefined} Bin, if it holds any point
+         */
+        find(x, y) {
+            const [column, row] = locate(x, y, dx, dy);
+            return byKey.get(key(column, row));
+        }
+    };
+}
+
+/**
+ * Colors a bin
+ * @param {Object} bin - Bin from aggregateHexbins
+ * @param {string} color - 'dominant' for the most frequent outcome, otherwise
+ *   the outcome whose share is shown
+ * @returns {string} CSS color
+ */
+export function hexbinColor(bin, color) {
+    if (color === 'dominant') {
+        return bin.dominant === null ? MISSING_COLOR : categoryColor(bin.dominant);
+    }
+    const share = (bin.counts.get(color) || 0) / bin.indices.length;
+    return d3.interpolateRgb(EMPTY_SHARE_COLOR, categoryColor(color))(share);
+}
+
+/**
+ * Renders the tooltip of a bin: its outcomes from the most to the least frequent
+ * @param {Object} bin - Bin from aggregateHexbins
+ * @returns {string} Tooltip HTML, with every outcome escaped
+ */
+export function hexbinTooltip(bin) {
+    const total = bin.indices.length;
+    const percent = d3.format('.0%');
+    const rows = Array.from(bin.counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([category, n]) => {
+            const color = category === null ? MISSING_COLOR : categoryColor(category);
+            return `<tr><th><span class="hexbin-swatch" style="background:${escapeHtml(color)}"></span>` +
+                `${category === null ? 'missing' : escapeHtml(category)}</th>` +
+                `<td>${n}</td><td>${percent(n / total)}</td></tr>`;
+        })
+        .join('');
+    return `<div><strong>${total} ${total === 1 ? 'case' : 'cases'}</strong></div>` +
+        `<table class="tooltip-fields">${rows}</table>`;
+}
+
+/**
+ * Wires the bin color control
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with 'dominant' or the chosen outcome
+ * @returns {Object} `{ update(categories, color) }` to list the outcomes of a dataset
+ */
+export function initHexbinControls({ onChange }) {
+    const select = d3.select('#hexbin-color');
+
+    select.on('change', () => onChange(select.property('value')));
+
+    return {
+        update(categories, color) {
+            const options = [
+                { value: 'dominant', label: 'Most frequent outcome' },
+                ...categories.map(c => ({ value: c, label: `Share of ${c}` }))
+            ];
+            select.selectAll('option')
+                .data(options, o => o.value)
+                .join('option')
+                .attr('value', o => o.value)
+                .text(o => o.label);
+            select.property('value', color);
+        }
+    };
+}
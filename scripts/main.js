@@ -1,18 +1,79 @@
-// Categories and matching colors
-const categories = [
-    'unresolved',
-    'credit_collection',
-    'paid_full',
-    'dismissed'
-];
-const colorScale = d3.scaleOrdinal()
-    .domain(categories)
-    .range([
-        '#e41a1c',
-        '#984ea3',
-        '#4daf4a',
-        '#377eb8'
-    ]);
+import { clearCaseDetail, renderCaseDetail } from './caseDetail.js';
+import {
+    MISSING_COLOR,
+    createColorEncoding,
+    initColorControls,
+    renderColorLegend
+} from './colorEncoding.js';
+import { findCoordinatePairs, resolveColumnMapping } from './columnMapping.js';
+import { streamCsv } from './csvStream.js';
+import { RAMP_SIZE, estimatePeakDensity, initDensityControls, rampPixels } from './density.js';
+import {
+    EVENT_FIELDS,
+    casesToRows,
+    groupEvents,
+    guessEventMapping
+} from './eventLog.js';
+import {
+    datasetKey,
+    getDataSource,
+    listDataSources,
+    readSource,
+    registerDataSource,
+    resolveInitialSource,
+    shouldStream,
+    sourceFormat,
+    sourceUrl
+} from './dataSources.js';
+import {
+    aggregateHexbins,
+    hexagonPath,
+    hexbinColor,
+    hexbinTooltip,
+    initHexbinControls
+} from './hexbin.js';
+import {
+    DEFAULT_QUALITY_POLICY,
+    applyQualityPolicy,
+    assessQuality,
+    renderQualityPanel
+} from './quality.js';
+import {
+    categoryColor,
+    initPaletteControls,
+    onPaletteChange,
+    pickCategoryColor
+} from './palette.js';
+import { initProjectionPanel } from './projection.js';
+import { inferSchema, typeRecord } from './schema.js';
+import {
+    clearNamedSelections,
+    clearSelection,
+    combineSelection,
+    getSelection,
+    initSelectionControls,
+    membershipLabel,
+    onNamedSelectionsChange,
+    onSelectionChange,
+    operationFromEvent
+} from './selection.js';
+import { createShapeEncoding, initShapeControls, renderShapeLegend } from './shapeEncoding.js';
+import { createSpatialIndex } from './spatialIndex.js';
+import {
+    createOpacityEncoding,
+    createSizeEncoding,
+    initSizeOpacityControls,
+    renderSizeLegend
+} from './sizeEncoding.js';
+import {
+    createTooltipTemplate,
+    defaultTooltipFields,
+    escapeHtml,
+    initTooltipControls
+} from './tooltip.js';
+import { initFileUpload } from './upload.js';
+import { recenterTransform, viewCenter } from './viewport.js';
+import { parseXes } from './xes.js';
 
 
 
@@ -23,52 +84,85 @@ const DEFAULT_CONFIG = {
     pointSize: 3,
     pointOpacity: 0.8,
     margin: { top: 20, right: 20, bottom: 40, left: 50 },
-    colorScheme: d3.schemeTableau10,
     defaultHeight: 600,
     minZoom: 0.9,
     maxZoom: 120,
     hoverRadius: 10,
     hoverCircleRadius: 5,
     legendPosition: { x: 0, y: 0 },
-    showAxes: false
+    showAxes: false,
+    transitionDuration: 750,
+    dimmedOpacity: 0.15,
+    mode: 'pan',
+    picking: 'cpu',
+    renderMode: 'points',
+    densityRamp: 'viridis',
+    densityBandwidth: 12,
+    hexbinRadius: 14,
+    hexbinColor: 'dominant'
 };
 
 /**
- * Loads data from a CSV file and prepares it for visualization
- * @returns {Promise<Array>} Parsed and processed data
+ * Loads data from a registered source and prepares it for visualization
+ * @param {Object} source - Data source from the registry (see dataSources.js)
+ * @param {Object} [options] - Loading options
+ * @param {boolean} [options.remap=false] - Ask the user to confirm the column mapping
+ * @param {Function} [options.onMapped] - Called once the column mapping is settled,
+ *   before the bulk of the data is processed
+ * @param {AbortSignal} [options.signal] - Stops a streamed load
+ * @returns {Promise<Array>} Points `{ index, x, y, outcome, record }`, where `record`
+ *   holds every column of the row. The array carries the column `mapping` and the
+ *   inferred `schema` (see schema.js), the way d3.csvParse attaches `columns`.
+ *   Rejects with an AbortError if the user cancels the mapping dialog or the signal aborts.
  */
-async function loadData() {
+async function loadData(source, { remap = false, onMapped = () => {}, signal } = {}) {
     try {
-        const response = await fetch('data/data_preprocessed.csv');
-        if (!response.ok) {
-            throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+        if (shouldStream(source)) {
+            return await loadStreamedData(source, { remap, onMapped, signal });
         }
 
-        const text = await response.text();
-        const data = d3.csvParse(text, d => ({
-            x: +d['umap-1'],
-            y: +d['umap-2'],
-            outcome: d['outcome']
-        }));
+        const rows = await parseRows(source, await readSource(source), { remap });
 
         // Validate data
-        if (!data || data.length === 0) {
+        if (!rows || rows.length === 0) {
             throw new Error('CSV parsing resulted in empty dataset');
         }
 
-        // Ensure numeric values
-        data.forEach(d => {
-            d.x = +d.x;
-            d.y = +d.y;
-
-            // Check for NaN values
-            if (isNaN(d.x) || isNaN(d.y)) {
-                console.warn('Found NaN values in dataset', d);
-            }
+        // Decide which columns hold the coordinates and the category
+        const columns = await resolveColumnMapping({
+            key: datasetKey(source),
+            title: source.label,
+            declared: source.columns,
+            columns: rows.columns,
+            rows,
+            prompt: remap
         });
+        onMapped();
+
+        // Keep every column, typed according to the inferred schema
+        const schema = inferSchema(rows, rows.columns);
+        const data = rows.map((d, i) => ({
+            index: i,
+            x: +d[columns.x],
+            y: +d[columns.y],
+            outcome: d[columns.outcome],
+            record: typeRecord(d, schema)
+        }));
+        // Event logs keep the trace behind every case
+        if (rows.cases) {
+            data.forEach((d, i) => {
+                d.trace = rows.cases[i].events;
+            });
+        }
+
+        data.schema = schema;
+        data.mapping = columns;
 
         return data;
     } catch (err) {
+        // Cancelling the mapping dialog, or a load superseded by another, is not a
+        // failure; the caller decides what to show
+        if (err.name === 'AbortError') throw err;
         console.error('Error loading CSV:', err);
         // Display user-friendly error message
         d3.select('#chart')
@@ -77,10 +171,252 @@ async function loadData() {
     }
 }
 
+/**
+ * Turns the content of a source into rows keyed by column name. Event logs
+ * yield one row per case, with features derived from its events.
+ * @param {Object} source - Data source the content was read from
+ * @param {string|Array<Object>} content - File content, or rows for 'array' sources
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.remap - Ask the user to confirm the event columns
+ * @returns {Promise<Array<Object>>} Rows with a `columns` property (and `cases` for event logs)
+ */
+async function parseRows(source, content, { remap }) {
+    if (Array.isArray(content)) {
+        return Object.assign(content.slice(), { columns: Object.keys(content[0] || {}) });
+    }
+
+    switch (sourceFormat(source)) {
+        case 'xes':
+            return casesToRows(parseXes(content), { outcomeRules: source.outcomeRules });
+        case 'events': {
+            const events = d3.csvParse(content);
+            const mapping = await resolveColumnMapping({
+                key: `events:${datasetKey(source)}`,
+                title: `${source.label} (events)`,
+                declared: source.eventColumns,
+                columns: events.columns,
+                rows: events,
+                prompt: remap,
+                fields: EVENT_FIELDS,
+                guess: guessEventMapping
+            });
+            return casesToRows(groupEvents(events, mapping), { outcomeRules: source.outcomeRules });
+        }
+        default:
+            return d3.csvParse(content);
+    }
+}
+
+/**
+ * Loads a CSV source through the streaming worker. Every column is kept, in
+ * the columnar store of the worker behind the records, and the GPU buffers
+ * built by the worker are attached as `data.buffers` so that
+ * drawScatterPlotWebGL can upload them as they are.
+ * @param {Object} source - Data source from the registry
+ * @param {Object} options - Loading options
+ * @param {boolean} options.remap - Ask the user to confirm the column mapping
+ * @param {Function} options.onMapped - Called once the column mapping is settled
+ * @returns {Promise<Array>} Points in the same shape as loadData returns
+ */
+async function loadStreamedData(source, { remap, onMapped, signal }) {
+    const formatPercent = d3.format('.0%');
+    const formatCount = d3.format(',');
+
+    const result = await streamCsv({
+        url: source.type === 'file' ? undefined : sourceUrl(source),
+        file: source.type === 'file' ? source.file : undefined,
+        colorOf: category => category === '' ? MISSING_COLOR : categoryColor(category),
+        opacity: DEFAULT_CONFIG.pointOpacity,
+        onHeader: async (columns, sample) => {
+            const mapping = await resolveColumnMapping({
+                key: datasetKey(source),
+                title: source.label,
+                declared: source.columns,
+                columns,
+                rows: sample,
+                prompt: remap
+            });
+            onMapped();
+            return mapping;
+        },
+        onProgress: ({ loaded, total, rows }) => {
+            d3.select('#chart .loading').text(total
+                ? `Loading data... ${formatPercent(loaded / total)}`
+                : `Loading data... ${formatCount(rows)} rows`);
+        },
+        signal
+    });
+
+    const { mapping, columns, types, positions, colors, categoryIndex, rowIndex, categories, invalid } = result;
+    if (rowIndex.length === 0 && invalid.length === 0) {
+        throw new Error('CSV parsing resulted in empty dataset');
+    }
+
+    // Points backing the worker buffers come first, in buffer order
+    const data = Array.from(rowIndex, (row, i) => ({
+        index: row,
+        x: positions[2 * i],
+        y: positions[2 * i + 1],
+        outcome: categories[categoryIndex[i]],
+        record: result.record(i)
+    }));
+
+    // Rows the worker could not place are kept so the quality report lists them,
+    // typed like the columns the worker stored the other rows in
+    const storedSchema = { fields: columns.map((name, j) => ({ name, type: types[j] })) };
+    invalid.forEach(({ row, values }) => {
+        const raw = Object.fromEntries(columns.map((column, j) => [column, values[j]]));
+        data.push({
+            index: row,
+            x: +raw[mapping.x],
+            y: +raw[mapping.y],
+            outcome: raw[mapping.outcome],
+            record: typeRecord(raw, storedSchema)
+        });
+    });
+
+    // Domains span the whole file, not only the sample
+    const schema = inferSchema(data.map(d => d.record), columns);
+    // Columns the worker widened to text may look numeric in the rows the schema samples
+    columns.forEach((name, j) => {
+        const field = schema.field(name);
+        if (types[j] === 'text' && (field.type === 'number' || field.type === 'date')) {
+            schema.add({ name, type: 'text', missing: field.missing });
+        }
+    });
+
+    data.schema = schema;
+    data.mapping = mapping;
+    data.buffers = { positions, colors, count: rowIndex.length };
+    return data;
+}
+
+/**
+ * Returns the slope and intercept of a linear scale, so that it can be applied
+ * as `value * slope + intercept` (e.g. in a shader)
+ * @param {d3.ScaleLinear} scale - Linear scale
+ * @returns {Array<number>} [slope, intercept]
+ */
+function linearCoefficients(scale) {
+    const [d0, d1] = scale.domain();
+    const [r0, r1] = scale.range();
+    if (d0 === d1) return [0, (r0 + r1) / 2]; // Degenerate domain maps to the middle
+    const slope = (r1 - r0) / (d1 - d0);
+    return [slope, r0 - d0 * slope];
+}
+
+/**
+ * Computes the extent of one axis of an interleaved position buffer
+ * @param {Float32Array} positions - Interleaved x/y positions
+ * @param {number} axis - 0 for x, 1 for y
+ * @returns {Array<number>} [min, max], ignoring NaN values
+ */
+function positionExtent(positions, axis) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = axis; i < positions.length; i += 2) {
+        const v = positions[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+    }
+    return min <= max ? [min, max] : [0, 0];
+}
+
+/**
+ * Runs a task once the main thread is idle
+ * @param {Function} task - Task to run
+ * @returns {Function} Cancels the task if it has not run yet
+ */
+function whenIdle(task) {
+    if (window.requestIdleCallback) {
+        const id = window.requestIdleCallback(task);
+        return () => window.cancelIdleCallback(id);
+    }
+    // Without idle callbacks, at least let the current frames through
+    const id = setTimeout(task, 200);
+    return () => clearTimeout(id);
+}
+
+/**
+ * Converts a typed record value to a coordinate
+ * @param {*} value - Value from a point record
+ * @returns {number} The number, or NaN if missing
+ */
+function toCoordinate(value) {
+    return value === null || value === undefined ? NaN : +value;
+}
+
+/**
+ * Builds the position buffer of one embedding from the point records
+ * @param {Array} data - Points with typed records
+ * @param {Object} embedding - Coordinate columns `{ x, y }`
+ * @returns {Float32Array} Interleaved positions in data order, NaN where missing
+ */
+function embeddingPositions(data, embedding) {
+    const positions = new Float32Array(data.length * 2);
+    data.forEach((d, i) => {
+        positions[2 * i] = toCoordinate(d.record[embedding.x]);
+        positions[2 * i + 1] = toCoordinate(d.record[embedding.y]);
+    });
+    return positions;
+}
+
+/**
+ * Fills a color buffer from a color encoding
+ * @param {Float32Array} colors - RGBA buffer, four values per point
+ * @param {Array} data - Points in buffer order
+ * @param {Object} encoding - Encoding from createColorEncoding
+ * @param {number} opacity - Point opacity
+ */
+function fillColors(colors, data, encoding, opacity) {
+    // Categorical encodings repeat a handful of colors; parse each once
+    const parsed = new Map();
+    data.forEach((d, i) => {
+        const color = encoding.color(d);
+        let c = parsed.get(color);
+        if (!c) {
+            c = d3.color(color).rgb();
+            parsed.set(color, c);
+        }
+        colors.set([c.r / 255, c.g / 255, c.b / 255, opacity], 4 * i);
+    });
+}
+
+/**
+ * Builds a per-point buffer from a size, opacity or shape encoding
+ * @param {Array} data - Points in buffer order
+ * @param {Object|null} encoding - Encoding with a `value(d)` method, or null for a constant
+ * @param {number} constant - Value of every point without an encoding
+ * @returns {Float32Array} One value per point
+ */
+function scalarBuffer(data, encoding, constant) {
+    const values = new Float32Array(data.length);
+    if (encoding) data.forEach((d, i) => { values[i] = encoding.value(d); });
+    else values.fill(constant);
+    return values;
+}
+
 /**
  * Main function to create and render the WebGL scatter plot
  * @param {Array} data - The dataset to visualize
- * @param {Object} userConfig - Optional user configuration to override defaults
+ * @param {Object} userConfig - Optional user configuration to override defaults;
+ *   `color` takes an encoding from createColorEncoding instead of the outcome colors,
+ *   `size` and `opacity` encodings from sizeEncoding.js instead of the constant ones,
+ *   `shape` an encoding from createShapeEncoding instead of circles, `mode` the
+ *   interaction mode ('pan', 'rectangle' or 'lasso'), `selection` the record indices
+ *   selected at first and `onSelect` a callback receiving the indices of a drawn selection,
+ *   or of a legend category clicked with shift or alt, and the triggering event;
+ *   `tooltip` renders the tooltip HTML of a point, with every data value escaped, and
+ *   `onPointClick` receives a clicked point, whose tooltip is then pinned; `picking`
+ *   chooses how points are found under the mouse and in drawn regions: 'cpu' through
+ *   a spatial index, or 'gpu' by reading back an offscreen pass of point IDs;
+ *   `renderMode` draws 'points', 'density' or 'both', with the `densityRamp` of density.js,
+ *   or 'hexbin' for bins of `hexbinRadius` pixels colored after `hexbinColor` (see hexbin.js)
+ * @returns {Function|undefined} Cleanup function, carrying `updatePositions(positions, options)`
+ *   and `showEmbedding({ x, y }, options)` to move the points to another layout, and
+ *   `setColorEncoding`, `setSizeEncoding`, `setOpacityEncoding` and `setShapeEncoding`
+ *   to change the encodings, `setSelection(indices)`, `setMode(mode)`, `setTooltip(template)`,
+ *   `setRenderMode({ mode, ramp })` and `setHexbinColor(color)`
  */
 function drawScatterPlotWebGL(data, userConfig = {}) {
     // Merge default config with user-provided config
@@ -91,58 +427,63 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
     container.style('position', 'relative').selectAll('*').remove();
 
     // ───────────────────────────────────────────
-    // Calculate dimensions
-    const totalWidth = container.node().clientWidth;
-    const totalHeight = container.node().clientHeight || config.defaultHeight;
+    // Calculate dimensions (updated by handleResize)
+    let totalWidth = container.node().clientWidth;
+    let totalHeight = container.node().clientHeight || config.defaultHeight;
     const { margin } = config;
-    const width = totalWidth - margin.left - margin.right;
-    const height = totalHeight - margin.top - margin.bottom;
+    let width = totalWidth - margin.left - margin.right;
+    let height = totalHeight - margin.top - margin.bottom;
 
     // ───────────────────────────────────────────
     // Create scales with nice rounded domains for better readability
-    const xExtent = d3.extent(data, d => d.x);
-    const yExtent = d3.extent(data, d => d.y);
+    const x0 = d3.scaleLinear().range([0, width]);
+    const y0 = d3.scaleLinear().range([height, 0]);
 
-    // Add a small padding to the domains
-    const xPadding = (xExtent[1] - xExtent[0]) * 0.05;
-    const yPadding = (yExtent[1] - yExtent[0]) * 0.05;
+    /**
+     * Fits the scale domains to the given extents
+     * @param {Array<number>} xExtent - [min, max] of the x values
+     * @param {Array<number>} yExtent - [min, max] of the y values
+     */
+    function fitDomains(xExtent, yExtent) {
+        // Add a small padding to the domains
+        const xPadding = (xExtent[1] - xExtent[0]) * 0.05;
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.05;
 
-    const x0 = d3.scaleLinear()
-        .domain([xExtent[0] - xPadding, xExtent[1] + xPadding])
-        .range([0, width])
-        .nice();
+        x0.domain([xExtent[0] - xPadding, xExtent[1] + xPadding]).nice();
+        y0.domain([yExtent[0] - yPadding, yExtent[1] + yPadding]).nice();
+    }
 
-    const y0 = d3.scaleLinear()
-        .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
-        .range([height, 0])
-        .nice();
+    fitDomains(d3.extent(data, d => d.x), d3.extent(data, d => d.y));
 
     // ───────────────────────────────────────────
-    // Create canvas for WebGL rendering
+    // Create canvas for WebGL rendering; its backing store has one pixel per
+    // device pixel, while everything else is laid out in CSS pixels
+    let pixelRatio = window.devicePixelRatio || 1;
     const canvas = container.append('canvas')
-        .attr('width', totalWidth)
-        .attr('height', totalHeight)
+        .attr('width', Math.round(totalWidth * pixelRatio))
+        .attr('height', Math.round(totalHeight * pixelRatio))
+        .style('width', `${totalWidth}px`)
+        .style('height', `${totalHeight}px`)
         .style('position', 'absolute')
         .style('top', 0)
         .style('left', 0);
 
     // ───────────────────────────────────────────
     // Create SVG layer for axes, legend, and interactive elements
-    const svg = container.append('svg')
+    const svgRoot = container.append('svg')
         .attr('width', totalWidth)
         .attr('height', totalHeight)
         .style('position', 'absolute')
         .style('top', 0)
-        .style('left', 0)
-        .append('g')
+        .style('left', 0);
+    const svg = svgRoot.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
     // ───────────────────────────────────────────
     // Create axes (conditionally)
 
+    let xAxisG, yAxisG;
     if (config.showAxes) {
-        let xAxisG, yAxisG;
-
         xAxisG = svg.append('g')
             .attr('class', 'x-axis')
             .attr('transform', `translate(0,${height})`)
@@ -153,11 +494,19 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
             .call(d3.axisLeft(y0));
     }
 
+    // Hexagonal bins, drawn in place of the points
+    const hexbinG = svg.append('g')
+        .attr('class', 'hexbins')
+        .style('pointer-events', 'none');
+
     // ───────────────────────────────────────────
     // Create legend group
     const legendG = svg.append('g')
         .attr('class', 'legend')
         .attr('transform', `translate(${config.legendPosition.x},${config.legendPosition.y})`);
+    const colorLegendG = legendG.append('g');
+    const sizeLegendG = legendG.append('g');
+    const shapeLegendG = legendG.append('g');
 
     // ───────────────────────────────────────────
     // Create tooltip
@@ -203,38 +552,109 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
     // Create and compile shaders with improved error handling
     const vsSource = `
       attribute vec2 a_pos;
+      attribute vec2 a_prevPos;
       attribute vec4 a_color;
+      attribute float a_size;
+      attribute float a_opacity;
+      attribute float a_shape;
+      attribute float a_emphasis;
+      attribute float a_id;
+      uniform vec2 u_domainScale;
+      uniform vec2 u_domainOffset;
+      uniform vec2 u_prevDomainScale;
+      uniform vec2 u_prevDomainOffset;
+      uniform float u_progress;
       uniform vec2 u_translate;
       uniform float u_scale;
       uniform vec2 u_margin;
       uniform vec2 u_viewport;
-      uniform float u_pointSize;
+      uniform float u_pixelRatio;
+      // Shared with the fragment shader, so both declare the same precision
+      uniform mediump float u_pass;
+      uniform float u_kernelSize;
       varying vec4 v_color;
+      varying float v_shape;
       
       void main() {
-          vec2 scaled = a_pos * u_scale;
+          // Hidden points are moved outside the clip space
+          if (a_emphasis == 0.0) {
+              gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+              return;
+          }
+
+          // Data coordinates to plot pixels (the linear x0/y0 scales), moving
+          // from the previous layout to the current one during transitions
+          vec2 from = a_prevPos * u_prevDomainScale + u_prevDomainOffset;
+          vec2 to = a_pos * u_domainScale + u_domainOffset;
+          vec2 base = mix(from, to, u_progress);
+          vec2 scaled = base * u_scale;
           vec2 panned = scaled + u_translate;
           vec2 px = panned + u_margin;
           vec2 ndc = (px / u_viewport) * 2.0 - 1.0;
           gl_Position = vec4(ndc.x, -ndc.y, 0, 1);
-          gl_PointSize = u_pointSize;
-          v_color = a_color;
+          gl_PointSize = a_size * u_pixelRatio;
+          v_color = vec4(a_color.rgb, a_color.a * a_opacity * a_emphasis);
+          v_shape = a_shape;
+
+          // The picking pass draws the index + 1 as a 24-bit color (0 is the background)
+          if (u_pass == 1.0) {
+              float id = a_id + 1.0;
+              v_color = vec4(mod(id, 256.0), mod(floor(id / 256.0), 256.0), floor(id / 65536.0), 255.0) / 255.0;
+          }
+
+          // The density pass draws one kernel per point, weighted by its emphasis
+          if (u_pass == 2.0) {
+              gl_PointSize = u_kernelSize * u_pixelRatio;
+              v_color = vec4(a_color.rgb, a_emphasis);
+          }
       }
     `;
 
     const fsSource = `
       precision mediump float;
+      uniform float u_pass;
       varying vec4 v_color;
+      varying float v_shape;
       
       void main() {
-          vec2 center = gl_PointCoord - vec2(0.5);
-          float dist = length(center);
+          // Point coordinates with y pointing up, in [-0.5, 0.5]
+          vec2 p = vec2(gl_PointCoord.x - 0.5, 0.5 - gl_PointCoord.y);
+          vec2 a = abs(p);
+
+          // Gaussian kernel reaching about 1% at the edge of the sprite; the
+          // color sums let the tone mapping blend the categories by density
+          if (u_pass == 2.0) {
+              float w = exp(-18.0 * dot(p, p)) * v_color.a;
+              gl_FragColor = vec4(v_color.rgb * w, w);
+              return;
+          }
+
+          // Distance-like measure that reaches 0.5 at the edge of the shape
+          // (indices as in SHAPES of shapeEncoding.js)
+          float dist;
+          if (v_shape < 0.5) {
+              dist = length(p);                                      // circle
+          } else if (v_shape < 1.5) {
+              dist = max(a.x, a.y) * 1.15;                           // square
+          } else if (v_shape < 2.5) {
+              dist = max(a.x * 0.866 + p.y * 0.5, -p.y) * 2.0;       // triangle
+          } else if (v_shape < 3.5) {
+              dist = a.x + a.y;                                      // diamond
+          } else {
+              dist = min(max(a.x * 3.0, a.y), max(a.x, a.y * 3.0));  // cross
+          }
           
           // Better anti-aliasing with smoother falloff
           float alpha = smoothstep(0.5, 0.35, dist) * v_color.a;
           
-          // Discard fragments outside the circle
+          // Discard fragments outside the shape
           if (dist > 0.5) discard;
+
+          // Picking colors are IDs: no anti-aliasing, no blending
+          if (u_pass == 1.0) {
+              gl_FragColor = v_color;
+              return;
+          }
           
           // Premultiply alpha for proper blending
           gl_FragColor = vec4(v_color.rgb * alpha, alpha);
@@ -287,31 +707,75 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
     // Create position and color buffers
     const N = data.length;
 
-    // Create position buffer
-    const positions = new Float32Array(N * 2);
-    data.forEach((d, i) => {
-        positions[2 * i] = x0(d.x);
-        positions[2 * i + 1] = y0(d.y);
-    });
+    // Positions stay in data coordinates; the vertex shader applies x0/y0.
+    // Data streamed by the CSV worker arrives with its buffers already built.
+    // Replaced by showEmbedding, as the layout updatePositions(null) returns to
+    let basePositions = data.buffers ? data.buffers.positions : new Float32Array(N * 2);
+    if (!data.buffers) {
+        data.forEach((d, i) => {
+            basePositions[2 * i] = d.x;
+            basePositions[2 * i + 1] = d.y;
+        });
+    }
+    // Replaced by updatePositions while a projection is running
+    let positions = basePositions;
+    let [xScale, xOffset] = linearCoefficients(x0);
+    let [yScale, yOffset] = linearCoefficients(y0);
 
     const posBuf = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, posBuf);
-    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
 
-    // Create color buffer based on categorical outcome
-    const outcomes = Array.from(new Set(data.map(d => d.outcome)));
-    const colorScale = d3.scaleOrdinal(outcomes, config.colorScheme);
+    // Layout that points move away from during transitions
+    const prevPosBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, prevPosBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+
+    // Create color buffer from the color encoding, by default the categorical outcome
+    let colorEncoding = config.color || createColorEncoding(data, { field: data.mapping.outcome, scale: 'ordinal' });
 
     const colorBuf = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, colorBuf);
 
-    const colors = new Float32Array(N * 4);
-    data.forEach((d, i) => {
-        const c = d3.color(colorScale(d.outcome));
-        colors.set([c.r / 255, c.g / 255, c.b / 255, config.pointOpacity], 4 * i);
-    });
+    // Streamed buffers are colored by outcome, so they only serve the default encoding
+    const colors = data.buffers && !config.color ? data.buffers.colors : new Float32Array(N * 4);
+    if (colors !== (data.buffers && data.buffers.colors)) {
+        fillColors(colors, data, colorEncoding, config.pointOpacity);
+    }
     gl.bufferData(gl.ARRAY_BUFFER, colors, gl.STATIC_DRAW);
 
+    // Create size and opacity buffers, constant unless an encoding is given
+    let sizeEncoding = config.size || null;
+    let opacityEncoding = config.opacity || null;
+
+    const sizeBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, sizeBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, sizeEncoding, config.pointSize), gl.STATIC_DRAW);
+
+    const opacityBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, opacityBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, opacityEncoding, 1), gl.STATIC_DRAW);
+
+    // Create shape buffer, circles unless a shape encoding is given
+    let shapeEncoding = config.shape || null;
+
+    const shapeBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, shapeEncoding, 0), gl.STATIC_DRAW);
+
+    // Create emphasis buffer: 0 hides a point, values below 1 dim it
+    const emphasis = new Float32Array(N).fill(1);
+    const emphasisBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, emphasisBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, emphasis, gl.DYNAMIC_DRAW);
+
+    // Create ID buffer for GPU picking: the position of every point in data
+    const ids = new Float32Array(N);
+    for (let i = 0; i < N; i++) ids[i] = i;
+    const idBuf = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, idBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, ids, gl.STATIC_DRAW);
+
     // ───────────────────────────────────────────
     // Set up WebGL attributes and uniforms
 
@@ -321,23 +785,102 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
     gl.enableVertexAttribArray(aPosLoc);
     gl.vertexAttribPointer(aPosLoc, 2, gl.FLOAT, false, 0, 0);
 
+    // Previous position attribute
+    const aPrevPosLoc = gl.getAttribLocation(program, 'a_prevPos');
+    gl.bindBuffer(gl.ARRAY_BUFFER, prevPosBuf);
+    gl.enableVertexAttribArray(aPrevPosLoc);
+    gl.vertexAttribPointer(aPrevPosLoc, 2, gl.FLOAT, false, 0, 0);
+
     // Color attribute
     const aColLoc = gl.getAttribLocation(program, 'a_color');
     gl.bindBuffer(gl.ARRAY_BUFFER, colorBuf);
     gl.enableVertexAttribArray(aColLoc);
     gl.vertexAttribPointer(aColLoc, 4, gl.FLOAT, false, 0, 0);
 
+    // Size attribute
+    const aSizeLoc = gl.getAttribLocation(program, 'a_size');
+    gl.bindBuffer(gl.ARRAY_BUFFER, sizeBuf);
+    gl.enableVertexAttribArray(aSizeLoc);
+    gl.vertexAttribPointer(aSizeLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // Opacity attribute
+    const aOpacityLoc = gl.getAttribLocation(program, 'a_opacity');
+    gl.bindBuffer(gl.ARRAY_BUFFER, opacityBuf);
+    gl.enableVertexAttribArray(aOpacityLoc);
+    gl.vertexAttribPointer(aOpacityLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // Shape attribute
+    const aShapeLoc = gl.getAttribLocation(program, 'a_shape');
+    gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuf);
+    gl.enableVertexAttribArray(aShapeLoc);
+    gl.vertexAttribPointer(aShapeLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // Emphasis attribute
+    const aEmphasisLoc = gl.getAttribLocation(program, 'a_emphasis');
+    gl.bindBuffer(gl.ARRAY_BUFFER, emphasisBuf);
+    gl.enableVertexAttribArray(aEmphasisLoc);
+    gl.vertexAttribPointer(aEmphasisLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // ID attribute, only read by the picking pass
+    const aIdLoc = gl.getAttribLocation(program, 'a_id');
+    gl.bindBuffer(gl.ARRAY_BUFFER, idBuf);
+    gl.enableVertexAttribArray(aIdLoc);
+    gl.vertexAttribPointer(aIdLoc, 1, gl.FLOAT, false, 0, 0);
+
+    // Attribute pointers of the point program, restored after drawing with another program
+    const pointAttributes = [
+        [aPosLoc, posBuf, 2],
+        [aPrevPosLoc, prevPosBuf, 2],
+        [aColLoc, colorBuf, 4],
+        [aSizeLoc, sizeBuf, 1],
+        [aOpacityLoc, opacityBuf, 1],
+        [aShapeLoc, shapeBuf, 1],
+        [aEmphasisLoc, emphasisBuf, 1],
+        [aIdLoc, idBuf, 1]
+    ];
+
     // Set up uniform locations
+    const uDomainScaleLoc = gl.getUniformLocation(program, 'u_domainScale');
+    const uDomainOffsetLoc = gl.getUniformLocation(program, 'u_domainOffset');
+    const uPrevDomainScaleLoc = gl.getUniformLocation(program, 'u_prevDomainScale');
+    const uPrevDomainOffsetLoc = gl.getUniformLocation(program, 'u_prevDomainOffset');
+    const uProgressLoc = gl.getUniformLocation(program, 'u_progress');
     const uTransLoc = gl.getUniformLocation(program, 'u_translate');
     const uScaleLoc = gl.getUniformLocation(program, 'u_scale');
     const uViewLoc = gl.getUniformLocation(program, 'u_viewport');
     const uMarginLoc = gl.getUniformLocation(program, 'u_margin');
-    const uPointSizeLoc = gl.getUniformLocation(program, 'u_pointSize');
+    const uPixelRatioLoc = gl.getUniformLocation(program, 'u_pixelRatio');
+    const uPassLoc = gl.getUniformLocation(program, 'u_pass');
+    const uKernelSizeLoc = gl.getUniformLocation(program, 'u_kernelSize');
 
     // Set initial uniform values
+    gl.uniform2f(uDomainScaleLoc, xScale, yScale);
+    gl.uniform2f(uDomainOffsetLoc, xOffset, yOffset);
+    gl.uniform2f(uPrevDomainScaleLoc, xScale, yScale);
+    gl.uniform2f(uPrevDomainOffsetLoc, xOffset, yOffset);
+    gl.uniform1f(uProgressLoc, 1);
     gl.uniform2f(uMarginLoc, margin.left, margin.top);
-    gl.uniform2f(uViewLoc, totalWidth, totalHeight);
-    gl.uniform1f(uPointSizeLoc, config.pointSize);
+    gl.uniform1f(uPassLoc, 0);
+    gl.uniform1f(uKernelSizeLoc, config.densityBandwidth * 2);
+
+    /**
+     * Sizes the canvas backing store for the current pixel ratio. Positions
+     * are computed in CSS pixels (u_viewport); only the WebGL viewport and the
+     * point sprites are in device pixels.
+     * @param {number} w - Width in CSS pixels
+     * @param {number} h - Height in CSS pixels
+     */
+    function sizeCanvas(w, h) {
+        canvas
+            .attr('width', Math.round(w * pixelRatio))
+            .attr('height', Math.round(h * pixelRatio))
+            .style('width', `${w}px`)
+            .style('height', `${h}px`);
+        gl.viewport(0, 0, canvas.node().width, canvas.node().height);
+        gl.uniform2f(uViewLoc, w, h);
+        gl.uniform1f(uPixelRatioLoc, pixelRatio);
+    }
+    sizeCanvas(totalWidth, totalHeight);
 
     // ───────────────────────────────────────────
     // Render function with current transform state
@@ -350,63 +893,574 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
         gl.clear(gl.COLOR_BUFFER_BIT);
         gl.uniform2f(uTransLoc, currentTransform.x, currentTransform.y);
         gl.uniform1f(uScaleLoc, currentTransform.k);
+
+        if (renderMode === 'hexbin') {
+            scheduleHexbins();
+        } else {
+            // Densities go below the points; without float framebuffers only points are drawn
+            const densityDrawn = renderMode !== 'points' && renderDensity();
+            if (renderMode !== 'density' || !densityDrawn) gl.drawArrays(gl.POINTS, 0, N);
+        }
+        pickBufferStale = true;
+    }
+
+    // ───────────────────────────────────────────
+    // GPU picking: an offscreen pass draws every point with its index as
+    // color, so that picking reads back the point drawn on top at each pixel
+
+    let pickTexture = null;
+    let pickFramebuffer = null;
+    // Size of the pick buffer, following the canvas
+    let pickWidth = 0;
+    let pickHeight = 0;
+    // Whether the plot was redrawn since the last picking pass
+    let pickBufferStale = true;
+
+    /**
+     * Redraws the pick buffer if the plot changed since the last picking pass
+     */
+    function renderPickBuffer() {
+        const { width: w, height: h } = canvas.node();
+        if (!pickFramebuffer) {
+            pickTexture = gl.createTexture();
+            pickFramebuffer = gl.createFramebuffer();
+        }
+        if (w !== pickWidth || h !== pickHeight) {
+            gl.bindTexture(gl.TEXTURE_2D, pickTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, pickFramebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, pickTexture, 0);
+            pickWidth = w;
+            pickHeight = h;
+            pickBufferStale = true;
+        }
+        if (!pickBufferStale) return;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, pickFramebuffer);
+        gl.disable(gl.BLEND);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.uniform1f(uPassLoc, 1);
+        gl.drawArrays(gl.POINTS, 0, N);
+
+        gl.uniform1f(uPassLoc, 0);
+        gl.clearColor(1, 1, 1, 1);
+        gl.enable(gl.BLEND);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        pickBufferStale = false;
+    }
+
+    /**
+     * Reads the points drawn in a region of the plot
+     * @param {Array<number>} bounds - [x0, y0, x1, y1] in transformed plot coordinates
+     * @param {Function} visit - Called with the position of a point in data and the
+     *   plot coordinates of every pixel it covers
+     */
+    function readPickBuffer([bx0, by0, bx1, by1], visit) {
+        renderPickBuffer();
+
+        // Plot coordinates to device pixels of the canvas, clamped to the canvas
+        const r = pixelRatio;
+        const left = Math.max(0, Math.floor((bx0 + margin.left) * r));
+        const top = Math.max(0, Math.floor((by0 + margin.top) * r));
+        const right = Math.min(pickWidth, Math.ceil((bx1 + margin.left) * r) + 1);
+        const bottom = Math.min(pickHeight, Math.ceil((by1 + margin.top) * r) + 1);
+        const w = right - left;
+        const h = bottom - top;
+        if (w <= 0 || h <= 0) return;
+
+        // WebGL rows start at the bottom of the canvas
+        const pixels = new Uint8Array(w * h * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, pickFramebuffer);
+        gl.readPixels(left, pickHeight - bottom, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // Pixels are visited at their centers, back in plot coordinates
+        for (let row = 0; row < h; row++) {
+            const py = (bottom - row - 0.5) / r - margin.top;
+            for (let col = 0; col < w; col++) {
+                const o = 4 * (row * w + col);
+                const id = pixels[o] + pixels[o + 1] * 256 + pixels[o + 2] * 65536;
+                if (id > 0) visit(id - 1, (left + col + 0.5) / r - margin.left, py);
+            }
+        }
+    }
+
+    // ───────────────────────────────────────────
+    // Density rendering: every point adds a kernel to a float framebuffer,
+    // whose sums are then tone-mapped onto the canvas (see density.js)
+
+    let renderMode = config.renderMode;
+    let densityRamp = config.densityRamp;
+    // WebGL resources, created the first time densities are drawn; false when unsupported
+    let densityLayer = null;
+
+    /**
+     * Creates the density framebuffer and the tone mapping program
+     * @returns {Object|false} Layer resources, or false without float render targets
+     */
+    function createDensityLayer() {
+        // Float32 targets need blending support; half floats can always be blended
+        const floatTexture = gl.getExtension('OES_texture_float');
+        const floatBuffer = gl.getExtension('WEBGL_color_buffer_float');
+        const floatBlend = gl.getExtension('EXT_float_blend');
+        const halfFloatTexture = gl.getExtension('OES_texture_half_float');
+        const halfFloatBuffer = gl.getExtension('EXT_color_buffer_half_float');
+        const types = [
+            floatTexture && floatBuffer && floatBlend ? gl.FLOAT : null,
+            halfFloatTexture && halfFloatBuffer ? halfFloatTexture.HALF_FLOAT_OES : null
+        ].filter(t => t !== null);
+
+        const texture = gl.createTexture();
+        const framebuffer = gl.createFramebuffer();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+        // Keep the first type the driver accepts as a render target
+        const { width: w, height: h } = canvas.node();
+        const type = types.find(t => {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, t, null);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            return gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        if (type === undefined) {
+            gl.deleteFramebuffer(framebuffer);
+            gl.deleteTexture(texture);
+            console.warn('Density rendering needs float framebuffers, which this browser does not support');
+            return false;
+        }
+
+        // Tone mapping: one quad over the canvas reading the density sums
+        const toneProgram = gl.createProgram();
+        gl.attachShader(toneProgram, compileShader(`
+          attribute vec2 a_corner;
+          varying vec2 v_uv;
+
+          void main() {
+              v_uv = a_corner * 0.5 + 0.5;
+              gl_Position = vec4(a_corner, 0, 1);
+          }
+        `, gl.VERTEX_SHADER));
+        gl.attachShader(toneProgram, compileShader(`
+          #ifdef GL_FRAGMENT_PRECISION_HIGH
+          precision highp float;
+          #else
+          precision mediump float;
+          #endif
+          uniform sampler2D u_density;
+          uniform sampler2D u_ramp;
+          uniform float u_peak;
+          uniform float u_byCategory;
+          varying vec2 v_uv;
+
+          void main() {
+              vec4 sum = texture2D(u_density, v_uv);
+              if (sum.a < 0.001) discard;
+
+              // Log scale up to the estimated peak, so that sparse areas stay visible
+              float t = clamp(log(1.0 + sum.a) / log(1.0 + u_peak), 0.0, 1.0);
+              vec3 rgb = u_byCategory > 0.5 ? sum.rgb / sum.a : texture2D(u_ramp, vec2(t, 0.5)).rgb;
+              gl_FragColor = vec4(rgb * t, t);
+          }
+        `, gl.FRAGMENT_SHADER));
+        gl.linkProgram(toneProgram);
+        if (!gl.getProgramParameter(toneProgram, gl.LINK_STATUS)) {
+            throw new Error(`Could not link the density program: ${gl.getProgramInfoLog(toneProgram)}`);
+        }
+
+        const cornerBuf = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+        const rampTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, rampTexture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        return {
+            texture,
+            framebuffer,
+            type,
+            width: w,
+            height: h,
+            toneProgram,
+            cornerBuf,
+            rampTexture,
+            ramp: null,
+            aCornerLoc: gl.getAttribLocation(toneProgram, 'a_corner'),
+            uDensityLoc: gl.getUniformLocation(toneProgram, 'u_density'),
+            uRampLoc: gl.getUniformLocation(toneProgram, 'u_ramp'),
+            uPeakLoc: gl.getUniformLocation(toneProgram, 'u_peak'),
+            uByCategoryLoc: gl.getUniformLocation(toneProgram, 'u_byCategory')
+        };
+    }
+
+    // Scanning every point for the peak density is too slow for every frame, so
+    // peaks are kept until the layout, the emphasis or the plot size changes,
+    // or a zoom gesture ends. During the gesture the kernels keep their size on
+    // screen while the points spread by the zoom factor, so the last peak is
+    // scaled by the inverse square of its change. While a transition runs, the
+    // points drawn lie between its start and end layouts, and so does the peak.
+    let densityPeaks = null;
+    let layoutVersion = 0;
+    let emphasisVersion = 0;
+    let viewVersion = 0;
+    let zooming = false;
+    // Positions and scales the running transition starts from, and its eased progress
+    let transitionStart = null;
+    let transitionProgress = 1;
+
+    /**
+     * Estimates the peak density of a layout in the current view
+     * @param {Object} layout - `{ positions, xScale, xOffset, yScale, yOffset }`
+     * @returns {number} Largest weighted count of points in a kernel-sized cell
+     */
+    function layoutPeakDensity(layout) {
+        const { k, x: tx, y: ty } = currentTransform;
+        return estimatePeakDensity((i, out) => {
+            if (emphasis[i] === 0) return false;
+            out[0] = (layout.positions[2 * i] * layout.xScale + layout.xOffset) * k + tx;
+            out[1] = (layout.positions[2 * i + 1] * layout.yScale + layout.yOffset) * k + ty;
+            return true;
+        }, N, { width, height, cellSize: config.densityBandwidth, weight: i => emphasis[i] });
+    }
+
+    /**
+     * Returns the peak density of the points as drawn
+     * @returns {number} Peak the densities are tone-mapped against
+     */
+    function densityPeak() {
+        const { k } = currentTransform;
+        const view = [width, height, layoutVersion, emphasisVersion];
+        const stale = !densityPeaks || view.some((v, i) => v !== densityPeaks.view[i]);
+        if (stale || (!zooming && densityPeaks.viewVersion !== viewVersion)) {
+            const end = layoutPeakDensity({ positions, xScale, xOffset, yScale, yOffset });
+            const start = transitionStart ? layoutPeakDensity(transitionStart) : end;
+            densityPeaks = { view, viewVersion, k, start, end };
+        }
+        const { start, end } = densityPeaks;
+        const peak = transitionStart ? start + (end - start) * transitionProgress : end;
+        return Math.max(1, peak * (densityPeaks.k / k) ** 2);
+    }
+
+    /**
+     * Draws the densities onto the canvas
+     * @returns {boolean} False if densities cannot be drawn in this browser
+     */
+    function renderDensity() {
+        if (densityLayer === null) {
+            try {
+                densityLayer = createDensityLayer();
+            } catch (error) {
+                console.error('Density rendering failed:', error);
+                densityLayer = false;
+            }
+        }
+        if (!densityLayer) return false;
+        const layer = densityLayer;
+
+        // Follow the size of the canvas
+        const { width: w, height: h } = canvas.node();
+        if (w !== layer.width || h !== layer.height) {
+            gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, w, h, 0, gl.RGBA, layer.type, null);
+            layer.width = w;
+            layer.height = h;
+        }
+        if (densityRamp !== 'category' && layer.ramp !== densityRamp) {
+            gl.bindTexture(gl.TEXTURE_2D, layer.rampTexture);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, RAMP_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE,
+                rampPixels(densityRamp));
+            layer.ramp = densityRamp;
+        }
+
+        // Accumulate the kernels
+        gl.bindFramebuffer(gl.FRAMEBUFFER, layer.framebuffer);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.uniform1f(uPassLoc, 2);
         gl.drawArrays(gl.POINTS, 0, N);
+        gl.uniform1f(uPassLoc, 0);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        gl.clearColor(1, 1, 1, 1);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // Tone-map the sums onto the canvas
+        const peak = densityPeak();
+
+        gl.useProgram(layer.toneProgram);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, layer.texture);
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, layer.rampTexture);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.uniform1i(layer.uDensityLoc, 0);
+        gl.uniform1i(layer.uRampLoc, 1);
+        gl.uniform1f(layer.uPeakLoc, peak);
+        gl.uniform1f(layer.uByCategoryLoc, densityRamp === 'category' ? 1 : 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, layer.cornerBuf);
+        gl.vertexAttribPointer(layer.aCornerLoc, 2, gl.FLOAT, false, 0, 0);
+        gl.enableVertexAttribArray(layer.aCornerLoc);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+        // Back to the point program, whose attribute may share the corner's location
+        gl.useProgram(program);
+        pointAttributes.forEach(([loc, buf, size]) => {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+            gl.enableVertexAttribArray(loc);
+            gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+        });
+        return true;
+    }
+
+    /**
+     * Switches between points, densities or both
+     * @param {Object} choice - `{ mode, ramp }`, keys of RENDER_MODES and DENSITY_RAMPS
+     */
+    function setRenderMode({ mode, ramp }) {
+        renderMode = mode;
+        densityRamp = ramp;
+        if (mode !== 'hexbin') clearHexbins();
+        tooltip.style('display', 'none');
+        renderGL();
+    }
+
+    // ───────────────────────────────────────────
+    // Hexagonal bins: the points on screen are aggregated again whenever the
+    // view changes, and drawn as SVG hexagons (see hexbin.js)
+
+    let hexbinColorChoice = config.hexbinColor;
+    // Bins hold the outcomes of their points, whatever the color encoding
+    const outcomeEncoding = createColorEncoding(data, { field: data.mapping.outcome, scale: 'ordinal' });
+    // Latest aggregation, searched when hovering; null outside the hexbin mode
+    let hexbins = null;
+    // Pending redraw, so that the zoom events of one frame aggregate once
+    let hexbinFrame = null;
+
+    /**
+     * Redraws the bins at the next animation frame
+     */
+    function scheduleHexbins() {
+        if (hexbinFrame === null) hexbinFrame = requestAnimationFrame(drawHexbins);
+    }
+
+    /**
+     * Aggregates the visible points and draws their bins
+     */
+    function drawHexbins() {
+        hexbinFrame = null;
+        if (renderMode !== 'hexbin') return;
+
+        const { k, x: tx, y: ty } = currentTransform;
+        hexbins = aggregateHexbins((i, out) => {
+            if (emphasis[i] === 0) return false; // Hidden from the legend
+            out[0] = (positions[2 * i] * xScale + xOffset) * k + tx;
+            out[1] = (positions[2 * i + 1] * yScale + yOffset) * k + ty;
+            return true;
+        }, N, {
+            width,
+            height,
+            radius: config.hexbinRadius,
+            category: i => outcomeEncoding.category(data[i])
+        });
+
+        // Areas are proportional to the counts; bins without highlighted points are dimmed
+        const radius = d3.scaleSqrt([0, hexbins.maxCount], [0, config.hexbinRadius]);
+        hexbinG.selectAll('path')
+            .data(hexbins.bins)
+            .join('path')
+            .attr('transform', bin => `translate(${bin.x},${bin.y})`)
+            .attr('d', bin => hexagonPath(radius(bin.indices.length)))
+            .attr('fill', bin => hexbinColor(bin, hexbinColorChoice))
+            .attr('fill-opacity', bin => bin.indices.some(i => emphasis[i] === 1) ? 1 : config.dimmedOpacity);
+        hexOutline.style('display', 'none');
+    }
+
+    /**
+     * Removes the bins when leaving the hexbin mode
+     */
+    function clearHexbins() {
+        if (hexbinFrame !== null) cancelAnimationFrame(hexbinFrame);
+        hexbinFrame = null;
+        hexbins = null;
+        hexbinG.selectAll('*').remove();
+        hexOutline.style('display', 'none');
+    }
+
+    /**
+     * Recolors the bins
+     * @param {string} color - 'dominant' or the outcome whose share is shown
+     */
+    function setHexbinColor(color) {
+        hexbinColorChoice = color;
+        if (renderMode === 'hexbin') scheduleHexbins();
     }
 
     // Initial render
     renderGL();
 
+    // Timer of the running layout transition
+    let transition = null;
+
+    /**
+     * Replaces the point positions, refitting the scales to the new layout
+     * @param {Float32Array|null} next - Interleaved positions in data order,
+     *   or null to restore the positions the plot was drawn with
+     * @param {Object} [options] - Update options
+     * @param {number} [options.duration=0] - Length of the animated transition in milliseconds
+     */
+    function updatePositions(next, { duration = 0 } = {}) {
+        if (transition) {
+            transition.stop();
+            transition = null;
+        }
+        transitionStart = duration > 0 ? { positions, xScale, xOffset, yScale, yOffset } : null;
+        transitionProgress = duration > 0 ? 0 : 1;
+        layoutVersion++;
+
+        // Points start from where they are drawn now (exact unless a
+        // transition was interrupted, in which case they jump to its target)
+        gl.bindBuffer(gl.ARRAY_BUFFER, prevPosBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+        gl.uniform2f(uPrevDomainScaleLoc, xScale, yScale);
+        gl.uniform2f(uPrevDomainOffsetLoc, xOffset, yOffset);
+
+        positions = next || basePositions;
+        scheduleSpatialIndex();
+        fitDomains(positionExtent(positions, 0), positionExtent(positions, 1));
+        [xScale, xOffset] = linearCoefficients(x0);
+        [yScale, yOffset] = linearCoefficients(y0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, posBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, positions, gl.DYNAMIC_DRAW);
+        gl.uniform2f(uDomainScaleLoc, xScale, yScale);
+        gl.uniform2f(uDomainOffsetLoc, xOffset, yOffset);
+
+        if (duration > 0) {
+            gl.uniform1f(uProgressLoc, 0);
+            transition = d3.timer(elapsed => {
+                const t = Math.min(1, elapsed / duration);
+                transitionProgress = d3.easeCubicInOut(t);
+                if (t === 1) {
+                    transition.stop();
+                    transition = null;
+                    transitionStart = null;
+                }
+                gl.uniform1f(uProgressLoc, transitionProgress);
+                renderGL();
+            });
+        } else {
+            gl.uniform1f(uProgressLoc, 1);
+        }
+
+        if (config.showAxes) {
+            xAxisG.call(d3.axisBottom(currentTransform.rescaleX(x0)));
+            yAxisG.call(d3.axisLeft(currentTransform.rescaleY(y0)));
+        }
+        hoverDot.style('display', 'none');
+        tooltip.style('display', 'none');
+        renderGL();
+    }
+
     // ───────────────────────────────────────────
-    // Efficient nearest point lookup with early bailout
+    // Nearest point lookup through a spatial index of the current layout
+
+    // Built when the page is idle after the positions change, so that neither
+    // the first hover nor every step of a running projection waits for it;
+    // lookups find nothing until it is ready
+    let spatialIndex = null;
+    let cancelSpatialIndex = null;
+
+    /**
+     * Drops the index of the previous positions and schedules one of the current ones
+     */
+    function scheduleSpatialIndex() {
+        if (cancelSpatialIndex) cancelSpatialIndex();
+        spatialIndex = null;
+        cancelSpatialIndex = config.picking === 'gpu' ? null : whenIdle(() => {
+            cancelSpatialIndex = null;
+            spatialIndex = createSpatialIndex(positions);
+        });
+    }
+
+    scheduleSpatialIndex();
 
     /**
      * Finds the nearest data point to the given mouse position
      * @param {number} mx - Mouse X position (in transformed coordinates)
      * @param {number} my - Mouse Y position (in transformed coordinates)
      * @param {number} threshold - Maximum distance to consider (in pixels)
-     * @returns {Object|null} Nearest data point or null if none within threshold
+     * @returns {number} Index of the nearest data point, or -1 if none within threshold
      */
     function findNearest(mx, my, threshold = config.hoverRadius) {
         // Ensure we have valid coordinates
         if (isNaN(mx) || isNaN(my)) {
             console.warn('Invalid coordinates for findNearest:', mx, my);
-            return null;
+            return -1;
         }
-        let minD2 = Infinity;
-        let best = null;
-        const thresholdSquared = threshold * threshold;
-
-        // For large datasets, consider implementing a spatial index
-        // like a quadtree for better performance
-        for (let i = 0; i < N; i++) {
-            const px = positions[2 * i] * currentTransform.k + currentTransform.x;
-            const py = positions[2 * i + 1] * currentTransform.k + currentTransform.y;
-            const dx = px - mx;
-            const dy = py - my;
-            const d2 = dx * dx + dy * dy;
-
-            // Early bailout if we're far from the point
-            if (d2 > thresholdSquared) continue;
+        if (config.picking === 'gpu') return pickNearest(mx, my, threshold);
+        if (!spatialIndex) return -1;
+
+        // Query in data space: undo the zoom, then the scales
+        const { k } = currentTransform;
+        const [tx, ty] = currentTransform.invert([mx, my]);
+
+        // A degenerate axis draws every point on its middle line (see
+        // linearCoefficients): the distance along it is the same for all points
+        const gapX = xScale ? 0 : (tx - xOffset) * k;
+        const gapY = yScale ? 0 : (ty - yOffset) * k;
+        const radius2 = threshold * threshold - gapX * gapX - gapY * gapY;
+        if (radius2 < 0) return -1;
+
+        return spatialIndex.find(xScale ? (tx - xOffset) / xScale : 0, yScale ? (ty - yOffset) / yScale : 0, {
+            sx: xScale * k,
+            sy: yScale * k,
+            radius: Math.sqrt(radius2),
+            accept: i => emphasis[i] !== 0 // Hidden from the legend
+        });
+    }
 
-            if (d2 < minD2) {
+    /**
+     * Finds the point drawn nearest to the mouse position in the pick buffer
+     * @param {number} mx - Mouse X position (in transformed coordinates)
+     * @param {number} my - Mouse Y position (in transformed coordinates)
+     * @param {number} threshold - Maximum distance to consider (in pixels)
+     * @returns {number} Index of the point covering the nearest pixel, or -1 if none within threshold
+     */
+    function pickNearest(mx, my, threshold) {
+        let minD2 = threshold * threshold;
+        let best = -1;
+        readPickBuffer([mx - threshold, my - threshold, mx + threshold, my + threshold], (i, px, py) => {
+            const d2 = (px - mx) * (px - mx) + (py - my) * (py - my);
+            if (d2 <= minD2) {
                 minD2 = d2;
-                best = data[i];
+                best = i;
             }
-        }
-
+        });
         return best;
     }
 
     // ───────────────────────────────────────────
     // Create hover indicator layer
-    const hoverLayer = container.append('svg')
+    const hoverRoot = container.append('svg')
         .attr('width', totalWidth)
         .attr('height', totalHeight)
         .style('position', 'absolute')
         .style('top', 0)
         .style('left', 0)
-        .style('pointer-events', 'none')
-        .append('g')
+        .style('pointer-events', 'none');
+    const hoverLayer = hoverRoot.append('g')
         .attr('class', 'hover-layer');
 
     // Create hover indicator circle
@@ -418,29 +1472,165 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
         .style('pointer-events', 'none')
         .style('display', 'none');
 
+    // Outline of the hovered hexagonal bin, at its full size
+    const hexOutline = hoverLayer.append('path')
+        .attr('d', hexagonPath(config.hexbinRadius))
+        .attr('stroke', 'darkgray')
+        .attr('stroke-width', 1.5)
+        .attr('fill', 'none')
+        .style('display', 'none');
+
     // ───────────────────────────────────────────
     // Draw legend with better styling
-    outcomes.forEach((outcome, i) => {
-        const row = legendG.append('g')
-            .attr('transform', `translate(0, ${i * 20})`)
-            .attr('class', 'legend-item');
-
-        // Legend color box
-        row.append('rect')
-            .attr('width', 12)
-            .attr('height', 12)
-            .attr('rx', 2)
-            .attr('ry', 2)
-            .attr('fill', colorScale(outcome));
-
-        // Legend text
-        row.append('text')
-            .attr('x', 16)
-            .attr('y', 10)
-            .attr('font-size', '12px')
-            .attr('alignment-baseline', 'middle')
-            .text(outcome);
-    });
+    // Points in the current selection (empty when nothing is selected)
+    const selectedMask = new Uint8Array(N);
+    let hasSelection = false;
+
+    // Categories hidden from the legend, and the one hovered in it
+    const hiddenCategories = new Set();
+    let highlightedCategory = null;
+    // Legend title; the default outcome legend has none
+    let colorTitle = config.color ? colorEncoding.field : null;
+
+    /**
+     * Draws the color legend; categorical entries toggle, isolate and highlight their points
+     */
+    function drawColorLegend() {
+        renderColorLegend(colorLegendG, colorEncoding, {
+            title: colorTitle,
+            onSwatchClick: pickCategoryColor,
+            hidden: hiddenCategories,
+            onToggle: (category, event) => {
+                // With a modifier key, the entry combines its points with the selection instead
+                if (config.onSelect && (event.shiftKey || event.altKey)) {
+                    const inCategory = data.filter(d => colorEncoding.category(d) === category);
+                    config.onSelect(inCategory.map(d => d.index), event);
+                    return;
+                }
+                if (!hiddenCategories.delete(category)) hiddenCategories.add(category);
+                updateEmphasis();
+                drawColorLegend();
+            },
+            onIsolate: category => {
+                const others = colorEncoding.legend.items.map(e => e.value).filter(v => v !== category);
+                const isolated = !hiddenCategories.has(category) && others.every(v => hiddenCategories.has(v));
+                hiddenCategories.clear();
+                // Isolating the only visible category shows every category again
+                if (!isolated) others.forEach(v => hiddenCategories.add(v));
+                updateEmphasis();
+                drawColorLegend();
+            },
+            onHighlight: category => {
+                highlightedCategory = category;
+                updateEmphasis();
+            }
+        });
+    }
+
+    /**
+     * Recomputes which points are hidden or dimmed from the legend state and the selection
+     */
+    function updateEmphasis() {
+        const category = colorEncoding.category;
+        const highlight = highlightedCategory !== null && !hiddenCategories.has(highlightedCategory);
+
+        for (let i = 0; i < N; i++) {
+            const c = category ? category(data[i]) : null;
+            if (hiddenCategories.has(c)) emphasis[i] = 0;
+            else if (highlight && c !== highlightedCategory) emphasis[i] = config.dimmedOpacity;
+            else if (hasSelection && !selectedMask[i]) emphasis[i] = config.dimmedOpacity;
+            else emphasis[i] = 1;
+        }
+        emphasisVersion++;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, emphasisBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, emphasis, gl.DYNAMIC_DRAW);
+        hoverDot.style('display', 'none');
+        tooltip.style('display', 'none');
+        renderGL();
+    }
+
+    drawColorLegend();
+    renderChannelLegends();
+
+    /**
+     * Draws the size and shape legends, if any, stacked below the color legend
+     */
+    function renderChannelLegends() {
+        const colorBox = colorLegendG.node().getBBox();
+        let top = colorBox.y + colorBox.height + 16;
+
+        [
+            [sizeLegendG, sizeEncoding, renderSizeLegend],
+            [shapeLegendG, shapeEncoding, renderShapeLegend]
+        ].forEach(([g, encoding, render]) => {
+            g.selectAll('*').remove();
+            if (!encoding) return;
+            render(g, encoding);
+            g.attr('transform', `translate(0, ${top})`);
+            const box = g.node().getBBox();
+            top += box.y + box.height + 16;
+        });
+    }
+
+    /**
+     * Recolors the points and redraws the legend
+     * @param {Object|null} encoding - Encoding from createColorEncoding, or null for the outcome colors
+     */
+    function setColorEncoding(encoding) {
+        const previous = colorEncoding;
+        colorEncoding = encoding || createColorEncoding(data, { field: data.mapping.outcome, scale: 'ordinal' });
+        colorTitle = encoding ? colorEncoding.field : null;
+        const next = new Float32Array(N * 4);
+        fillColors(next, data, colorEncoding, config.pointOpacity);
+        gl.bindBuffer(gl.ARRAY_BUFFER, colorBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, next, gl.STATIC_DRAW);
+
+        // Hidden categories survive a recoloring, not a change of attribute
+        if (previous.field !== colorEncoding.field || previous.scale !== colorEncoding.scale) {
+            hiddenCategories.clear();
+            highlightedCategory = null;
+        }
+
+        drawColorLegend();
+        renderChannelLegends();
+        updateEmphasis();
+    }
+
+    /**
+     * Resizes the points and redraws the size legend
+     * @param {Object|null} encoding - Encoding from createSizeEncoding, or null for the constant size
+     */
+    function setSizeEncoding(encoding) {
+        sizeEncoding = encoding;
+        gl.bindBuffer(gl.ARRAY_BUFFER, sizeBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, sizeEncoding, config.pointSize), gl.STATIC_DRAW);
+        renderChannelLegends();
+        renderGL();
+    }
+
+    /**
+     * Changes the marker shapes and redraws the shape legend
+     * @param {Object|null} encoding - Encoding from createShapeEncoding, or null for circles
+     */
+    function setShapeEncoding(encoding) {
+        shapeEncoding = encoding;
+        gl.bindBuffer(gl.ARRAY_BUFFER, shapeBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, shapeEncoding, 0), gl.STATIC_DRAW);
+        renderChannelLegends();
+        renderGL();
+    }
+
+    /**
+     * Changes the opacity of the points
+     * @param {Object|null} encoding - Encoding from createOpacityEncoding, or null for the constant opacity
+     */
+    function setOpacityEncoding(encoding) {
+        opacityEncoding = encoding;
+        gl.bindBuffer(gl.ARRAY_BUFFER, opacityBuf);
+        gl.bufferData(gl.ARRAY_BUFFER, scalarBuffer(data, opacityEncoding, 1), gl.STATIC_DRAW);
+        renderGL();
+    }
 
     // ───────────────────────────────────────────
     // Create transparent rectangle to capture mouse events
@@ -450,22 +1640,212 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
         .style('fill', 'none')
         .style('pointer-events', 'all');
 
+    // Keep the legend clickable above the event rectangle
+    legendG.raise();
+
+    // ───────────────────────────────────────────
+    // Selection of points by rectangle or lasso
+    let mode = config.mode;
+    const selectionOutline = svg.append('path')
+        .attr('class', 'selection-outline')
+        .style('display', 'none');
+
+    /**
+     * Highlights the given points
+     * @param {Iterable<number>} indices - Record indices (`d.index`) of the selected points
+     */
+    function setSelection(indices) {
+        const wanted = new Set(indices);
+        selectedMask.fill(0);
+        data.forEach((d, i) => {
+            if (wanted.has(d.index)) selectedMask[i] = 1;
+        });
+        hasSelection = wanted.size > 0;
+        updateEmphasis();
+    }
+
+    /**
+     * Finds the visible points inside a region drawn on the plot
+     * @param {Function} contains - Tests plot coordinates `(x, y)`
+     * @param {Array<number>} bounds - [x0, y0, x1, y1] bounding box of the region
+     * @returns {Array<number>} Record indices of the points inside
+     */
+    function pointsInside(contains, [bx0, by0, bx1, by1]) {
+        // The pick buffer only holds the points drawn on top
+        if (config.picking === 'gpu') {
+            const inside = new Set();
+            readPickBuffer([bx0, by0, bx1, by1], (i, px, py) => {
+                if (contains(px, py)) inside.add(data[i].index);
+            });
+            return Array.from(inside);
+        }
+
+        const { k, x: tx, y: ty } = currentTransform;
+        const indices = [];
+        for (let i = 0; i < N; i++) {
+            if (emphasis[i] === 0) continue; // Hidden from the legend
+
+            const px = (positions[2 * i] * xScale + xOffset) * k + tx;
+            const py = (positions[2 * i + 1] * yScale + yOffset) * k + ty;
+            if (px < bx0 || px > bx1 || py < by0 || py > by1) continue;
+            if (contains(px, py)) indices.push(data[i].index);
+        }
+        return indices;
+    }
+
+    // Renders the tooltip of a point; by default the outcome only
+    let tooltipTemplate = config.tooltip || (d => `<div><strong>Outcome:</strong> ${escapeHtml(d.outcome)}</div>`);
+
+    /**
+     * Changes what the tooltip shows
+     * @param {Function} template - Renders the escaped tooltip HTML of a point
+     */
+    function setTooltip(template) {
+        tooltipTemplate = template;
+        tooltip.style('display', 'none');
+    }
+
+    // ───────────────────────────────────────────
+    // Pinned tooltips: cards that stay until closed and can be dragged around
+    const pinnedCards = new Map();
+
+    /**
+     * Pins the tooltip of a point, or brings it to the front if already pinned
+     * @param {number} i - Position of the point in data
+     * @param {Array<number>} at - Position of the click relative to the chart container
+     */
+    function pinTooltip(i, [left, top]) {
+        if (pinnedCards.has(i)) {
+            pinnedCards.get(i).raise();
+            return;
+        }
+
+        const card = container.append('div')
+            .attr('class', 'tooltip-card')
+            .style('left', `${left + 10}px`)
+            .style('top', `${top + 10}px`);
+        card.append('button')
+            .attr('type', 'button')
+            .attr('class', 'btn-close tooltip-card-close')
+            .attr('aria-label', 'Unpin')
+            .on('click', () => {
+                card.remove();
+                pinnedCards.delete(i);
+            });
+        card.append('div').html(tooltipTemplate(data[i]));
+
+        card.call(d3.drag()
+            .filter(event => !event.button && !event.target.closest('button'))
+            .on('start', () => card.raise())
+            .on('drag', event => {
+                card
+                    .style('left', `${parseFloat(card.style('left')) + event.dx}px`)
+                    .style('top', `${parseFloat(card.style('top')) + event.dy}px`);
+            }));
+
+        pinnedCards.set(i, card);
+    }
+
+    /**
+     * Switches between panning and drawing selections
+     * @param {string} next - 'pan', 'rectangle' or 'lasso'
+     */
+    function setMode(next) {
+        mode = next;
+        zoomRect.style('cursor', mode === 'pan' ? null : 'crosshair');
+    }
+
+    // Points of the region being drawn, in plot coordinates
+    let region = [];
+
+    const selectionDrag = d3.drag()
+        .filter(event => mode !== 'pan' && !event.button)
+        .on('start', event => {
+            region = [[event.x, event.y]];
+            hoverDot.style('display', 'none');
+            tooltip.style('display', 'none');
+            selectionOutline.style('display', '');
+        })
+        .on('drag', event => {
+            if (mode === 'rectangle') region = [region[0], [event.x, event.y]];
+            else region.push([event.x, event.y]);
+
+            if (mode === 'rectangle') {
+                const [[ax, ay], [bx, by]] = region;
+                selectionOutline.attr('d', `M${ax},${ay}H${bx}V${by}H${ax}Z`);
+            } else {
+                selectionOutline.attr('d', `M${region.join('L')}Z`);
+            }
+        })
+        .on('end', event => {
+            selectionOutline.style('display', 'none').attr('d', null);
+
+            let indices = [];
+            if (region.length > 1) {
+                const xs = region.map(p => p[0]);
+                const ys = region.map(p => p[1]);
+                const bounds = [d3.min(xs), d3.min(ys), d3.max(xs), d3.max(ys)];
+                const contains = mode === 'rectangle'
+                    ? () => true
+                    : (px, py) => d3.polygonContains(region, [px, py]);
+                indices = pointsInside(contains, bounds);
+            }
+            region = [];
+
+            // A click without dragging clears the selection
+            if (config.onSelect) config.onSelect(indices, event.sourceEvent);
+            else setSelection(indices);
+        });
+
+    setMode(mode);
+
     // ───────────────────────────────────────────
     // Add zoom and hover behavior
+    const zoom = d3.zoom()
+        .scaleExtent([config.minZoom, config.maxZoom])
+        // While selecting, dragging draws the selection and only the wheel zooms
+        .filter(event => (mode === 'pan' || event.type === 'wheel') &&
+            (!event.ctrlKey || event.type === 'wheel') && !event.button)
+        .on('start', () => {
+            zooming = true;
+        })
+        .on('zoom', function (event) {
+            // Update current transform and re-render
+            currentTransform = event.transform;
+            viewVersion++;
+            renderGL();
+
+            // Update axes if they exist
+            if (config.showAxes) {
+                xAxisG.call(d3.axisBottom(event.transform.rescaleX(x0)));
+                yAxisG.call(d3.axisLeft(event.transform.rescaleY(y0)));
+            }
+        })
+        .on('end', () => {
+            zooming = false;
+            // Densities were tone-mapped against an estimated peak during the gesture
+            if (renderMode === 'density' || renderMode === 'both') renderGL();
+        });
+
     zoomRect
         .on('mousemove', (event) => {
             const [mx, my] = d3.pointer(event); // relative to the <g> (already margin-translated)
-            const d = findNearest(mx, my);
+            if (renderMode === 'hexbin') {
+                showBinTooltip(mx, my, event);
+                return;
+            }
+            const i = findNearest(mx, my);
 
-            if (!d) {
+            if (i === -1) {
                 hoverDot.style('display', 'none');
                 tooltip.style('display', 'none');
                 return;
             }
 
             // Calculate screen coordinates with current transform
-            const xScreen = margin.left + (x0(d.x) * currentTransform.k + currentTransform.x);
-            const yScreen = margin.top + (y0(d.y) * currentTransform.k + currentTransform.y);
+            const d = data[i];
+            const xScreen = margin.left + (x0(positions[2 * i]) * currentTransform.k + currentTransform.x);
+            const yScreen = margin.top + (y0(positions[2 * i + 1]) * currentTransform.k + currentTransform.y);
 
             // Show hover indicator
             hoverDot
@@ -475,9 +1855,7 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
 
             // Show tooltip with formatted information
             tooltip
-                .html(`
-            <div><strong>Outcome:</strong> ${d.outcome}</div>
-          `)
+                .html(tooltipTemplate(d))
                 .style('left', `${event.pageX + 10}px`)
                 .style('top', `${event.pageY - 28}px`)
                 .style('display', '')
@@ -485,25 +1863,63 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
         .on('mouseout', function () {
             // Hide hover indicator and tooltip when mouse leaves
             hoverDot.style('display', 'none');
+            hexOutline.style('display', 'none');
             tooltip.style('display', 'none');
         })
-        .call(d3.zoom()
-            .scaleExtent([config.minZoom, config.maxZoom])
-            .on('zoom', function (event) {
-                // Update current transform and re-render
-                currentTransform = event.transform;
-                renderGL();
+        .on('click', (event) => {
+            // Clicking a bin selects its cases, combined with the selection as for legend entries
+            if (renderMode === 'hexbin') {
+                const bin = hexbins && hexbins.find(...d3.pointer(event));
+                if (!bin) return;
+                const indices = bin.indices.map(i => data[i].index);
+                if (config.onSelect) config.onSelect(indices, event);
+                else setSelection(indices);
+                return;
+            }
 
-                // Update axes if they exist
-                if (config.showAxes) {
-                    xAxisG.call(d3.axisBottom(event.transform.rescaleX(x0)));
-                    yAxisG.call(d3.axisLeft(event.transform.rescaleY(y0)));
-                }
-            })
-        );
+            // Clicking a point pins its tooltip and reports the case
+            const i = findNearest(...d3.pointer(event));
+            if (i === -1) return;
+            pinTooltip(i, d3.pointer(event, container.node()));
+            if (config.onPointClick) config.onPointClick(data[i]);
+        })
+        .call(zoom)
+        .call(selectionDrag);
+
+    /**
+     * Shows the outcomes of the bin under the mouse
+     * @param {number} mx - Mouse X position (in transformed coordinates)
+     * @param {number} my - Mouse Y position (in transformed coordinates)
+     * @param {Event} event - Mouse event, placing the tooltip
+     */
+    function showBinTooltip(mx, my, event) {
+        const bin = hexbins && hexbins.find(mx, my);
+        if (!bin) {
+            hexOutline.style('display', 'none');
+            tooltip.style('display', 'none');
+            return;
+        }
+
+        hexOutline
+            .attr('transform', `translate(${margin.left + bin.x},${margin.top + bin.y})`)
+            .style('display', '');
+        tooltip
+            .html(hexbinTooltip(bin))
+            .style('left', `${event.pageX + 10}px`)
+            .style('top', `${event.pageY - 28}px`)
+            .style('display', '');
+    }
+
+    // Start with the selection of the previous plot, if any
+    if (config.selection) setSelection(config.selection);
 
     // ───────────────────────────────────────────
     // Handle window resize
+
+    /**
+     * Lays the plot out again for the new container size. The data point at
+     * the center of the view stays there, at the same zoom level.
+     */
     function handleResize() {
         const newWidth = container.node().clientWidth;
         const newHeight = container.node().clientHeight || config.defaultHeight;
@@ -512,36 +1928,521 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
             return; // No size change
         }
 
+        const anchor = viewCenter(currentTransform, x0, y0, width, height);
+
+        // A running transition jumps to its end: its start layout used the old scales
+        if (transition) {
+            transition.stop();
+            transition = null;
+        }
+        transitionStart = null;
+        transitionProgress = 1;
+        layoutVersion++;
+
+        totalWidth = newWidth;
+        totalHeight = newHeight;
+        width = totalWidth - margin.left - margin.right;
+        height = totalHeight - margin.top - margin.bottom;
+
+        // Positions and the spatial index are in data space and stay valid;
+        // only the scales from data to plot coordinates change
+        x0.range([0, width]);
+        y0.range([height, 0]);
+        [xScale, xOffset] = linearCoefficients(x0);
+        [yScale, yOffset] = linearCoefficients(y0);
+        gl.uniform2f(uDomainScaleLoc, xScale, yScale);
+        gl.uniform2f(uDomainOffsetLoc, xOffset, yOffset);
+        gl.uniform2f(uPrevDomainScaleLoc, xScale, yScale);
+        gl.uniform2f(uPrevDomainOffsetLoc, xOffset, yOffset);
+        gl.uniform1f(uProgressLoc, 1);
+
         // Update canvas and SVG dimensions
-        canvas.attr('width', newWidth).attr('height', newHeight);
-        svg.attr('width', newWidth).attr('height', newHeight);
-        hoverLayer.attr('width', newWidth).attr('height', newHeight);
+        sizeCanvas(totalWidth, totalHeight);
+        svgRoot.attr('width', totalWidth).attr('height', totalHeight);
+        hoverRoot.attr('width', totalWidth).attr('height', totalHeight);
+        zoomRect.attr('width', width).attr('height', height);
+        if (config.showAxes) xAxisG.attr('transform', `translate(0,${height})`);
 
-        // Update WebGL viewport
-        gl.viewport(0, 0, newWidth, newHeight);
-        gl.uniform2f(uViewLoc, newWidth, newHeight);
+        hoverDot.style('display', 'none');
+        tooltip.style('display', 'none');
 
-        // Re-render
-        renderGL();
+        // Re-render through the zoom behavior, which also redraws the axes
+        zoomRect.call(zoom.transform, recenterTransform(anchor, currentTransform.k, x0, y0, width, height));
     }
 
     // Add resize listener
     const resizeObserver = new ResizeObserver(handleResize);
     resizeObserver.observe(container.node());
 
-    // Return cleanup function
-    return function cleanup() {
+    // Moving the window to a screen with another pixel ratio resizes the backing store.
+    // The media query matches the current ratio only, so it is replaced after every change.
+    let pixelRatioQuery = null;
+
+    /**
+     * Follows changes of window.devicePixelRatio
+     */
+    function watchPixelRatio() {
+        pixelRatioQuery = window.matchMedia(`(resolution: ${pixelRatio}dppx)`);
+        pixelRatioQuery.addEventListener('change', handlePixelRatioChange, { once: true });
+    }
+
+    /**
+     * Resizes the backing store for the new pixel ratio and redraws
+     */
+    function handlePixelRatioChange() {
+        pixelRatio = window.devicePixelRatio || 1;
+        sizeCanvas(parseFloat(canvas.style('width')), parseFloat(canvas.style('height')));
+        renderGL();
+        watchPixelRatio();
+    }
+    watchPixelRatio();
+
+    // Return cleanup function; methods attached to it update the plot in place
+    function cleanup() {
         // Remove event listeners
         resizeObserver.disconnect();
+        pixelRatioQuery.removeEventListener('change', handlePixelRatioChange);
+        if (transition) transition.stop();
+        if (cancelSpatialIndex) cancelSpatialIndex();
+        clearHexbins();
 
         // Clean up WebGL resources
         gl.deleteBuffer(posBuf);
+        gl.deleteBuffer(prevPosBuf);
         gl.deleteBuffer(colorBuf);
+        gl.deleteBuffer(sizeBuf);
+        gl.deleteBuffer(opacityBuf);
+        gl.deleteBuffer(shapeBuf);
+        gl.deleteBuffer(emphasisBuf);
+        gl.deleteBuffer(idBuf);
+        if (densityLayer) {
+            gl.deleteFramebuffer(densityLayer.framebuffer);
+            gl.deleteTexture(densityLayer.texture);
+            gl.deleteTexture(densityLayer.rampTexture);
+            gl.deleteBuffer(densityLayer.cornerBuf);
+            gl.deleteProgram(densityLayer.toneProgram);
+        }
+        if (pickFramebuffer) {
+            gl.deleteFramebuffer(pickFramebuffer);
+            gl.deleteTexture(pickTexture);
+        }
         gl.deleteProgram(program);
 
         // Remove tooltip
         tooltip.remove();
+    }
+    cleanup.updatePositions = updatePositions;
+    cleanup.setColorEncoding = setColorEncoding;
+    cleanup.setSizeEncoding = setSizeEncoding;
+    cleanup.setOpacityEncoding = setOpacityEncoding;
+    cleanup.setShapeEncoding = setShapeEncoding;
+    cleanup.setSelection = setSelection;
+    cleanup.setMode = setMode;
+    cleanup.setTooltip = setTooltip;
+    cleanup.setRenderMode = setRenderMode;
+    cleanup.setHexbinColor = setHexbinColor;
+    cleanup.showEmbedding = (embedding, options) => {
+        basePositions = embeddingPositions(data, embedding);
+        updatePositions(basePositions, { duration: config.transitionDuration, ...options });
     };
+    return cleanup;
+}
+
+// Cleanup function of the plot currently on screen
+let cleanup = null;
+// Incremented on every load so that stale loads can be discarded
+let loadCount = 0;
+// Stops the load in progress when another dataset is requested
+let loadController = null;
+// What is on screen: `{ source, data, issues, policy, plotted }`
+let current = null;
+// Controls of the projection panel, set up by initVisualization
+let projectionPanel = null;
+// Controls of the color encoding, set up by initVisualization
+let colorControls = null;
+// Color encoding chosen by the user, `{ field, scale }`; null shows the outcome colors
+let colorChoice = null;
+// Controls of the size and opacity encodings, set up by initVisualization
+let sizeOpacityControls = null;
+// Fields driving point size and opacity; null keeps them constant
+let sizeOpacityChoice = { size: null, opacity: null };
+// Controls of the shape encoding, set up by initVisualization
+let shapeControls = null;
+// Field driving the marker shape; null draws circles only
+let shapeChoice = null;
+// Whether dragging on the plot pans or draws a selection
+let interactionMode = 'pan';
+// Controls of the selection panel, set up by initVisualization
+let selectionControls = null;
+// Whether points are colored by the named selections holding them, instead of colorChoice
+let colorByMembership = false;
+// Controls of the tooltip fields, set up by initVisualization
+let tooltipControls = null;
+// Fields shown in the tooltip; null shows the defaults of the dataset
+let tooltipChoice = null;
+// Whether points, densities or both are drawn, and the colors of the densities
+let densityChoice = { mode: 'points', ramp: 'viridis' };
+// Controls of the hexagonal bin colors, set up by initVisualization
+let hexbinControls = null;
+// 'dominant' colors bins by their most frequent outcome, an outcome by its share
+let hexbinChoice = 'dominant';
+
+/**
+ * Runs the data quality checks configured for a source
+ * @param {Object} source - Data source the data was loaded from
+ * @param {Array} data - All loaded points
+ * @returns {Map} Issues per point, from assessQuality
+ */
+function assessSourceQuality(source, data) {
+    // Categories are checked only for sources declaring them, as other
+    // files and event logs label their outcomes their own way
+    const { policy, ...checks } = source.quality || {};
+    return assessQuality(data, checks);
+}
+
+/**
+ * Tears down the plot on screen and the state tied to its dataset, and shows
+ * the loading indicator
+ */
+function clearPlot() {
+    if (projectionPanel) projectionPanel.cancel();
+    colorChoice = null;
+    sizeOpacityChoice = { size: null, opacity: null };
+    shapeChoice = null;
+    tooltipChoice = null;
+    hexbinChoice = 'dominant';
+    clearCaseDetail();
+    // Record indices only make sense within one dataset
+    clearSelection();
+    clearNamedSelections();
+    colorByMembership = false;
+    d3.select('#color-by-selections').property('checked', false);
+    if (cleanup) {
+        cleanup();
+        cleanup = null;
+    }
+
+    d3.select('#chart').html('<div class="loading">Loading data...</div>');
+}
+
+/**
+ * Loads a data source and replaces the current plot with it
+ * @param {Object} source - Data source from the registry
+ * @param {Object} [options] - Loading options passed on to loadData
+ * @param {boolean} [options.remap=false] - Ask for the column mapping first; the
+ *   plot on screen stays until the user confirms it, and cancelling keeps it
+ * @returns {Promise<Array|undefined>} The plotted data, or undefined if superseded or cancelled
+ */
+async function showDataSource(source, options = {}) {
+    const token = ++loadCount;
+    if (loadController) loadController.abort();
+    loadController = new AbortController();
+    const { signal } = loadController;
+    d3.select('#dataset-select').property('value', source.id);
+
+    // Tear down the previous plot before drawing the next one
+    if (!options.remap) clearPlot();
+
+    let data;
+    try {
+        data = await loadData(source, {
+            ...options,
+            signal,
+            onMapped: () => {
+                if (options.remap && token === loadCount) clearPlot();
+            }
+        });
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        // Without a mapping a new dataset cannot be shown; a remapped one keeps its plot
+        if (!options.remap && token === loadCount) {
+            d3.select('#chart').html('<div class="error-message">No column mapping was chosen.</div>');
+        }
+        return;
+    }
+    if (token !== loadCount) return; // A newer dataset was requested meanwhile
+
+    const issues = assessSourceQuality(source, data);
+    const policy = source.quality && source.quality.policy;
+    return plotWithPolicy(source, data, issues, { ...DEFAULT_QUALITY_POLICY, ...policy });
+}
+
+/**
+ * Shows a data quality report in the quality panel
+ * @param {Object} source - Data source the data was loaded from
+ * @param {Array} data - All loaded points
+ * @param {Map} issues - Issues found by assessQuality
+ * @param {Object} report - Report from applyQualityPolicy
+ */
+function showQualityReport(source, data, issues, report) {
+    renderQualityPanel('#quality-panel', report, {
+        schema: data.schema,
+        fileName: source.id,
+        onPolicyChange: next => plotWithPolicy(source, data, issues, next)
+    });
+}
+
+/**
+ * Applies a data quality policy, updates the quality panel and redraws the plot
+ * @param {Object} source - Data source the data was loaded from
+ * @param {Array} data - All loaded points
+ * @param {Map} issues - Issues found by assessQuality
+ * @param {Object} policy - Action per issue type
+ * @returns {Array} The plotted points
+ */
+function plotWithPolicy(source, data, issues, policy) {
+    // A running projection belongs to the points about to be replaced
+    if (projectionPanel) projectionPanel.cancel();
+    if (cleanup) {
+        cleanup();
+        cleanup = null;
+    }
+
+    const { data: plotted, report } = applyQualityPolicy(data, issues, policy);
+    current = { source, data, issues, policy, plotted };
+    showQualityReport(source, data, issues, report);
+    renderEmbeddingSelect(data);
+    if (colorControls) colorControls.update(data.schema, colorChoice || outcomeColors(data));
+    if (sizeOpacityControls) sizeOpacityControls.update(data.schema, sizeOpacityChoice);
+    if (shapeControls) shapeControls.update(data.schema, shapeChoice);
+    if (selectionControls) selectionControls.update(data.schema);
+    if (tooltipControls) tooltipControls.update(data.schema, shownTooltipFields(data));
+    if (hexbinControls) {
+        const outcomes = createColorEncoding(plotted, outcomeColors(data)).legend.items.map(e => e.value);
+        // The quality policy may have dropped every case of the chosen outcome
+        if (!outcomes.includes(hexbinChoice)) hexbinChoice = 'dominant';
+        hexbinControls.update(outcomes, hexbinChoice);
+    }
+
+    if (plotted.length === 0) {
+        d3.select('#chart')
+            .html('<div class="error-message">No rows left to plot. Adjust the data quality policy.</div>');
+        if (projectionPanel) projectionPanel.update(null);
+        return plotted;
+    }
+
+    // Create the visualization with configurable options
+    cleanup = drawScatterPlotWebGL(plotted, {
+        showAxes: false,
+        legendPosition: { x: 10, y: 10 },
+        color: activeColorEncoding(plotted),
+        size: sizeOpacityChoice.size ? createSizeEncoding(plotted, sizeOpacityChoice.size) : null,
+        opacity: sizeOpacityChoice.opacity ? createOpacityEncoding(plotted, sizeOpacityChoice.opacity) : null,
+        shape: shapeChoice ? createShapeEncoding(plotted, shapeChoice) : null,
+        tooltip: createTooltipTemplate(data.schema, shownTooltipFields(data)),
+        onPointClick: d => renderCaseDetail(d, data.schema),
+        renderMode: densityChoice.mode,
+        densityRamp: densityChoice.ramp,
+        hexbinColor: hexbinChoice,
+        mode: interactionMode,
+        selection: getSelection(),
+        onSelect: (indices, event) => combineSelection(indices, operationFromEvent(event))
+    }) || null;
+
+    if (projectionPanel) projectionPanel.update(cleanup ? plotted : null);
+    return plotted;
+}
+
+/**
+ * Lists the embeddings of a dataset: the coordinates mapped at load first, then
+ * every other pair of numeric columns that differ only by axis suffix. The
+ * order is kept on the data, so that switching embeddings does not reorder it;
+ * pairs added later, such as projections, come last.
+ * @param {Array} data - Loaded points with `schema` and `mapping`
+ * @returns {Array<Object>} Coordinate columns `{ x, y }`
+ */
+function listEmbeddings(data) {
+    const listed = data.embeddings || [{ x: data.mapping.x, y: data.mapping.y }];
+    const added = findCoordinatePairs(data.schema.ofType('number').map(f => f.name))
+        .filter(p => !listed.some(e => e.x === p.x && e.y === p.y))
+        .map(p => ({ x: p.x, y: p.y }));
+    data.embeddings = [...listed, ...added];
+    return data.embeddings;
+}
+
+/**
+ * Fills the embedding selector with the embeddings of the plotted dataset
+ * @param {Array|null} data - Loaded points, or null when nothing is loaded
+ */
+function renderEmbeddingSelect(data) {
+    const embeddings = data ? listEmbeddings(data) : [];
+
+    d3.select('#embedding-select')
+        .property('disabled', embeddings.length < 2)
+        .selectAll('option')
+        .data(embeddings)
+        .join('option')
+        .attr('value', (e, i) => i)
+        .text(e => `${e.x} / ${e.y}`);
+
+    const shown = data ? embeddings.findIndex(e => e.x === data.mapping.x && e.y === data.mapping.y) : -1;
+    d3.select('#embedding-select').property('value', Math.max(shown, 0));
+}
+
+/**
+ * Points the coordinates of every point at another pair of columns
+ * @param {Array} data - Loaded points
+ * @param {Object} embedding - Coordinate columns `{ x, y }`
+ */
+function setCoordinates(data, embedding) {
+    data.forEach(d => {
+        d.x = toCoordinate(d.record[embedding.x]);
+        d.y = toCoordinate(d.record[embedding.y]);
+    });
+    data.mapping = { ...data.mapping, x: embedding.x, y: embedding.y };
+    // Buffers built while streaming hold the previous coordinates
+    delete data.buffers;
+}
+
+/**
+ * Switches the plot to another embedding. Points move to their new place
+ * when the same points remain plotted; otherwise the plot is redrawn.
+ * @param {Object} embedding - Coordinate columns `{ x, y }`
+ */
+function showEmbedding(embedding) {
+    const { source, data, policy, plotted } = current;
+    setCoordinates(data, embedding);
+
+    // Coordinates missing in one embedding may be present in the other
+    const issues = assessSourceQuality(source, data);
+    const { data: next, report } = applyQualityPolicy(data, issues, policy);
+    const samePoints = next.length === plotted.length && next.every((d, i) => d === plotted[i]);
+
+    if (!cleanup || !samePoints) {
+        plotWithPolicy(source, data, issues, policy);
+        return;
+    }
+
+    if (projectionPanel) projectionPanel.cancel();
+    current = { source, data, issues, policy, plotted: next };
+    showQualityReport(source, data, issues, report);
+    renderEmbeddingSelect(data);
+    if (projectionPanel) projectionPanel.update(next);
+    cleanup.showEmbedding(embedding);
+}
+
+/**
+ * Describes the default color encoding of a dataset
+ * @param {Array} data - Loaded points with a column `mapping`
+ * @returns {Object} Choice `{ field, scale }` coloring the outcome by category
+ */
+function outcomeColors(data) {
+    return { field: data.mapping.outcome, scale: 'ordinal' };
+}
+
+/**
+ * Colors the plotted points by another attribute
+ * @param {Object} choice - Encoding choice `{ field, scale }`
+ */
+function showColorEncoding(choice) {
+    const isDefault = choice.field === current.data.mapping.outcome && choice.scale === 'ordinal';
+    colorChoice = isDefault ? null : choice;
+    // Picking an attribute ends coloring by named selection
+    colorByMembership = false;
+    d3.select('#color-by-selections').property('checked', false);
+
+    if (cleanup) cleanup.setColorEncoding(activeColorEncoding(current.plotted));
+}
+
+/**
+ * Creates the color encoding the user asked for
+ * @param {Array} points - Plotted points
+ * @returns {Object|null} Encoding from createColorEncoding, or null for the outcome colors
+ */
+function activeColorEncoding(points) {
+    if (colorByMembership) {
+        // Points outside every named selection get the missing color
+        return createColorEncoding(points, { field: 'Named selections', scale: 'ordinal', value: membershipLabel() });
+    }
+    return colorChoice && createColorEncoding(points, colorChoice);
+}
+
+/**
+ * Maps point size and opacity to other attributes
+ * @param {Object} choice - Fields `{ size, opacity }`, null for a constant
+ */
+function showSizeOpacityEncoding(choice) {
+    sizeOpacityChoice = choice;
+
+    if (cleanup) {
+        cleanup.setSizeEncoding(choice.size && createSizeEncoding(current.plotted, choice.size));
+        cleanup.setOpacityEncoding(choice.opacity && createOpacityEncoding(current.plotted, choice.opacity));
+    }
+}
+
+/**
+ * Encodes another categorical attribute by marker shape
+ * @param {string|null} field - Categorical field, or null for circles only
+ */
+function showShapeEncoding(field) {
+    shapeChoice = field;
+    if (cleanup) cleanup.setShapeEncoding(field && createShapeEncoding(current.plotted, field));
+}
+
+/**
+ * Returns the fields the tooltip shows
+ * @param {Array} data - Loaded points with `schema` and `mapping`
+ * @returns {Array<string>} Field names chosen by the user, or the defaults of the dataset
+ */
+function shownTooltipFields(data) {
+    return tooltipChoice || defaultTooltipFields(data.schema, data.mapping);
+}
+
+/**
+ * Changes the fields shown in the tooltip
+ * @param {Array<string>} fields - Field names
+ */
+function showTooltipFields(fields) {
+    tooltipChoice = fields;
+    if (cleanup) cleanup.setTooltip(createTooltipTemplate(current.data.schema, fields));
+}
+
+/**
+ * Stores a finished projection as two new columns and moves the points to them
+ * @param {string} method - Projection method, used to name the columns
+ * @param {Float32Array} positions - Interleaved positions of the plotted points
+ */
+function applyProjection(method, positions) {
+    const { data, plotted } = current;
+    // Kept apart from precomputed columns such as 'umap-1'
+    const names = [`${method}-browser-1`, `${method}-browser-2`];
+    const order = new Map(plotted.map((d, i) => [d, i]));
+
+    // Points that were not plotted have no projected position
+    data.forEach(d => {
+        const i = order.get(d);
+        names.forEach((name, axis) => {
+            d.record[name] = i === undefined ? null : positions[2 * i + axis];
+        });
+    });
+
+    names.forEach(name => {
+        const values = data.map(d => d.record[name]).filter(v => v !== null);
+        data.schema.add({
+            name,
+            type: 'number',
+            domain: d3.extent(values),
+            missing: data.length - values.length
+        });
+    });
+
+    showEmbedding({ x: names[0], y: names[1] });
+}
+
+/**
+ * Fills the dataset selector with the available sources
+ */
+function renderDatasetSelect() {
+    const select = d3.select('#dataset-select');
+    const current = select.property('value');
+
+    select.selectAll('option')
+        .data(listDataSources(), s => s.id)
+        .join('option')
+        .attr('value', s => s.id)
+        .text(s => s.label);
+
+    select.property('value', current);
 }
 
 /**
@@ -549,19 +2450,110 @@ function drawScatterPlotWebGL(data, userConfig = {}) {
  */
 async function initVisualization() {
     try {
-        // Show loading indicator
-        d3.select('#chart').html('<div class="loading">Loading data...</div>');
+        renderDatasetSelect();
+        d3.select('#dataset-select').on('change', function () {
+            const source = getDataSource(this.value);
+            if (source) {
+                showDataSource(source).catch(error => {
+                    console.error('Switching dataset failed:', error);
+                });
+            }
+        });
+
+        d3.select('#embedding-select').on('change', function () {
+            const embedding = listEmbeddings(current.data)[+this.value];
+            if (embedding) showEmbedding(embedding);
+        });
+
+        colorControls = initColorControls({ onChange: showColorEncoding });
+        initPaletteControls('#palette-preset');
+        // Edited colors and presets apply to the plot on screen right away
+        onPaletteChange(() => {
+            if (cleanup) cleanup.setColorEncoding(activeColorEncoding(current.plotted));
+        });
+        sizeOpacityControls = initSizeOpacityControls({ onChange: showSizeOpacityEncoding });
+        shapeControls = initShapeControls({ onChange: showShapeEncoding });
+        tooltipControls = initTooltipControls({ onChange: showTooltipFields });
+        initDensityControls({
+            choice: densityChoice,
+            onChange: choice => {
+                densityChoice = choice;
+                if (cleanup) cleanup.setRenderMode(choice);
+            }
+        });
+        hexbinControls = initHexbinControls({
+            onChange: color => {
+                hexbinChoice = color;
+                if (cleanup) cleanup.setHexbinColor(color);
+            }
+        });
 
-        const data = await loadData();
+        selectionControls = initSelectionControls({
+            onModeChange: mode => {
+                interactionMode = mode;
+                if (cleanup) cleanup.setMode(mode);
+            },
+            getData: () => current && current.plotted,
+            onColorByMembership: enabled => {
+                colorByMembership = enabled;
+                if (cleanup) cleanup.setColorEncoding(activeColorEncoding(current.plotted));
+            }
+        });
+        onSelectionChange('plot', indices => {
+            if (cleanup) cleanup.setSelection(indices);
+        });
+        onNamedSelectionsChange('plot', () => {
+            if (cleanup && colorByMembership) cleanup.setColorEncoding(activeColorEncoding(current.plotted));
+        });
 
-        // Create the visualization with configurable options
-        const cleanup = drawScatterPlotWebGL(data, {
-            showAxes: false,
-            legendPosition: { x: 10, y: 10 }
+        d3.select('#remap-columns').on('click', () => {
+            const source = getDataSource(d3.select('#dataset-select').property('value'));
+            if (source) {
+                showDataSource(source, { remap: true }).catch(error => {
+                    console.error('Remapping columns failed:', error);
+                });
+            }
+        });
+
+        // Uploaded files replace the previous upload in the dataset list
+        initFileUpload({
+            input: '#file-input',
+            eventLogToggle: '#upload-event-log',
+            outcomeRules: '#upload-outcome-rules',
+            status: '#upload-status',
+            dropTargets: ['#upload-panel', '#chart'],
+            onFile: (file, { eventLog, outcomeRules }) => {
+                const source = registerDataSource({
+                    id: 'upload',
+                    label: `Upload: ${file.name}`,
+                    type: 'file',
+                    format: eventLog ? 'events' : undefined,
+                    outcomeRules,
+                    file
+                });
+                renderDatasetSelect();
+                return showDataSource(source);
+            }
+        });
+
+        projectionPanel = initProjectionPanel({
+            getData: () => current && current.plotted,
+            onLayout: positions => {
+                if (cleanup) cleanup.updatePositions(positions);
+            },
+            onComplete: applyProjection
         });
 
         // Handle cleanup on page unload
-        window.addEventListener('beforeunload', cleanup);
+        window.addEventListener('beforeunload', () => {
+            if (cleanup) cleanup();
+        });
+
+        const source = resolveInitialSource();
+        if (!source) {
+            throw new Error('No data source available');
+        }
+        await showDataSource(source);
 
     } catch (error) {
         console.error('Visualization initialization failed:', error);
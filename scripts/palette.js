@@ -0,0 +1,279 @@
+/**
+ * Category palette manager: gives every category value a color that stays the
+ * same across datasets, plots and page reloads.
+ *
+ * The outcome categories of the preprocessed exports have fixed colors. Other
+ * values take the next unused color of the active preset the first time they
+ * are seen. User edits are kept in localStorage, together with the colors
+ * assigned to the first MAX_STORED_ASSIGNMENTS categories.
+ */
+
+const STORAGE_KEY = 'categoryPalette';
+
+// Colors assigned automatically are stored for this many categories; values
+// beyond (e.g. identifiers colored as categories) keep theirs until reload
+const MAX_STORED_ASSIGNMENTS = 200;
+
+// Delay grouping the colors assigned in a burst into one write, in milliseconds
+const STORE_DELAY = 1000;
+
+// Outcome categories of the preprocessed exports
+export const KNOWN_CATEGORIES = [
+    'unresolved',
+    'credit_collection',
+    'paid_full',
+    'dismissed'
+];
+
+/**
+ * Palette presets. `fixed` colors the known categories; `colors` is cycled
+ * through for every other value.
+ */
+export const PALETTE_PRESETS = {
+    default: {
+        label: 'Default',
+        fixed: ['#e41a1c', '#984ea3', '#4daf4a', '#377eb8'],
+        colors: d3.schemeTableau10
+    },
+    okabeIto: {
+        label: 'Okabe-Ito (colour-blind safe)',
+        fixed: ['#D55E00', '#CC79A7', '#009E73', '#0072B2'],
+        colors: ['#E69F00', '#56B4E9', '#F0E442', '#000000', '#D55E00', '#CC79A7', '#009E73', '#0072B2']
+    },
+    tolBright: {
+        label: 'Tol bright (colour-blind safe)',
+        fixed: ['#EE6677', '#AA3377', '#228833', '#4477AA'],
+        colors: ['#CCBB44', '#66CCEE', '#BBBBBB', '#EE6677', '#AA3377', '#228833', '#4477AA']
+    }
+};
+
+// Palette state: active preset, the color of every category seen so far and
+// the categories whose color the user picked
+let state = load();
+const listeners = new Set();
+
+// Running tallies of the state, so that assigning a color does not scan every
+// category: colors taken (lower case, reserved ones included), the number of
+// categories other than the known ones, and the automatic assignments stored
+let used;
+let assignedCount;
+let storedAssignments;
+let storeTimer = null;
+index();
+
+/**
+ * Reads the stored palette
+ * @returns {Object} State `{ preset, colors, edited }`
+ */
+function load() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (stored && PALETTE_PRESETS[stored.preset] && stored.colors) {
+            return { preset: stored.preset, colors: stored.colors, edited: new Set(stored.edited) };
+        }
+    } catch (error) {
+        console.warn('Could not read the stored palette:', error);
+    }
+    return { preset: 'default', colors: {}, edited: new Set() };
+}
+
+/**
+ * Rebuilds the running tallies from the state
+ */
+function index() {
+    used = new Set(PALETTE_PRESETS[state.preset].fixed.map(c => c.toLowerCase()));
+    assignedCount = 0;
+    storedAssignments = [];
+    Object.entries(state.colors).forEach(([category, color]) => {
+        used.add(color.toLowerCase());
+        if (!KNOWN_CATEGORIES.includes(category)) assignedCount++;
+        if (!state.edited.has(category) && storedAssignments.length < MAX_STORED_ASSIGNMENTS) {
+            storedAssignments.push(category);
+        }
+    });
+}
+
+/**
+ * Stores the preset, the user edits and the first automatic assignments
+ */
+function store() {
+    clearTimeout(storeTimer);
+    storeTimer = null;
+
+    const colors = {};
+    storedAssignments.forEach(category => {
+        colors[category] = state.colors[category];
+    });
+    state.edited.forEach(category => {
+        colors[category] = state.colors[category];
+    });
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            preset: state.preset,
+            colors,
+            edited: Array.from(state.edited)
+        }));
+    } catch (error) {
+        console.warn('Could not store the palette:', error);
+    }
+}
+
+/**
+ * Stores the palette once the current burst of assignments is over
+ */
+function scheduleStore() {
+    if (storeTimer === null) storeTimer = setTimeout(store, STORE_DELAY);
+}
+
+// Assignments still waiting for the delay are stored before the page goes away
+window.addEventListener('pagehide', () => {
+    if (storeTimer !== null) store();
+});
+
+/**
+ * Stores the palette and notifies the listeners
+ */
+function save() {
+    store();
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Picks the color of a category that has none yet
+ * @param {string} category - Category value
+ * @returns {string} Fixed color of a known category, otherwise the first
+ *   preset color not used by another category (cycling when none is left)
+ */
+function nextColor(category) {
+    const preset = PALETTE_PRESETS[state.preset];
+    const known = KNOWN_CATEGORIES.indexOf(category);
+    if (known !== -1) return preset.fixed[known];
+
+    // Colors of the known categories stay reserved for them
+    const free = preset.colors.find(c => !used.has(c.toLowerCase()));
+    if (free) return free;
+
+    return preset.colors[assignedCount % preset.colors.length];
+}
+
+/**
+ * Gives a category its next color
+ * @param {string} category - Category value without a color
+ * @returns {boolean} True if the assignment is among the stored ones
+ */
+function assign(category) {
+    const color = nextColor(category);
+    state.colors[category] = color;
+    used.add(color.toLowerCase());
+    if (!KNOWN_CATEGORIES.includes(category)) assignedCount++;
+    if (storedAssignments.length >= MAX_STORED_ASSIGNMENTS) return false;
+    storedAssignments.push(category);
+    return true;
+}
+
+/**
+ * Returns the color of a category, assigning one the first time it is asked
+ * @param {*} category - Category value (compared as a string)
+ * @returns {string} CSS color
+ */
+export function categoryColor(category) {
+    const key = String(category);
+    if (!Object.prototype.hasOwnProperty.call(state.colors, key)) {
+        // Stored without notifying: assigning a new color changes no existing one
+        if (assign(key)) scheduleStore();
+    }
+    return state.colors[key];
+}
+
+/**
+ * Changes the color of a category
+ * @param {*} category - Category value
+ * @param {string} color - CSS color
+ */
+export function setCategoryColor(category, color) {
+    const key = String(category);
+    state.colors[key] = color;
+    state.edited.add(key);
+    index();
+    save();
+}
+
+/**
+ * Returns the key of the active preset
+ * @returns {string} Key of PALETTE_PRESETS
+ */
+export function palettePreset() {
+    return state.preset;
+}
+
+/**
+ * Switches to another preset, recoloring every category seen so far in the
+ * order they were first seen
+ * @param {string} preset - Key of PALETTE_PRESETS
+ */
+export function setPalettePreset(preset) {
+    if (!PALETTE_PRESETS[preset]) {
+        throw new Error(`Unknown palette preset: ${preset}`);
+    }
+    const categories = Object.keys(state.colors);
+    state = { preset, colors: {}, edited: new Set() };
+    index();
+    categories.forEach(assign);
+    save();
+}
+
+/**
+ * Registers a listener called whenever colors are edited or the preset changes
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Removes the listener
+ */
+export function onPaletteChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * Wires the preset selector
+ * @param {string} selector - CSS selector of the select element
+ */
+export function initPaletteControls(selector) {
+    const select = d3.select(selector);
+
+    select.selectAll('option')
+        .data(Object.entries(PALETTE_PRESETS))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, preset]) => preset.label);
+
+    select
+        .property('value', state.preset)
+        .on('change', function () {
+            setPalettePreset(this.value);
+        });
+}
+
+// Native color input shared by every legend swatch, created on first use
+let picker = null;
+// Category whose color the picker is editing
+let pickedCategory = null;
+
+/**
+ * Lets the user pick a new color for a category with the native color picker
+ * @param {*} category - Category value
+ */
+export function pickCategoryColor(category) {
+    if (!picker) {
+        picker = document.createElement('input');
+        picker.type = 'color';
+        // The picker needs the input in the document, but it does not need to be visible
+        picker.style.position = 'absolute';
+        picker.style.opacity = 0;
+        picker.style.pointerEvents = 'none';
+        document.body.appendChild(picker);
+        picker.addEventListener('change', () => setCategoryColor(pickedCategory, picker.value));
+    }
+
+    pickedCategory = category;
+    picker.value = d3.color(categoryColor(category)).formatHex();
+    picker.click();
+}
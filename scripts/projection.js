@@ -0,0 +1,222 @@
+/**
+ * In-browser dimensionality reduction (see projectionWorker.js) and the
+ * projection panel that drives it.
+ */
+
+import { findCoordinatePairs } from './columnMapping.js';
+
+export const PROJECTION_METHODS = {
+    umap: { label: 'UMAP', params: { nNeighbors: 15, minDist: 0.1 } },
+    tsne: { label: 't-SNE', params: { perplexity: 30, iterations: 500 } },
+    pca: { label: 'PCA', params: {} }
+};
+
+/**
+ * Lists the fields that can serve as projection features: numeric and
+ * boolean columns, except coordinate pairs such as earlier projections
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} mapping - Current column mapping `{ x, y, outcome }`
+ * @returns {Array<Object>} Candidate fields
+ */
+export function projectionFeatures(schema, mapping) {
+    const numeric = schema.ofType('number').map(f => f.name);
+    const coordinates = new Set([mapping.x, mapping.y]);
+    findCoordinatePairs(numeric).forEach(p => {
+        coordinates.add(p.x);
+        coordinates.add(p.y);
+    });
+    return schema.ofType('number', 'boolean').filter(f => !coordinates.has(f.name));
+}
+
+/**
+ * Builds the row-major feature matrix of the given points
+ * @param {Array} data - Points with typed records
+ * @param {Array<string>} fields - Feature columns
+ * @returns {Float32Array} rows × fields matrix, NaN for missing values
+ */
+function featureMatrix(data, fields) {
+    const dims = fields.length;
+    const matrix = new Float32Array(data.length * dims);
+    data.forEach((d, i) => {
+        fields.forEach((name, j) => {
+            const value = d.record[name];
+            matrix[i * dims + j] = value === null || value === undefined ? NaN : +value;
+        });
+    });
+    return matrix;
+}
+
+/**
+ * Projects points to 2D in a Web Worker
+ * @param {Object} options - Projection options
+ * @param {string} options.method - Key of PROJECTION_METHODS
+ * @param {Array} options.data - Points to project
+ * @param {Array<string>} options.fields - Feature columns
+ * @param {Object} [options.params] - Method parameters, merged over the defaults
+ * @param {Function} [options.onProgress] - Called with `{ stage, iteration, total, positions? }`
+ * @param {AbortSignal} [options.signal] - Cancels the projection
+ * @returns {Promise<Float32Array>} Interleaved positions in data order
+ */
+export function runProjection({ method, data, fields, params, onProgress, signal }) {
+    if (fields.length === 0) {
+        return Promise.reject(new Error('Select at least one feature column'));
+    }
+
+    const worker = new Worker(new URL('./projectionWorker.js', import.meta.url));
+    const matrix = featureMatrix(data, fields);
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', abort);
+        };
+        const abort = () => {
+            finish();
+            reject(new DOMException('Projection was cancelled', 'AbortError'));
+        };
+
+        if (signal) {
+            if (signal.aborted) {
+                abort();
+                return;
+            }
+            signal.addEventListener('abort', abort);
+        }
+
+        worker.onmessage = event => {
+            const message = event.data;
+            switch (message.type) {
+                case 'progress':
+                    if (onProgress) onProgress(message);
+                    break;
+                case 'done':
+                    finish();
+                    resolve(message.positions);
+                    break;
+                case 'error':
+                    finish();
+                    reject(new Error(message.message));
+                    break;
+            }
+        };
+
+        worker.onerror = event => {
+            event.preventDefault();
+            finish();
+            reject(new Error(event.message || 'Projection worker failed'));
+        };
+
+        worker.postMessage({
+            type: 'run',
+            method,
+            matrix,
+            rows: data.length,
+            dims: fields.length,
+            params: { ...PROJECTION_METHODS[method].params, ...params }
+        }, [matrix.buffer]);
+    });
+}
+
+/**
+ * Wires the projection panel
+ * @param {Object} options - Panel options
+ * @param {Function} options.getData - Returns the points currently plotted
+ * @param {Function} options.onLayout - Called with intermediate positions while the layout
+ *   converges, and with null when a run stopped by the user or by an error should be undone
+ * @param {Function} options.onComplete - Called with the method and final positions
+ * @returns {Object} `{ update(data) }` to refresh the feature list, `cancel()` to stop a
+ *   run whose points are about to be replaced; it reports nothing more
+ */
+export function initProjectionPanel({ getData, onLayout, onComplete }) {
+    const methodSelect = d3.select('#projection-method');
+    const featureSelect = d3.select('#projection-features');
+    const runButton = d3.select('#projection-run');
+    const cancelButton = d3.select('#projection-cancel');
+    const progressBar = d3.select('#projection-progress');
+    const status = d3.select('#projection-status');
+    let controller = null;
+    // Tags the latest run; cancel() moves it on, so that a run it stopped no
+    // longer calls back into a plot that may already show other points
+    let runCount = 0;
+
+    methodSelect.selectAll('option')
+        .data(Object.entries(PROJECTION_METHODS))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, m]) => m.label);
+
+    /**
+     * Shows the run state in the panel
+     * @param {boolean} running - Whether a projection is running
+     * @param {string} message - Status text
+     * @param {number} fraction - Progress between 0 and 1
+     */
+    function setState(running, message, fraction) {
+        runButton.property('disabled', running);
+        cancelButton.property('disabled', !running);
+        status.text(message);
+        progressBar.style('width', `${Math.round(fraction * 100)}%`);
+    }
+
+    runButton.on('click', async () => {
+        const data = getData();
+        if (!data) return;
+
+        const method = methodSelect.property('value');
+        const fields = Array.from(featureSelect.node().selectedOptions, o => o.value);
+
+        const run = ++runCount;
+        const isCurrent = () => run === runCount;
+        const own = new AbortController();
+        controller = own;
+        setState(true, 'Starting...', 0);
+
+        try {
+            const positions = await runProjection({
+                method,
+                data,
+                fields,
+                signal: own.signal,
+                onProgress: ({ stage, iteration, total, positions }) => {
+                    if (!isCurrent()) return;
+                    setState(true, `${stage} (${iteration}/${total})`, total ? iteration / total : 0);
+                    if (positions) onLayout(positions);
+                }
+            });
+            if (!isCurrent()) return;
+            setState(false, `${PROJECTION_METHODS[method].label} of ${fields.length} features done`, 1);
+            onComplete(method, positions);
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Projection failed:', error);
+            if (!isCurrent()) return;
+            setState(false, error.name === 'AbortError' ? 'Cancelled' : error.message, 0);
+            onLayout(null);
+        } finally {
+            if (controller === own) controller = null;
+        }
+    });
+
+    cancelButton.on('click', () => {
+        if (controller) controller.abort();
+    });
+
+    return {
+        update(data) {
+            const fields = data ? projectionFeatures(data.schema, data.mapping) : [];
+            featureSelect.selectAll('option')
+                .data(fields, f => f.name)
+                .join('option')
+                .attr('value', f => f.name)
+                .property('selected', true)
+                .text(f => f.name);
+            runButton.property('disabled', !data || controller !== null);
+        },
+        cancel() {
+            if (!controller) return;
+            runCount++;
+            controller.abort();
+            controller = null;
+            setState(false, 'Cancelled', 0);
+        }
+    };
+}
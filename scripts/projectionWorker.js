@@ -0,0 +1,401 @@
+/**
+ * Web Worker computing 2D projections (UMAP, t-SNE, PCA) of feature vectors.
+ *
+ * Protocol (messages are objects with a `type`):
+ *   main → worker  run      { method, matrix, rows, dims, params }
+ *   worker → main  progress { stage, iteration, total, positions? }
+ *   worker → main  done     { positions }
+ *   worker → main  error    { message }
+ *
+ * `matrix` is a row-major Float32Array of rows × dims features (NaN for
+ * missing values); `positions` are interleaved x/y Float32Arrays.
+ */
+importScripts('./umap-js.min.js');
+
+// Intermediate layouts are sent at most this often (ms)
+const REPORT_INTERVAL = 100;
+
+self.onmessage = event => {
+    const message = event.data;
+    if (message.type !== 'run') return;
+
+    try {
+        const X = standardize(message.matrix, message.rows, message.dims);
+        const run = METHODS[message.method];
+        if (!run) {
+            throw new Error(`Unknown projection method "${message.method}"`);
+        }
+        const positions = run(X, message.rows, message.dims, message.params || {});
+        self.postMessage({ type: 'done', positions }, [positions.buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+const METHODS = {
+    pca: runPca,
+    tsne: runTsne,
+    umap: runUmap
+};
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) so layouts are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns a progress reporter that throttles intermediate layouts
+ * @param {string} stage - Stage name shown to the user
+ * @param {number} total - Number of iterations
+ * @returns {Function} Reporter `(iteration, getPositions?)`; the layout is only
+ *   read when a report is actually sent
+ */
+function reporter(stage, total) {
+    let last = 0;
+    return function (iteration, getPositions) {
+        const now = Date.now();
+        if (iteration < total && now - last < REPORT_INTERVAL) return;
+        last = now;
+        self.postMessage({
+            type: 'progress',
+            stage,
+            iteration,
+            total,
+            positions: getPositions ? Float32Array.from(getPositions()) : undefined
+        });
+    };
+}
+
+/**
+ * Centers every feature and scales it to unit variance; missing values become 0
+ * (the feature mean)
+ * @param {Float32Array} matrix - Row-major rows × dims matrix
+ * @param {number} rows - Number of rows
+ * @param {number} dims - Number of features
+ * @returns {Float64Array} Standardized matrix
+ */
+function standardize(matrix, rows, dims) {
+    const X = new Float64Array(rows * dims);
+
+    for (let j = 0; j < dims; j++) {
+        let sum = 0;
+        let count = 0;
+        for (let i = 0; i < rows; i++) {
+            const v = matrix[i * dims + j];
+            if (Number.isFinite(v)) {
+                sum += v;
+                count++;
+            }
+        }
+        const mean = count ? sum / count : 0;
+
+        let variance = 0;
+        for (let i = 0; i < rows; i++) {
+            const v = matrix[i * dims + j];
+            if (Number.isFinite(v)) variance += (v - mean) * (v - mean);
+        }
+        const std = count > 1 ? Math.sqrt(variance / (count - 1)) : 0;
+
+        for (let i = 0; i < rows; i++) {
+            const v = matrix[i * dims + j];
+            X[i * dims + j] = Number.isFinite(v) && std > 0 ? (v - mean) / std : 0;
+        }
+    }
+
+    return X;
+}
+
+// ───────────────────────────────────────────
+// PCA
+
+/**
+ * Projects onto the first two principal components (power iteration with deflation)
+ * @param {Float64Array} X - Standardized rows × dims matrix
+ * @param {number} rows - Number of rows
+ * @param {number} dims - Number of features
+ * @returns {Float32Array} Interleaved positions
+ */
+function runPca(X, rows, dims) {
+    const report = reporter('Computing principal components', 2);
+
+    // Covariance matrix
+    const C = new Float64Array(dims * dims);
+    for (let i = 0; i < rows; i++) {
+        for (let a = 0; a < dims; a++) {
+            const va = X[i * dims + a];
+            if (va === 0) continue;
+            for (let b = a; b < dims; b++) {
+                C[a * dims + b] += va * X[i * dims + b];
+            }
+        }
+    }
+    for (let a = 0; a < dims; a++) {
+        for (let b = a; b < dims; b++) {
+            C[a * dims + b] /= Math.max(1, rows - 1);
+            C[b * dims + a] = C[a * dims + b];
+        }
+    }
+
+    const random = seededRandom(42);
+    const components = [];
+    for (let c = 0; c < Math.min(2, dims); c++) {
+        let v = Float64Array.from({ length: dims }, () => random() - 0.5);
+        let eigenvalue = 0;
+
+        for (let iter = 0; iter < 200; iter++) {
+            const next = new Float64Array(dims);
+            for (let a = 0; a < dims; a++) {
+                let sum = 0;
+                for (let b = 0; b < dims; b++) sum += C[a * dims + b] * v[b];
+                next[a] = sum;
+            }
+            const norm = Math.hypot(...next);
+            if (norm === 0) break;
+            next.forEach((value, a) => { next[a] = value / norm; });
+            const delta = next.reduce((s, value, a) => s + Math.abs(value - v[a]), 0);
+            v = next;
+            eigenvalue = norm;
+            if (delta < 1e-10) break;
+        }
+
+        // Deflate so the next iteration finds the following component
+        for (let a = 0; a < dims; a++) {
+            for (let b = 0; b < dims; b++) C[a * dims + b] -= eigenvalue * v[a] * v[b];
+        }
+        components.push(v);
+        report(c + 1);
+    }
+
+    const positions = new Float32Array(rows * 2);
+    for (let i = 0; i < rows; i++) {
+        components.forEach((v, c) => {
+            let sum = 0;
+            for (let a = 0; a < dims; a++) sum += X[i * dims + a] * v[a];
+            positions[2 * i + c] = sum;
+        });
+    }
+    return positions;
+}
+
+// ───────────────────────────────────────────
+// t-SNE
+
+// Exact repulsion is quadratic in the number of points
+const TSNE_MAX_POINTS = 5000;
+
+/**
+ * Computes input similarities on the k nearest neighbours of each point,
+ * calibrated to the target perplexity and symmetrized
+ * @param {Float64Array} X - Standardized rows × dims matrix
+ * @param {number} n - Number of rows
+ * @param {number} dims - Number of features
+ * @param {number} perplexity - Target perplexity
+ * @returns {Object} Sparse symmetric matrix `{ from, to, weight }`
+ */
+function tsneAffinities(X, n, dims, perplexity) {
+    const k = Math.min(n - 1, Math.floor(3 * perplexity));
+    const targetEntropy = Math.log(perplexity);
+    const conditional = new Map();
+    const distances = new Float64Array(n);
+    const order = new Uint32Array(n);
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            let d = 0;
+            for (let a = 0; a < dims; a++) {
+                const diff = X[i * dims + a] - X[j * dims + a];
+                d += diff * diff;
+            }
+            distances[j] = d;
+            order[j] = j;
+        }
+        order.sort((a, b) => distances[a] - distances[b]);
+        const neighbors = Array.from(order.subarray(0, k + 1)).filter(j => j !== i).slice(0, k);
+
+        // Binary search for the precision matching the perplexity
+        let beta = 1;
+        let lo = 0;
+        let hi = Infinity;
+        let p = new Float64Array(neighbors.length);
+        for (let iter = 0; iter < 50; iter++) {
+            let sum = 0;
+            neighbors.forEach((j, m) => {
+                p[m] = Math.exp(-distances[j] * beta);
+                sum += p[m];
+            });
+            let entropy = 0;
+            neighbors.forEach((j, m) => {
+                p[m] = sum > 0 ? p[m] / sum : 1 / neighbors.length;
+                if (p[m] > 1e-12) entropy -= p[m] * Math.log(p[m]);
+            });
+            if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+            if (entropy > targetEntropy) {
+                lo = beta;
+                beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+            } else {
+                hi = beta;
+                beta = (beta + lo) / 2;
+            }
+        }
+
+        neighbors.forEach((j, m) => conditional.set(i * n + j, p[m]));
+    }
+
+    // P_ij = (p_j|i + p_i|j) / 2n
+    const from = [];
+    const to = [];
+    const weight = [];
+    conditional.forEach((value, key) => {
+        const i = Math.floor(key / n);
+        const j = key % n;
+        const reverse = conditional.get(j * n + i) || 0;
+        from.push(i);
+        to.push(j);
+        weight.push((value + reverse) / (2 * n));
+        // Pairs that are neighbours in one direction only need both entries
+        if (!conditional.has(j * n + i)) {
+            from.push(j);
+            to.push(i);
+            weight.push((value + reverse) / (2 * n));
+        }
+    });
+
+    return {
+        from: Uint32Array.from(from),
+        to: Uint32Array.from(to),
+        weight: Float64Array.from(weight)
+    };
+}
+
+/**
+ * Runs t-SNE with early exaggeration, momentum and adaptive gains
+ * @param {Float64Array} X - Standardized rows × dims matrix
+ * @param {number} n - Number of rows
+ * @param {number} dims - Number of features
+ * @param {Object} params - `{ perplexity, iterations, learningRate }`
+ * @returns {Float32Array} Interleaved positions
+ */
+function runTsne(X, n, dims, { perplexity = 30, iterations = 500, learningRate = 200 }) {
+    if (n > TSNE_MAX_POINTS) {
+        throw new Error(`t-SNE supports up to ${TSNE_MAX_POINTS.toLocaleString()} points; use UMAP or PCA for ${n.toLocaleString()}`);
+    }
+    if (n < 4) {
+        throw new Error('t-SNE needs at least 4 points');
+    }
+
+    self.postMessage({ type: 'progress', stage: 'Computing neighbours', iteration: 0, total: iterations });
+    const P = tsneAffinities(X, n, dims, Math.min(perplexity, (n - 1) / 3));
+    const report = reporter('Optimizing t-SNE layout', iterations);
+
+    const random = seededRandom(42);
+    const Y = Float64Array.from({ length: n * 2 }, () => (random() - 0.5) * 1e-4);
+    const update = new Float64Array(n * 2);
+    const gains = new Float64Array(n * 2).fill(1);
+    const attraction = new Float64Array(n * 2);
+    const repulsion = new Float64Array(n * 2);
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const exaggeration = iter < 100 ? 12 : 1;
+        const momentum = iter < 250 ? 0.5 : 0.8;
+        attraction.fill(0);
+        repulsion.fill(0);
+
+        // Repulsive forces and normalization over all pairs
+        let Z = 0;
+        for (let i = 0; i < n; i++) {
+            const yi0 = Y[2 * i];
+            const yi1 = Y[2 * i + 1];
+            for (let j = i + 1; j < n; j++) {
+                const d0 = yi0 - Y[2 * j];
+                const d1 = yi1 - Y[2 * j + 1];
+                const q = 1 / (1 + d0 * d0 + d1 * d1);
+                Z += 2 * q;
+                const q2 = q * q;
+                repulsion[2 * i] += q2 * d0;
+                repulsion[2 * i + 1] += q2 * d1;
+                repulsion[2 * j] -= q2 * d0;
+                repulsion[2 * j + 1] -= q2 * d1;
+            }
+        }
+
+        // Attractive forces along the sparse affinities
+        for (let e = 0; e < P.from.length; e++) {
+            const i = P.from[e];
+            const j = P.to[e];
+            const d0 = Y[2 * i] - Y[2 * j];
+            const d1 = Y[2 * i + 1] - Y[2 * j + 1];
+            const q = 1 / (1 + d0 * d0 + d1 * d1);
+            attraction[2 * i] += P.weight[e] * q * d0;
+            attraction[2 * i + 1] += P.weight[e] * q * d1;
+        }
+
+        for (let m = 0; m < n * 2; m++) {
+            const grad = 4 * (exaggeration * attraction[m] - repulsion[m] / Z);
+            gains[m] = Math.sign(grad) !== Math.sign(update[m]) ? gains[m] + 0.2 : Math.max(0.01, gains[m] * 0.8);
+            update[m] = momentum * update[m] - learningRate * gains[m] * grad;
+            Y[m] += update[m];
+        }
+
+        report(iter + 1, () => Y);
+    }
+
+    return Float32Array.from(Y);
+}
+
+// ───────────────────────────────────────────
+// UMAP
+
+/**
+ * Runs UMAP (umap-js), reporting the layout after every few epochs
+ * @param {Float64Array} X - Standardized rows × dims matrix
+ * @param {number} n - Number of rows
+ * @param {number} dims - Number of features
+ * @param {Object} params - `{ nNeighbors, minDist, nEpochs }`
+ * @returns {Float32Array} Interleaved positions
+ */
+function runUmap(X, n, dims, { nNeighbors = 15, minDist = 0.1, nEpochs }) {
+    if (n < 3) {
+        throw new Error('UMAP needs at least 3 points');
+    }
+
+    const vectors = Array.from({ length: n }, (_, i) => Array.from(X.subarray(i * dims, (i + 1) * dims)));
+    const umap = new UMAP.UMAP({
+        nComponents: 2,
+        nNeighbors: Math.min(nNeighbors, n - 1),
+        minDist,
+        nEpochs,
+        random: seededRandom(42)
+    });
+
+    self.postMessage({ type: 'progress', stage: 'Computing neighbours', iteration: 0, total: 1 });
+    const epochs = umap.initializeFit(vectors);
+    const report = reporter('Optimizing UMAP layout', epochs);
+
+    const flatten = () => {
+        const embedding = umap.getEmbedding();
+        const positions = new Float32Array(n * 2);
+        embedding.forEach((p, i) => {
+            positions[2 * i] = p[0];
+            positions[2 * i + 1] = p[1];
+        });
+        return positions;
+    };
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        umap.step();
+        report(epoch + 1, flatten);
+    }
+
+    return flatten();
+}
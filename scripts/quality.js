@@ -0,0 +1,245 @@
+/**
+ * Data quality checks run after loading.
+ *
+ * Each point is checked for invalid coordinates, unknown categories, duplicate
+ * IDs and values outside declared ranges. A policy then decides per issue type
+ * whether affected points are kept (flagged only), quarantined (set aside and
+ * listed in the report) or excluded (dropped and listed in the report).
+ */
+
+export const QUALITY_ISSUES = {
+    invalidCoordinates: 'Missing or NaN coordinates',
+    unknownCategory: 'Unknown category',
+    duplicateId: 'Duplicate ID',
+    outOfRange: 'Value out of range'
+};
+
+export const QUALITY_ACTIONS = ['keep', 'quarantine', 'exclude'];
+
+export const DEFAULT_QUALITY_POLICY = {
+    invalidCoordinates: 'exclude',
+    unknownCategory: 'keep',
+    duplicateId: 'quarantine',
+    outOfRange: 'quarantine'
+};
+
+// Column names recognized as case identifiers, in order of preference
+const ID_COLUMNS = ['case:concept:name', 'case_id', 'caseid', 'case id', 'case', 'id'];
+
+/**
+ * Finds the column holding a unique identifier per row
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {string|undefined} Column name, if one is recognized
+ */
+export function findIdColumn(schema) {
+    const names = schema.fields.map(f => f.name);
+    for (const candidate of ID_COLUMNS) {
+        const match = names.find(name => name.toLowerCase() === candidate);
+        if (match) return match;
+    }
+    return undefined;
+}
+
+/**
+ * Checks every point and records the issues found
+ * @param {Array} data - Points from loadData
+ * @param {Object} [options] - Check options
+ * @param {Array<string>} [options.knownCategories] - Expected categories; unchecked if omitted
+ * @param {string} [options.idColumn] - ID column; detected from the schema if omitted
+ * @param {Object} [options.ranges] - Allowed `[min, max]` per numeric column
+ * @returns {Map<Object, Array<Object>>} Issues `{ type, detail }` per affected point
+ */
+export function assessQuality(data, { knownCategories, idColumn, ranges = {} } = {}) {
+    const issues = new Map();
+    const known = knownCategories ? new Set(knownCategories) : null;
+    const idField = idColumn || (data.schema && findIdColumn(data.schema));
+    const seenIds = new Map();
+
+    const flag = (d, type, detail) => {
+        if (!issues.has(d)) issues.set(d, []);
+        issues.get(d).push({ type, detail });
+    };
+
+    data.forEach(d => {
+        if (!Number.isFinite(d.x) || !Number.isFinite(d.y)) {
+            flag(d, 'invalidCoordinates', `x = ${d.x}, y = ${d.y}`);
+        }
+
+        if (known && !known.has(d.outcome)) {
+            flag(d, 'unknownCategory', `"${d.outcome ?? ''}"`);
+        }
+
+        if (idField) {
+            const id = d.record[idField];
+            if (id !== null && id !== undefined) {
+                const key = String(id);
+                if (seenIds.has(key)) {
+                    flag(d, 'duplicateId', `${idField} = ${key} (first seen in row ${seenIds.get(key) + 1})`);
+                } else {
+                    seenIds.set(key, d.index);
+                }
+            }
+        }
+
+        Object.entries(ranges).forEach(([column, [min, max]]) => {
+            const value = d.record[column];
+            if (value === null || value === undefined) return;
+            if (value < min || value > max) {
+                flag(d, 'outOfRange', `${column} = ${value} outside [${min}, ${max}]`);
+            }
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Splits points into kept, quarantined and excluded according to a policy.
+ * When a point has several issues, the strictest action wins. Points without
+ * valid coordinates cannot be drawn, so they are never kept.
+ * @param {Array} data - Points from loadData
+ * @param {Map<Object, Array<Object>>} issues - Result of assessQuality
+ * @param {Object} policy - Action per issue type (see DEFAULT_QUALITY_POLICY)
+ * @returns {Object} `{ data, report }`; `data` keeps the schema and mapping of the input
+ */
+export function applyQualityPolicy(data, issues, policy) {
+    const severity = action => QUALITY_ACTIONS.indexOf(action);
+
+    const kept = [];
+    const flagged = [];
+    const quarantined = [];
+    const excluded = [];
+    const counts = Object.fromEntries(Object.keys(QUALITY_ISSUES).map(type => [type, 0]));
+
+    data.forEach(d => {
+        const found = issues.get(d);
+        if (!found) {
+            kept.push(d);
+            return;
+        }
+
+        let action = 'keep';
+        found.forEach(({ type }) => {
+            counts[type]++;
+            let typeAction = policy[type] || DEFAULT_QUALITY_POLICY[type];
+            if (type === 'invalidCoordinates' && typeAction === 'keep') typeAction = 'exclude';
+            if (severity(typeAction) > severity(action)) action = typeAction;
+        });
+
+        const entry = { point: d, issues: found, action };
+        flagged.push(entry);
+        if (action === 'exclude') excluded.push(d);
+        else if (action === 'quarantine') quarantined.push(d);
+        else kept.push(d);
+    });
+
+    kept.schema = data.schema;
+    kept.mapping = data.mapping;
+    // Prebuilt GPU buffers only cover the points with valid coordinates, in
+    // order; they remain usable as long as exactly those points are kept
+    if (data.buffers && kept.length === data.buffers.count) {
+        kept.buffers = data.buffers;
+    }
+
+    return {
+        data: kept,
+        report: {
+            total: data.length,
+            kept: kept.length,
+            counts,
+            flagged,
+            quarantined,
+            excluded,
+            policy: { ...policy }
+        }
+    };
+}
+
+/**
+ * Formats the offending rows as CSV: row number, action, issues, then every column
+ * @param {Object} report - Report from applyQualityPolicy
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {string} CSV text
+ */
+export function formatQualityCsv(report, schema) {
+    const columns = ['row', 'action', 'issues', ...schema.fields.map(f => f.name)];
+    const rows = report.flagged.map(({ point, issues, action }) => {
+        const row = {
+            row: point.index + 1,
+            action,
+            issues: issues.map(i => `${QUALITY_ISSUES[i.type]}: ${i.detail}`).join('; ')
+        };
+        schema.fields.forEach(({ name }) => {
+            const value = point.record[name];
+            row[name] = value instanceof Date ? value.toISOString() : value;
+        });
+        return row;
+    });
+    return d3.csvFormat(rows, columns);
+}
+
+/**
+ * Renders the quality summary with a policy selector per issue type
+ * @param {string} selector - Panel element selector
+ * @param {Object} report - Report from applyQualityPolicy
+ * @param {Object} options - Panel options
+ * @param {Object} options.schema - Schema used for the download
+ * @param {string} options.fileName - Base name of the downloaded file
+ * @param {Function} options.onPolicyChange - Called with the updated policy
+ */
+export function renderQualityPanel(selector, report, { schema, fileName, onPolicyChange }) {
+    const panel = d3.select(selector);
+    panel.selectAll('*').remove();
+
+    const format = d3.format(',');
+    const dropped = report.quarantined.length + report.excluded.length;
+
+    panel.append('div')
+        .attr('class', 'small mb-2')
+        .text(`${format(report.kept)} of ${format(report.total)} rows plotted` +
+            (dropped ? ` (${format(report.quarantined.length)} quarantined, ${format(report.excluded.length)} excluded)` : ''));
+
+    const rows = panel.append('table')
+        .attr('class', 'table table-sm small quality-table')
+        .append('tbody')
+        .selectAll('tr')
+        .data(Object.entries(QUALITY_ISSUES))
+        .join('tr')
+        .classed('text-muted', ([type]) => report.counts[type] === 0);
+
+    rows.append('td').text(([, label]) => label);
+    rows.append('td')
+        .attr('class', 'text-end')
+        .text(([type]) => format(report.counts[type]));
+
+    rows.append('td')
+        .append('select')
+        .attr('class', 'form-select form-select-sm')
+        .attr('aria-label', ([, label]) => `Action for ${label}`)
+        .on('change', function (event, [type]) {
+            onPolicyChange({ ...report.policy, [type]: this.value });
+        })
+        .selectAll('option')
+        .data(([type]) => QUALITY_ACTIONS
+            .filter(action => type !== 'invalidCoordinates' || action !== 'keep')
+            .map(action => ({ action, selected: report.policy[type] === action })))
+        .join('option')
+        .attr('value', d => d.action)
+        .property('selected', d => d.selected)
+        .text(d => d.action);
+
+    panel.append('button')
+        .attr('type', 'button')
+        .attr('class', 'btn btn-outline-secondary btn-sm')
+        .property('disabled', report.flagged.length === 0)
+        .text(`Download ${format(report.flagged.length)} flagged rows`)
+        .on('click', () => {
+            const blob = new Blob([formatQualityCsv(report, schema)], { type: 'text/csv' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${fileName}-quality.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        });
+}
@@ -0,0 +1,177 @@
+/**
+ * Type inference for CSV columns.
+ *
+ * d3.csvParse yields strings only. The schema records, for every column, the
+ * inferred type (number, date, boolean, category or text) together with its
+ * domain, so that tooltips, filters and encodings can treat any attribute
+ * appropriately.
+ */
+
+export const FIELD_TYPES = ['number', 'date', 'boolean', 'category', 'text'];
+
+// Number of non-empty values inspected when inferring a column type
+const SAMPLE_SIZE = 1000;
+
+// Columns with at most this many distinct values may be categorical ...
+export const MAX_CATEGORIES = 50;
+// ... provided values repeat, i.e. distinct / filled stays below this ratio
+const MAX_CATEGORY_RATIO = 0.5;
+
+const BOOLEAN_VALUES = new Map([
+    ['true', true], ['false', false],
+    ['yes', true], ['no', false]
+]);
+
+// ISO 8601 dates with optional time part, e.g. 2024-03-01 or 2024-03-01T12:00:00Z
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Checks whether a raw CSV value is empty
+ * @param {*} value - Raw value
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+export function isMissing(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Converts a raw value to the given field type
+ * @param {*} value - Raw value (usually a string)
+ * @param {string} type - One of FIELD_TYPES
+ * @returns {*} Typed value, or null if missing or not convertible
+ */
+export function parseValue(value, type) {
+    if (isMissing(value)) return null;
+
+    switch (type) {
+        case 'number': {
+            const n = +value;
+            return Number.isFinite(n) ? n : null;
+        }
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(String(value).trim());
+            return isNaN(date) ? null : date;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const b = BOOLEAN_VALUES.get(String(value).trim().toLowerCase());
+            return b === undefined ? null : b;
+        }
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Infers the type of a single column from a sample of its values
+ * @param {Array} values - Non-empty raw values
+ * @returns {string} One of FIELD_TYPES
+ */
+function inferType(values) {
+    if (values.length === 0) return 'text';
+
+    const strings = values.map(v => String(v).trim());
+
+    if (values.every(v => typeof v === 'boolean') ||
+        strings.every(v => BOOLEAN_VALUES.has(v.toLowerCase()))) {
+        return 'boolean';
+    }
+    if (strings.every(v => Number.isFinite(+v))) {
+        return 'number';
+    }
+    if (values.every(v => v instanceof Date) ||
+        strings.every(v => ISO_DATE.test(v) && !isNaN(new Date(v)))) {
+        return 'date';
+    }
+
+    const distinct = new Set(strings).size;
+    if (distinct <= MAX_CATEGORIES && distinct / strings.length <= MAX_CATEGORY_RATIO) {
+        return 'category';
+    }
+    return 'text';
+}
+
+/**
+ * Infers the schema of a table
+ * @param {Array<Object>} rows - Raw rows keyed by column name
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {Object} Schema with `fields`, `field(name)`, `ofType(...types)` and
+ *   `add(field)`, which appends a derived field or replaces the one of the same name.
+ *   Number fields also count their `distinct` values, up to MAX_CATEGORIES + 1.
+ */
+export function inferSchema(rows, columns) {
+    const fields = columns.map(name => {
+        const sample = [];
+        for (let i = 0; i < rows.length && sample.length < SAMPLE_SIZE; i++) {
+            const value = rows[i][name];
+            if (!isMissing(value)) sample.push(value);
+        }
+        return { name, type: inferType(sample) };
+    });
+
+    // Gather domains over the full table now that types are known
+    fields.forEach(field => {
+        let missing = 0;
+
+        if (field.type === 'number' || field.type === 'date') {
+            let min = null;
+            let max = null;
+            // Numbers with few values, such as codes or ratings, may be colored as categories
+            const distinct = new Set();
+            rows.forEach(row => {
+                const v = parseValue(row[field.name], field.type);
+                if (v === null) {
+                    missing++;
+                    return;
+                }
+                if (min === null || v < min) min = v;
+                if (max === null || v > max) max = v;
+                if (distinct.size <= MAX_CATEGORIES) distinct.add(+v);
+            });
+            field.domain = [min, max];
+            if (field.type === 'number') field.distinct = distinct.size;
+        } else if (field.type === 'category' || field.type === 'boolean') {
+            // Order categories by descending frequency
+            const counts = d3.rollup(
+                rows.filter(row => !isMissing(row[field.name])),
+                v => v.length,
+                row => parseValue(row[field.name], field.type)
+            );
+            missing = rows.length - d3.sum(counts.values());
+            field.domain = Array.from(counts.keys())
+                .sort((a, b) => counts.get(b) - counts.get(a));
+        } else {
+            missing = rows.filter(row => isMissing(row[field.name])).length;
+        }
+
+        field.missing = missing;
+    });
+
+    const byName = new Map(fields.map(f => [f.name, f]));
+
+    return {
+        fields,
+        field: name => byName.get(name),
+        ofType: (...types) => fields.filter(f => types.includes(f.type)),
+        add(field) {
+            const existing = byName.get(field.name);
+            if (existing) fields[fields.indexOf(existing)] = field;
+            else fields.push(field);
+            byName.set(field.name, field);
+        }
+    };
+}
+
+/**
+ * Converts a raw row into a typed record following the schema
+ * @param {Object} row - Raw row keyed by column name
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {Object} Typed record (missing values become null)
+ */
+export function typeRecord(row, schema) {
+    const record = {};
+    schema.fields.forEach(({ name, type }) => {
+        record[name] = parseValue(row[name], type);
+    });
+    return record;
+}
@@ -0,0 +1,361 @@
+/**
+ * Shared point selection.
+ *
+ * The selection is a sorted array of record indices (`d.index` of the
+ * points), so that every view can look the cases up in its own data. Views
+ * listen for changes with onSelectionChange.
+ *
+ * Selections are built iteratively with set operations ('replace', 'add',
+ * 'subtract', 'intersect') and can be saved under a name for later reuse
+ * and comparison.
+ */
+
+import { parseValue } from './schema.js';
+
+export const SELECTION_OPERATIONS = {
+    replace: { label: 'Select', symbol: '=' },
+    add: { label: 'Add', symbol: '+' },
+    subtract: { label: 'Subtract', symbol: '−' },
+    intersect: { label: 'Intersect', symbol: '∩' }
+};
+
+export const FILTER_OPERATORS = {
+    eq: { label: '=', test: (a, b) => +a === +b || String(a) === String(b) },
+    ne: { label: '≠', test: (a, b) => !(+a === +b || String(a) === String(b)) },
+    lt: { label: '<', test: (a, b) => a < b },
+    le: { label: '≤', test: (a, b) => a <= b },
+    gt: { label: '>', test: (a, b) => a > b },
+    ge: { label: '≥', test: (a, b) => a >= b }
+};
+
+const dispatch = d3.dispatch('change', 'named');
+let selected = [];
+const named = new Map();
+
+/**
+ * Returns the current selection
+ * @returns {Array<number>} Sorted record indices
+ */
+export function getSelection() {
+    return selected;
+}
+
+/**
+ * Replaces the selection and notifies the listeners
+ * @param {Iterable<number>} indices - Record indices
+ */
+export function setSelection(indices) {
+    selected = Array.from(new Set(indices)).sort((a, b) => a - b);
+    dispatch.call('change', null, selected);
+}
+
+/**
+ * Empties the selection
+ */
+export function clearSelection() {
+    if (selected.length > 0) setSelection([]);
+}
+
+/**
+ * Applies a set operation between the current selection and other points
+ * @param {Iterable<number>} indices - Record indices to combine with
+ * @param {string} [operation='replace'] - Key of SELECTION_OPERATIONS
+ */
+export function combineSelection(indices, operation = 'replace') {
+    const other = new Set(indices);
+
+    switch (operation) {
+        case 'add':
+            setSelection(selected.concat(Array.from(other)));
+            break;
+        case 'subtract':
+            setSelection(selected.filter(i => !other.has(i)));
+            break;
+        case 'intersect':
+            setSelection(selected.filter(i => other.has(i)));
+            break;
+        default:
+            setSelection(other);
+    }
+}
+
+/**
+ * Reads the set operation from the modifier keys of an event:
+ * shift adds, alt subtracts and both intersect
+ * @param {Event} [event] - Mouse or keyboard event
+ * @returns {string} Key of SELECTION_OPERATIONS
+ */
+export function operationFromEvent(event) {
+    if (!event) return 'replace';
+    if (event.shiftKey && event.altKey) return 'intersect';
+    if (event.shiftKey) return 'add';
+    if (event.altKey) return 'subtract';
+    return 'replace';
+}
+
+/**
+ * Registers a listener called with the new selection whenever it changes
+ * @param {string} name - Name of the listener; registering a name again replaces it
+ * @param {Function|null} listener - Called with the sorted record indices, null to remove
+ */
+export function onSelectionChange(name, listener) {
+    dispatch.on(`change.${name}`, listener);
+}
+
+// ───────────────────────────────────────────
+// Named selections
+
+/**
+ * Saves the current selection under a name, replacing a selection of the same name
+ * @param {string} name - Selection name
+ */
+export function saveSelection(name) {
+    const key = name.trim();
+    if (!key) {
+        throw new Error('A named selection needs a name');
+    }
+    named.set(key, selected.slice());
+    dispatch.call('named', null, named);
+}
+
+/**
+ * Removes a named selection
+ * @param {string} name - Selection name
+ */
+export function deleteNamedSelection(name) {
+    if (named.delete(name)) dispatch.call('named', null, named);
+}
+
+/**
+ * Removes every named selection, e.g. when another dataset is loaded
+ */
+export function clearNamedSelections() {
+    if (named.size === 0) return;
+    named.clear();
+    dispatch.call('named', null, named);
+}
+
+/**
+ * Returns the named selections
+ * @returns {Map<string, Array<number>>} Sorted record indices per name, in order of creation
+ */
+export function namedSelections() {
+    return named;
+}
+
+/**
+ * Registers a listener called whenever named selections are saved or removed
+ * @param {string} name - Name of the listener; registering a name again replaces it
+ * @param {Function|null} listener - Called with the map of named selections
+ */
+export function onNamedSelectionsChange(name, listener) {
+    dispatch.on(`named.${name}`, listener);
+}
+
+/**
+ * Describes the named selections each point belongs to
+ * @returns {Function} Returns the label of a point: the names of the selections
+ *   holding it joined by ' & ', or null when it is in none
+ */
+export function membershipLabel() {
+    const labels = new Map();
+    named.forEach((indices, name) => {
+        indices.forEach(i => {
+            const label = labels.get(i);
+            labels.set(i, label ? `${label} & ${name}` : name);
+        });
+    });
+    return d => labels.get(d.index) || null;
+}
+
+/**
+ * Compares two sets of record indices
+ * @param {Array<number>} a - First selection
+ * @param {Array<number>} b - Second selection
+ * @returns {Object} Counts `{ onlyA, both, onlyB }` and the Jaccard index `jaccard`
+ */
+export function compareSelections(a, b) {
+    const inB = new Set(b);
+    const both = a.filter(i => inB.has(i)).length;
+    const union = a.length + b.length - both;
+    return {
+        onlyA: a.length - both,
+        both,
+        onlyB: b.length - both,
+        jaccard: union ? both / union : 0
+    };
+}
+
+/**
+ * Finds the points matching a filter
+ * @param {Array} data - Points with typed records
+ * @param {Object} field - Schema field to test
+ * @param {string} operator - Key of FILTER_OPERATORS
+ * @param {string} value - Value typed by the user
+ * @returns {Array<number>} Record indices of the matching points
+ */
+export function filterIndices(data, field, operator, value) {
+    const target = parseValue(value, field.type);
+    if (target === null) {
+        throw new Error(`"${value}" is not a valid ${field.type} value for ${field.name}`);
+    }
+    const { test } = FILTER_OPERATORS[operator];
+
+    return data
+        .filter(d => {
+            const v = d.record[field.name];
+            return v !== null && v !== undefined && test(v, target);
+        })
+        .map(d => d.index);
+}
+
+// ───────────────────────────────────────────
+// Controls
+
+/**
+ * Wires the interaction mode buttons, the selection status and the selection panel
+ * @param {Object} options - Control options
+ * @param {Function} options.onModeChange - Called with 'pan', 'rectangle' or 'lasso'
+ * @param {Function} options.getData - Returns the points currently plotted
+ * @param {Function} options.onColorByMembership - Called with true or false when
+ *   coloring by named selection membership is switched on or off
+ * @returns {Object} `{ update(schema) }` to refresh the filter fields for a dataset
+ */
+export function initSelectionControls({ onModeChange, getData, onColorByMembership }) {
+    const format = d3.format(',');
+    const formatPercent = d3.format('.0%');
+
+    d3.selectAll('input[name="interaction-mode"]').on('change', function () {
+        if (this.checked) onModeChange(this.value);
+    });
+
+    d3.select('#selection-clear').on('click', clearSelection);
+
+    onSelectionChange('status', indices => {
+        d3.select('#selection-status').text(indices.length ? `${format(indices.length)} selected` : '');
+        d3.select('#selection-clear').property('disabled', indices.length === 0);
+        d3.select('#selection-save').property('disabled', indices.length === 0);
+    });
+
+    // Saving
+    d3.select('#selection-save').on('click', () => {
+        const input = d3.select('#selection-name');
+        const name = input.property('value').trim() || `Selection ${named.size + 1}`;
+        saveSelection(name);
+        input.property('value', '');
+    });
+
+    d3.select('#color-by-selections').on('change', function () {
+        onColorByMembership(this.checked);
+    });
+
+    // Filter
+    let schema = null;
+    d3.select('#filter-op').selectAll('option')
+        .data(Object.entries(FILTER_OPERATORS))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, op]) => op.label);
+
+    d3.select('#filter-actions').selectAll('button')
+        .data(Object.entries(SELECTION_OPERATIONS))
+        .join('button')
+        .attr('type', 'button')
+        .attr('class', 'btn btn-outline-secondary')
+        .attr('title', ([, op]) => `${op.label} the matching points`)
+        .text(([, op]) => op.symbol)
+        .on('click', (event, [operation]) => {
+            const data = getData();
+            const field = schema && schema.field(d3.select('#filter-field').property('value'));
+            if (!data || !field) return;
+
+            try {
+                const indices = filterIndices(data, field, d3.select('#filter-op').property('value'),
+                    d3.select('#filter-value').property('value'));
+                combineSelection(indices, operation);
+                d3.select('#filter-status').text('');
+            } catch (error) {
+                d3.select('#filter-status').text(error.message);
+            }
+        });
+
+    // Named selections and their comparison
+    onNamedSelectionsChange('panel', selections => {
+        const names = Array.from(selections.keys());
+
+        const rows = d3.select('#named-selections')
+            .selectAll('div.named-selection')
+            .data(names, name => name)
+            .join(enter => {
+                const row = enter.append('div')
+                    .attr('class', 'named-selection d-flex align-items-center gap-1 small mb-1');
+                row.append('span').attr('class', 'named-selection-name flex-grow-1 text-truncate');
+                row.append('div')
+                    .attr('class', 'btn-group btn-group-sm')
+                    .selectAll('button')
+                    .data(Object.entries(SELECTION_OPERATIONS))
+                    .join('button')
+                    .attr('type', 'button')
+                    .attr('class', 'btn btn-outline-secondary py-0')
+                    .attr('title', ([, op]) => op.label)
+                    .text(([, op]) => op.symbol)
+                    .on('click', function (event, [operation]) {
+                        const name = d3.select(this.closest('.named-selection')).datum();
+                        combineSelection(named.get(name), operation);
+                    });
+                row.append('button')
+                    .attr('type', 'button')
+                    .attr('class', 'btn-close btn-sm')
+                    .attr('aria-label', 'Remove')
+                    .on('click', (event, name) => deleteNamedSelection(name));
+                return row;
+            });
+
+        rows.select('.named-selection-name')
+            .text(name => `${name} (${format(selections.get(name).length)})`)
+            .attr('title', name => name);
+
+        d3.selectAll('#compare-a, #compare-b').each(function (d, i) {
+            const select = d3.select(this);
+            const current = select.property('value');
+            select.selectAll('option')
+                .data(names)
+                .join('option')
+                .attr('value', name => name)
+                .text(name => name);
+            select.property('value', names.includes(current) ? current : names[Math.min(i, names.length - 1)] || '');
+        });
+        renderComparison();
+    });
+
+    /**
+     * Shows how the two selections picked for comparison overlap
+     */
+    function renderComparison() {
+        const a = named.get(d3.select('#compare-a').property('value'));
+        const b = named.get(d3.select('#compare-b').property('value'));
+        const result = d3.select('#compare-result');
+
+        if (!a || !b) {
+            result.text(named.size < 2 ? 'Save two selections to compare them' : '');
+            return;
+        }
+        const { onlyA, both, onlyB, jaccard } = compareSelections(a, b);
+        result.text(`Only A: ${format(onlyA)} · Both: ${format(both)} · Only B: ${format(onlyB)} · ` +
+            `Jaccard: ${formatPercent(jaccard)}`);
+    }
+    d3.selectAll('#compare-a, #compare-b').on('change', renderComparison);
+    renderComparison();
+
+    return {
+        update(nextSchema) {
+            schema = nextSchema;
+            const fields = schema ? schema.fields.filter(f => f.type !== 'text') : [];
+            d3.select('#filter-field').selectAll('option')
+                .data(fields)
+                .join('option')
+                .attr('value', f => f.name)
+                .text(f => f.name);
+        }
+    };
+}
@@ -0,0 +1,123 @@
+/**
+ * Shape encoding: maps a categorical attribute to the marker shape drawn by
+ * the fragment shader. Shape indices match the branches of the shader in
+ * drawScatterPlotWebGL, and SVG symbols are used to draw them in the legend.
+ */
+
+export const SHAPES = [
+    { name: 'circle', symbol: d3.symbolCircle },
+    { name: 'square', symbol: d3.symbolSquare },
+    { name: 'triangle', symbol: d3.symbolTriangle },
+    { name: 'diamond', symbol: d3.symbolDiamond2 },
+    { name: 'cross', symbol: d3.symbolCross }
+];
+
+// Label of the category grouping the values without a shape of their own
+const OTHER_LABEL = 'Other';
+const MISSING_LABEL = '(missing)';
+
+/**
+ * Lists the fields that can drive the marker shape
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {Array<Object>} Categorical and boolean schema fields
+ */
+export function shapeFields(schema) {
+    return schema.ofType('category', 'boolean');
+}
+
+/**
+ * Creates a shape encoding over the given points. The most frequent
+ * categories get a shape each; when there are more categories than shapes,
+ * the remaining ones share the last shape under 'Other'.
+ * @param {Array} data - Points with typed records
+ * @param {string} field - Categorical record column
+ * @returns {Object} Encoding `{ field, value(d), legend }`, `value` giving the shape index
+ *   and `legend` listing `{ label, shape }` entries
+ */
+export function createShapeEncoding(data, field) {
+    const key = d => {
+        const v = d.record[field];
+        return v === null || v === undefined ? MISSING_LABEL : String(v);
+    };
+
+    const counts = d3.rollup(data, v => v.length, key);
+    const categories = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+
+    const overflow = categories.length > SHAPES.length;
+    const own = overflow ? categories.slice(0, SHAPES.length - 1) : categories;
+    const index = new Map(own.map((c, i) => [c, i]));
+    const otherIndex = SHAPES.length - 1;
+
+    const legend = own.map((label, i) => ({ label, shape: SHAPES[i] }));
+    if (overflow) legend.push({ label: OTHER_LABEL, shape: SHAPES[otherIndex] });
+
+    return {
+        field,
+        value: d => {
+            const i = index.get(key(d));
+            return i === undefined ? otherIndex : i;
+        },
+        legend
+    };
+}
+
+/**
+ * Draws the legend of a shape encoding
+ * @param {Object} g - d3 selection of the SVG group holding the legend
+ * @param {Object} encoding - Encoding from createShapeEncoding
+ */
+export function renderShapeLegend(g, encoding) {
+    g.selectAll('*').remove();
+
+    g.append('text')
+        .attr('class', 'legend-title')
+        .attr('y', 10)
+        .attr('font-size', '12px')
+        .attr('font-weight', 'bold')
+        .text(encoding.field);
+
+    const rows = g.selectAll('g.legend-item')
+        .data(encoding.legend)
+        .join('g')
+        .attr('class', 'legend-item')
+        .attr('transform', (e, i) => `translate(0, ${18 + i * 20})`);
+
+    rows.append('path')
+        .attr('transform', 'translate(6, 6)')
+        .attr('d', e => d3.symbol(e.shape.symbol, 80)())
+        .attr('fill', '#777');
+
+    rows.append('text')
+        .attr('x', 16)
+        .attr('y', 10)
+        .attr('font-size', '12px')
+        .attr('alignment-baseline', 'middle')
+        .text(e => e.label);
+}
+
+/**
+ * Wires the shape control
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with a field name, or null for circles only
+ * @returns {Object} `{ update(schema, field) }` to refresh the list for a dataset
+ */
+export function initShapeControls({ onChange }) {
+    const select = d3.select('#shape-field');
+
+    select.on('change', () => onChange(select.property('value') || null));
+
+    return {
+        update(schema, field) {
+            const options = [{ name: '', label: 'None' }].concat(
+                (schema ? shapeFields(schema) : []).map(f => ({ name: f.name, label: f.name })));
+            select.selectAll('option')
+                .data(options)
+                .join('option')
+                .attr('value', o => o.name)
+                .text(o => o.label);
+            select
+                .property('disabled', options.length < 2)
+                .property('value', field || '');
+        }
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * Size and opacity encodings: map a numeric attribute of the points to the
+ * point size (in pixels) or to a factor on the point opacity.
+ *
+ * Values are clamped to a percentile range so that a few large values
+ * (e.g. outlying amounts) do not shrink every other point to the minimum.
+ */
+
+// Point diameter in pixels for the smallest and largest values
+export const SIZE_RANGE = [2, 14];
+
+// Opacity factor for the smallest and largest values
+export const OPACITY_RANGE = [0.15, 1];
+
+// Percentiles bounding the encoded domain; values outside are clamped
+const CLAMP_PERCENTILES = [0.02, 0.98];
+
+/**
+ * Lists the fields that can drive size or opacity
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {Array<Object>} Numeric schema fields
+ */
+export function scalarFields(schema) {
+    return schema.ofType('number');
+}
+
+/**
+ * Creates a numeric encoding over the given points
+ * @param {Array} data - Points with typed records
+ * @param {string} field - Numeric record column
+ * @param {Array<number>} range - Output for the low and high end of the domain
+ * @param {Function} scaleFactory - d3 scale constructor, e.g. d3.scaleSqrt
+ * @returns {Object} Encoding `{ field, value(d), scale, clamped }`
+ */
+function createScalarEncoding(data, field, range, scaleFactory) {
+    const values = data.map(d => d.record[field])
+        .filter(v => v !== null && v !== undefined && Number.isFinite(+v))
+        .map(Number)
+        .sort(d3.ascending);
+
+    let domain = values.length
+        ? CLAMP_PERCENTILES.map(p => d3.quantileSorted(values, p))
+        : [0, 1];
+    if (domain[0] === domain[1]) domain = [values[0], values[values.length - 1]];
+    const clamped = values.length > 0 &&
+        (domain[0] > values[0] || domain[1] < values[values.length - 1]);
+
+    const scale = scaleFactory(domain, range).clamp(true);
+
+    return {
+        field,
+        scale,
+        clamped,
+        value: d => {
+            const v = d.record[field];
+            return v === null || v === undefined || !Number.isFinite(+v) ? range[0] : scale(+v);
+        }
+    };
+}
+
+/**
+ * Creates a size encoding; the area of a point grows linearly with the value
+ * @param {Array} data - Points with typed records
+ * @param {string} field - Numeric record column
+ * @param {Array<number>} [range] - Smallest and largest diameter in pixels
+ * @returns {Object} Encoding `{ field, value(d), scale, clamped }`, `value` giving the diameter
+ */
+export function createSizeEncoding(data, field, range = SIZE_RANGE) {
+    // Negative values would invert a square root scale
+    const factory = (domain, r) => domain[0] >= 0 ? d3.scaleSqrt(domain, r) : d3.scaleLinear(domain, r);
+    return createScalarEncoding(data, field, range, factory);
+}
+
+/**
+ * Creates an opacity encoding
+ * @param {Array} data - Points with typed records
+ * @param {string} field - Numeric record column
+ * @param {Array<number>} [range] - Opacity factor of the smallest and largest values
+ * @returns {Object} Encoding `{ field, value(d), scale, clamped }`, `value` giving the factor
+ */
+export function createOpacityEncoding(data, field, range = OPACITY_RANGE) {
+    return createScalarEncoding(data, field, range, d3.scaleLinear);
+}
+
+/**
+ * Draws the legend of a size encoding: circles for a few representative values
+ * @param {Object} g - d3 selection of the SVG group holding the legend
+ * @param {Object} encoding - Encoding from createSizeEncoding
+ */
+export function renderSizeLegend(g, encoding) {
+    g.selectAll('*').remove();
+
+    const format = d3.format('~s');
+    const [lo, hi] = encoding.scale.domain();
+    const values = lo === hi ? [lo] : [lo, (lo + hi) / 2, hi];
+    const largest = encoding.scale(hi);
+
+    g.append('text')
+        .attr('class', 'legend-title')
+        .attr('y', 10)
+        .attr('font-size', '12px')
+        .attr('font-weight', 'bold')
+        .text(encoding.field);
+
+    const rows = g.selectAll('g.legend-item')
+        .data(values)
+        .join('g')
+        .attr('class', 'legend-item')
+        .attr('transform', (v, i) => `translate(0, ${18 + i * Math.max(16, largest + 4)})`);
+
+    rows.append('circle')
+        .attr('cx', largest / 2)
+        .attr('cy', largest / 2)
+        .attr('r', v => encoding.scale(v) / 2)
+        .attr('fill', '#999')
+        .attr('fill-opacity', 0.6)
+        .attr('stroke', '#666');
+
+    // Clamped ends stand for every value beyond them
+    rows.append('text')
+        .attr('x', largest + 6)
+        .attr('y', largest / 2)
+        .attr('font-size', '12px')
+        .attr('alignment-baseline', 'middle')
+        .text((v, i) => {
+            if (encoding.clamped && i === 0 && values.length > 1) return `≤ ${format(v)}`;
+            if (encoding.clamped && i === values.length - 1) return `≥ ${format(v)}`;
+            return format(v);
+        });
+}
+
+/**
+ * Wires the size and opacity controls
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with the choice `{ size, opacity }`,
+ *   each a field name or null for a constant
+ * @returns {Object} `{ update(schema, choice) }` to refresh the lists for a dataset
+ */
+export function initSizeOpacityControls({ onChange }) {
+    const sizeSelect = d3.select('#size-field');
+    const opacitySelect = d3.select('#opacity-field');
+
+    const changed = () => onChange({
+        size: sizeSelect.property('value') || null,
+        opacity: opacitySelect.property('value') || null
+    });
+    sizeSelect.on('change', changed);
+    opacitySelect.on('change', changed);
+
+    return {
+        update(schema, choice) {
+            const options = [{ name: '', label: 'Constant' }].concat(
+                (schema ? scalarFields(schema) : []).map(f => ({ name: f.name, label: f.name })));
+
+            [[sizeSelect, choice.size], [opacitySelect, choice.opacity]].forEach(([select, field]) => {
+                select.selectAll('option')
+                    .data(options)
+                    .join('option')
+                    .attr('value', o => o.name)
+                    .text(o => o.label);
+                select
+                    .property('disabled', options.length < 2)
+                    .property('value', field || '');
+            });
+        }
+    };
+}
@@ -0,0 +1,73 @@
+/**
+ * Spatial index for picking points under the mouse.
+ *
+ * The index is a d3.quadtree of point positions in data space, built once per
+ * layout. The x and y axes of the plot have different scales, so a circle of
+ * a few pixels on screen is an ellipse in data space; queries therefore take
+ * the number of pixels per data unit along each axis and measure distances in
+ * pixels. An axis with no pixels per unit, where the plot draws every point on
+ * one line, is left out of the distance.
+ */
+
+/**
+ * Builds the index over interleaved positions
+ * @param {Float32Array} positions - Interleaved x, y positions in data space
+ * @returns {Object} Index with `find(x, y, options)`
+ */
+export function createSpatialIndex(positions) {
+    const count = positions.length / 2;
+    const indices = new Uint32Array(count);
+    for (let i = 0; i < count; i++) indices[i] = i;
+
+    // Points without valid coordinates are left out by the quadtree
+    const tree = d3.quadtree()
+        .x(i => positions[2 * i])
+        .y(i => positions[2 * i + 1])
+        .addAll(indices);
+
+    return {
+        /**
+         * Finds the point nearest to a position, within a radius in pixels
+         * @param {number} x - Query x in data space
+         * @param {number} y - Query y in data space
+         * @param {Object} options - Query options
+         * @param {number} options.sx - Pixels per data unit along x, 0 to leave x out
+         * @param {number} options.sy - Pixels per data unit along y, 0 to leave y out
+         * @param {number} options.radius - Largest distance in pixels
+         * @param {Function} [options.accept] - Returns false for points that cannot be picked
+         * @returns {number} Index of the nearest point, or -1 if none is within the radius
+         */
+        find(x, y, { sx, sy, radius, accept }) {
+            const ax = Math.abs(sx);
+            const ay = Math.abs(sy);
+            let best = -1;
+            let bestD2 = radius * radius;
+            // Search box in data space, shrunk whenever a closer point is found
+            const reach = (d, a) => a ? d / a : Infinity;
+            let rx = reach(radius, ax);
+            let ry = reach(radius, ay);
+
+            tree.visit((node, x0, y0, x1, y1) => {
+                if (x0 > x + rx || x1 < x - rx || y0 > y + ry || y1 < y - ry) return true;
+                if (node.length) return false;
+
+                for (let leaf = node; leaf; leaf = leaf.next) {
+                    const i = leaf.data;
+                    if (accept && !accept(i)) continue;
+                    const dx = (positions[2 * i] - x) * ax;
+                    const dy = (positions[2 * i + 1] - y) * ay;
+                    const d2 = dx * dx + dy * dy;
+                    if (d2 < bestD2) {
+                        bestD2 = d2;
+                        best = i;
+                        rx = reach(Math.sqrt(d2), ax);
+                        ry = reach(Math.sqrt(d2), ay);
+                    }
+                }
+                return true;
+            });
+
+            return best;
+        }
+    };
+}
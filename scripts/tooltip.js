@@ -0,0 +1,214 @@
+/**
+ * Tooltip templates: render the attributes of a case chosen by the user, each
+ * formatted after its type and name, with a small bar placing numeric values
+ * within their range.
+ *
+ * Every value coming from the data is HTML-escaped; templates produce markup
+ * that is safe to pass to `.html()`.
+ */
+
+import { findIdColumn } from './quality.js';
+import { findCoordinatePairs } from './columnMapping.js';
+
+// Fields shown when the user has not picked any
+const DEFAULT_FIELD_COUNT = 6;
+
+// Currency of the monetary columns of the road fines exports
+const CURRENCY_SYMBOL = '€';
+const MONEY_COLUMN = /amount|expense|balance|price|cost/i;
+
+// Duration columns and the unit of their values, given by the name suffix
+const DURATION_COLUMN = /duration|elapsed|_(days|hours|minutes|seconds|ms)$/i;
+const DURATION_UNITS = [
+    { suffix: /_ms$/i, ms: 1 },
+    { suffix: /_seconds$/i, ms: 1000 },
+    { suffix: /_minutes$/i, ms: 60 * 1000 },
+    { suffix: /_hours$/i, ms: 60 * 60 * 1000 },
+    // Durations without a unit are in days, like duration_days of eventLog.js
+    { suffix: /(?:)/, ms: 24 * 60 * 60 * 1000 }
+];
+
+// Width of the bar placing a numeric value within its range, in pixels
+const BAR_WIDTH = 48;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    '\'': '&#39;'
+};
+
+/**
+ * Escapes a value for use in HTML text and attribute values
+ * @param {*} value - Any value; null and undefined become empty strings
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+/**
+ * Names a case after its identifier
+ * @param {Object} d - Point
+ * @param {string} [idColumn] - Column holding the case ID, from findIdColumn
+ * @returns {string} Case ID, or the record index when the data has no ID column
+ */
+export function caseName(d, idColumn) {
+    const id = idColumn ? d.record[idColumn] : null;
+    return id === null || id === undefined ? `#${d.index}` : String(id);
+}
+
+/**
+ * Formats a duration in the two largest units, e.g. "12 d 3 h" or "5 min"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+    const units = [['d', 86400000], ['h', 3600000], ['min', 60000], ['s', 1000]];
+    const sign = ms < 0 ? '-' : '';
+    let rest = Math.abs(ms);
+
+    const first = units.findIndex(([, size]) => rest >= size);
+    if (first === -1) return `${sign}${Math.round(rest)} ms`;
+
+    const parts = [];
+    units.slice(first, first + 2).forEach(([label, size]) => {
+        const count = Math.floor(rest / size);
+        rest -= count * size;
+        if (count > 0) parts.push(`${count} ${label}`);
+    });
+    return sign + parts.join(' ');
+}
+
+/**
+ * Picks the formatter of a schema field from its type and name
+ * @param {Object} field - Schema field
+ * @returns {Function} Formats a typed value as plain (unescaped) text
+ */
+export function fieldFormatter(field) {
+    const missing = v => v === null || v === undefined;
+
+    switch (field.type) {
+        case 'number': {
+            if (DURATION_COLUMN.test(field.name)) {
+                const { ms } = DURATION_UNITS.find(u => u.suffix.test(field.name));
+                return v => missing(v) ? '–' : formatDuration(v * ms);
+            }
+            // Activity counts (count:Payment) are plain numbers
+            if (MONEY_COLUMN.test(field.name) && !field.name.startsWith('count:')) {
+                const format = d3.format(',.2f');
+                return v => missing(v) ? '–' : `${CURRENCY_SYMBOL} ${format(v)}`;
+            }
+            const format = d3.format(',.4~g');
+            return v => missing(v) ? '–' : format(v);
+        }
+        case 'date': {
+            const format = d3.timeFormat('%Y-%m-%d %H:%M');
+            const formatDay = d3.timeFormat('%Y-%m-%d');
+            // Dates without a time of day are shown as days
+            return v => {
+                if (missing(v)) return '–';
+                return v.getHours() || v.getMinutes() ? format(v) : formatDay(v);
+            };
+        }
+        case 'boolean':
+            return v => missing(v) ? '–' : v ? 'yes' : 'no';
+        default:
+            return v => missing(v) ? '–' : String(v);
+    }
+}
+
+/**
+ * Lists the fields a tooltip can show
+ * @param {Object} schema - Schema from inferSchema
+ * @returns {Array<Object>} Schema fields other than the case ID and coordinates
+ */
+export function tooltipFields(schema) {
+    const idColumn = findIdColumn(schema);
+    const coordinates = new Set(findCoordinatePairs(schema.ofType('number').map(f => f.name))
+        .flatMap(p => [p.x, p.y]));
+    return schema.fields.filter(f => f.name !== idColumn && !coordinates.has(f.name));
+}
+
+/**
+ * Picks the fields shown before the user chooses: the outcome, then the
+ * first other attributes of the table
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Object} mapping - Column mapping `{ x, y, outcome }`
+ * @returns {Array<string>} Field names
+ */
+export function defaultTooltipFields(schema, mapping) {
+    const names = tooltipFields(schema)
+        .map(f => f.name)
+        .filter(name => name !== mapping.x && name !== mapping.y);
+    const ordered = names.includes(mapping.outcome)
+        ? [mapping.outcome, ...names.filter(name => name !== mapping.outcome)]
+        : names;
+    return ordered.slice(0, DEFAULT_FIELD_COUNT);
+}
+
+/**
+ * Creates a tooltip template
+ * @param {Object} schema - Schema from inferSchema
+ * @param {Array<string>} fields - Names of the fields to show, in order
+ * @returns {Function} Renders the HTML of the tooltip of a point
+ */
+export function createTooltipTemplate(schema, fields) {
+    const idColumn = findIdColumn(schema);
+    const rows = fields
+        .map(name => schema.field(name))
+        .filter(Boolean)
+        .map(field => {
+            const format = fieldFormatter(field);
+            const [min, max] = field.type === 'number' && field.domain ? field.domain : [null, null];
+            const position = min !== null && max > min
+                ? d3.scaleLinear([min, max], [0, BAR_WIDTH]).clamp(true)
+                : null;
+            return { field, format, position };
+        });
+
+    return d => {
+        const header = `<div class="tooltip-id"><strong>Case ${escapeHtml(caseName(d, idColumn))}</strong></div>`;
+
+        const body = rows.map(({ field, format, position }) => {
+            const value = d.record[field.name];
+            const bar = position && value !== null && value !== undefined
+                ? `<span class="tooltip-bar" style="width:${BAR_WIDTH}px">` +
+                  `<span style="width:${position(value).toFixed(1)}px"></span></span>`
+                : '';
+            return `<tr><th>${escapeHtml(field.name)}</th>` +
+                `<td>${escapeHtml(format(value))}</td><td>${bar}</td></tr>`;
+        }).join('');
+
+        return `${header}<table class="tooltip-fields">${body}</table>`;
+    };
+}
+
+/**
+ * Wires the tooltip field picker
+ * @param {Object} options - Control options
+ * @param {Function} options.onChange - Called with the names of the chosen fields
+ * @returns {Object} `{ update(schema, fields) }` to refresh the list for a dataset
+ */
+export function initTooltipControls({ onChange }) {
+    const select = d3.select('#tooltip-fields');
+
+    select.on('change', () => {
+        onChange(Array.from(select.node().selectedOptions, o => o.value));
+    });
+
+    return {
+        update(schema, fields) {
+            const chosen = new Set(fields);
+            select.selectAll('option')
+                .data(schema ? tooltipFields(schema) : [], f => f.name)
+                .join('option')
+                .attr('value', f => f.name)
+                .text(f => f.name)
+                .property('selected', f => chosen.has(f.name));
+            select.property('disabled', !schema);
+        }
+    };
+}
@@ -0,0 +1,2 @@
+// umap-js v1.4.0 https://github.com/PAIR-code/umap-js Copyright 2019 Google LLC (Apache-2.0)
+!function(t,e){"object"==typeof exports&&"object"==typeof module?module.exports=e():"function"==typeof define&&define.amd?define([],e):"object"==typeof exports?exports.UMAP=e():t.UMAP=e()}(this,(function(){return function(t){var e={};function r(n){if(e[n])return e[n].exports;var o=e[n]={i:n,l:!1,exports:{}};return t[n].call(o.exports,o,o.exports,r),o.l=!0,o.exports}return r.m=t,r.c=e,r.d=function(t,e,n){r.o(t,e)||Object.defineProperty(t,e,{enumerable:!0,get:n})},r.r=function(t){"undefined"!=typeof Symbol&&Symbol.toStringTag&&Object.defineProperty(t,Symbol.toStringTag,{value:"Module"}),Object.defineProperty(t,"__esModule",{value:!0})},r.t=function(t,e){if(1&e&&(t=r(t)),8&e)return t;if(4&e&&"object"==typeof t&&t&&t.__esModule)return t;var n=Object.create(null);if(r.r(n),Object.defineProperty(n,"default",{enumerable:!0,value:t}),2&e&&"string"!=typeof t)for(var o in t)r.d(n,o,function(e){return t[e]}.bind(null,o));return n},r.n=function(t){var e=t&&t.__esModule?function(){return t.default}:function(){return t};return r.d(e,"a",e),e},r.o=function(t,e){return Object.prototype.hasOwnProperty.call(t,e)},r.p="",r(r.s=4)}([function(t,e,r){"use strict";var n=this&&this.__values||function(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")};function o(t,e){return Math.floor(e()*t)}function i(t){for(var e=[],r=0;r<t;r++)e.push(void 0);return e}function s(t,e){return i(t).map((function(){return e}))}function a(t){return s(t,0)}function h(t){return t.reduce((function(t,e){return t+e}))}Object.defineProperty(e,"__esModule",{value:!0}),e.reshape2d=e.rejectionSample=e.max2d=e.max=e.mean=e.sum=e.linear=e.ones=e.zeros=e.filled=e.range=e.empty=e.norm=e.tauRand=e.tauRandInt=void 0,e.tauRandInt=o,e.tauRand=function(t){return t()},e.norm=function(t){var e,r,o=0;try{for(var i=n(t),s=i.next();!s.done;s=i.next()){var a=s.value;o+=Math.pow(a,2)}}catch(t){e={error:t}}finally{try{s&&!s.done&&(r=i.return)&&r.call(i)}finally{if(e)throw e.error}}return Math.sqrt(o)},e.empty=i,e.range=function(t){return i(t).map((function(t,e){return e}))},e.filled=s,e.zeros=a,e.ones=function(t){return s(t,1)},e.linear=function(t,e,r){return i(r).map((function(n,o){return t+o*((e-t)/(r-1))}))},e.sum=h,e.mean=function(t){return h(t)/t.length},e.max=function(t){for(var e=0,r=0;r<t.length;r++)e=t[r]>e?t[r]:e;return e},e.max2d=function(t){for(var e=0,r=0;r<t.length;r++)for(var n=0;n<t[r].length;n++)e=t[r][n]>e?t[r][n]:e;return e},e.rejectionSample=function(t,e,r){for(var n=a(t),i=0;i<t;i++)for(var s=!0;s;){for(var h=o(e,r),u=!1,l=0;l<i;l++)if(h===n[l]){u=!0;break}u||(s=!1),n[i]=h}return n},e.reshape2d=function(t,e,r){var n=[],o=0;if(t.length!==e*r)throw new Error("Array dimensions must match input length.");for(var i=0;i<e;i++){for(var s=[],a=0;a<r;a++)s.push(t[o]),o+=1;n.push(s),1}return n}},function(t,e,r){"use strict";var n=this&&this.__createBinding||(Object.create?function(t,e,r,n){void 0===n&&(n=r),Object.defineProperty(t,n,{enumerable:!0,get:function(){return e[r]}})}:function(t,e,r,n){void 0===n&&(n=r),t[n]=e[r]}),o=this&&this.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),i=this&&this.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(null!=t)for(var r in t)"default"!==r&&Object.hasOwnProperty.call(t,r)&&n(e,t,r);return o(e,t),e};Object.defineProperty(e,"__esModule",{value:!0}),e.smallestFlagged=e.deheapSort=e.buildCandidates=e.uncheckedHeapPush=e.heapPush=e.rejectionSample=e.makeHeap=void 0;var s=i(r(0));function a(t,e){var r=function(r){return s.empty(t).map((function(){return s.filled(e,r)}))},n=[];return n.push(r(-1)),n.push(r(1/0)),n.push(r(0)),n}function h(t,e,r,n,o){e=Math.floor(e);var i=t[0][e],s=t[1][e];t[2][e];if(r>=s[0])return 0;for(var a=0;a<i.length;a++)if(n===i[a])return 0;return u(t,e,r,n,o)}function u(t,e,r,n,o){var i=t[0][e],s=t[1][e],a=t[2][e];if(r>=s[0])return 0;s[0]=r,i[0]=n,a[0]=o;for(var h=0,u=0;;){var l=2*h+1,f=l+1,c=t[0][0].length;if(l>=c)break;if(f>=c){if(!(s[l]>r))break;u=l}else if(s[l]>=s[f]){if(!(r<s[l]))break;u=l}else{if(!(r<s[f]))break;u=f}s[h]=s[u],i[h]=i[u],a[h]=a[u],h=u}return s[h]=r,i[h]=n,a[h]=o,1}function l(t,e,r,n){for(;2*n+1<r;){var o=2*n+1,i=o+1,s=n;if(t[s]<t[o]&&(s=o),i<r&&t[s]<t[i]&&(s=i),s===n)break;var a=t[n];t[n]=t[s],t[s]=a;var h=e[n];e[n]=e[s],e[s]=h,n=s}}e.makeHeap=a,e.rejectionSample=function(t,e,r){for(var n=s.zeros(t),o=0;o<t;o++){for(var i=!0,a=0;i;){a=s.tauRandInt(e,r);for(var h=!1,u=0;u<o;u++)if(a===n[u]){h=!0;break}h||(i=!1)}n[o]=a}return n},e.heapPush=h,e.uncheckedHeapPush=u,e.buildCandidates=function(t,e,r,n,o){for(var i=a(e,n),u=0;u<e;u++)for(var l=0;l<r;l++)if(!(t[0][u][l]<0)){var f=t[0][u][l],c=t[2][u][l],m=s.tauRand(o);h(i,u,m,f,c),h(i,f,m,u,c),t[2][u][l]=0}return i},e.deheapSort=function(t){for(var e=t[0],r=t[1],n=0;n<e.length;n++)for(var o=e[n],i=r[n],s=0;s<o.length-1;s++){var a=o.length-s-1,h=i.length-s-1,u=o[0];o[0]=o[a],o[a]=u;var f=i[0];i[0]=i[h],i[h]=f,l(i,o,h,0)}return{indices:e,weights:r}},e.smallestFlagged=function(t,e){for(var r=t[0][e],n=t[1][e],o=t[2][e],i=1/0,s=-1,a=0;a>r.length;a++)1===o[a]&&n[a]<i&&(i=n[a],s=a);return s>=0?(o[s]=0,Math.floor(r[s])):-1}},function(t,e,r){"use strict";var n,o=this&&this.__createBinding||(Object.create?function(t,e,r,n){void 0===n&&(n=r),Object.defineProperty(t,n,{enumerable:!0,get:function(){return e[r]}})}:function(t,e,r,n){void 0===n&&(n=r),t[n]=e[r]}),i=this&&this.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),s=this&&this.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(null!=t)for(var r in t)"default"!==r&&Object.hasOwnProperty.call(t,r)&&o(e,t,r);return i(e,t),e},a=this&&this.__read||function(t,e){var r="function"==typeof Symbol&&t[Symbol.iterator];if(!r)return t;var n,o,i=r.call(t),s=[];try{for(;(void 0===e||e-- >0)&&!(n=i.next()).done;)s.push(n.value)}catch(t){o={error:t}}finally{try{n&&!n.done&&(r=i.return)&&r.call(i)}finally{if(o)throw o.error}}return s},h=this&&this.__values||function(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")};Object.defineProperty(e,"__esModule",{value:!0}),e.getCSR=e.normalize=e.eliminateZeros=e.multiplyScalar=e.maximum=e.subtract=e.add=e.pairwiseMultiply=e.identity=e.transpose=e.SparseMatrix=void 0;var u=s(r(0)),l=function(){function t(t,e,r,n){if(this.entries=new Map,this.nRows=0,this.nCols=0,t.length!==e.length||t.length!==r.length)throw new Error("rows, cols and values arrays must all have the same length");this.nRows=n[0],this.nCols=n[1];for(var o=0;o<r.length;o++){var i=t[o],s=e[o];this.checkDims(i,s);var a=this.makeKey(i,s);this.entries.set(a,{value:r[o],row:i,col:s})}}return t.prototype.makeKey=function(t,e){return t+":"+e},t.prototype.checkDims=function(t,e){if(!(t<this.nRows&&e<this.nCols))throw new Error("row and/or col specified outside of matrix dimensions")},t.prototype.set=function(t,e,r){this.checkDims(t,e);var n=this.makeKey(t,e);this.entries.has(n)?this.entries.get(n).value=r:this.entries.set(n,{value:r,row:t,col:e})},t.prototype.get=function(t,e,r){void 0===r&&(r=0),this.checkDims(t,e);var n=this.makeKey(t,e);return this.entries.has(n)?this.entries.get(n).value:r},t.prototype.getAll=function(t){void 0===t&&(t=!0);var e=[];return this.entries.forEach((function(t){e.push(t)})),t&&e.sort((function(t,e){return t.row===e.row?t.col-e.col:t.row-e.row})),e},t.prototype.getDims=function(){return[this.nRows,this.nCols]},t.prototype.getRows=function(){return Array.from(this.entries,(function(t){var e=a(t,2);e[0];return e[1].row}))},t.prototype.getCols=function(){return Array.from(this.entries,(function(t){var e=a(t,2);e[0];return e[1].col}))},t.prototype.getValues=function(){return Array.from(this.entries,(function(t){var e=a(t,2);e[0];return e[1].value}))},t.prototype.forEach=function(t){this.entries.forEach((function(e){return t(e.value,e.row,e.col)}))},t.prototype.map=function(e){var r=[];this.entries.forEach((function(t){r.push(e(t.value,t.row,t.col))}));var n=[this.nRows,this.nCols];return new t(this.getRows(),this.getCols(),r,n)},t.prototype.toArray=function(){var t=this,e=u.empty(this.nRows).map((function(){return u.zeros(t.nCols)}));return this.entries.forEach((function(t){e[t.row][t.col]=t.value})),e},t}();e.SparseMatrix=l,e.transpose=function(t){var e=[],r=[],n=[];t.forEach((function(t,o,i){e.push(o),r.push(i),n.push(t)}));var o=[t.nCols,t.nRows];return new l(r,e,n,o)},e.identity=function(t){for(var e=a(t,1)[0],r=new l([],[],[],t),n=0;n<e;n++)r.set(n,n,1);return r},e.pairwiseMultiply=function(t,e){return c(t,e,(function(t,e){return t*e}))},e.add=function(t,e){return c(t,e,(function(t,e){return t+e}))},e.subtract=function(t,e){return c(t,e,(function(t,e){return t-e}))},e.maximum=function(t,e){return c(t,e,(function(t,e){return t>e?t:e}))},e.multiplyScalar=function(t,e){return t.map((function(t){return t*e}))},e.eliminateZeros=function(t){for(var e=new Set,r=t.getValues(),n=t.getRows(),o=t.getCols(),i=0;i<r.length;i++)0===r[i]&&e.add(i);var s=function(t,r){return!e.has(r)},a=r.filter(s),h=n.filter(s),u=o.filter(s);return new l(h,u,a,t.getDims())},e.normalize=function(t,e){var r,n;void 0===e&&(e="l2");var o=f[e],i=new Map;t.forEach((function(t,e,r){var n=i.get(e)||[];n.push(r),i.set(e,n)}));var s=new l([],[],[],t.getDims()),a=function(e){for(var r=i.get(e).sort(),n=r.map((function(r){return t.get(e,r)})),a=o(n),h=0;h<a.length;h++)s.set(e,r[h],a[h])};try{for(var u=h(i.keys()),c=u.next();!c.done;c=u.next()){a(c.value)}}catch(t){r={error:t}}finally{try{c&&!c.done&&(n=u.return)&&n.call(u)}finally{if(r)throw r.error}}return s};var f=((n={}).max=function(t){for(var e=-1/0,r=0;r<t.length;r++)e=t[r]>e?t[r]:e;return t.map((function(t){return t/e}))},n.l1=function(t){for(var e=0,r=0;r<t.length;r++)e+=t[r];return t.map((function(t){return t/e}))},n.l2=function(t){for(var e=0,r=0;r<t.length;r++)e+=Math.pow(t[r],2);return t.map((function(t){return Math.sqrt(Math.pow(t,2)/e)}))},n);function c(t,e,r){for(var n=new Set,o=[],i=[],s=[],a=function(n,a){o.push(n),i.push(a);var h=r(t.get(n,a),e.get(n,a));s.push(h)},h=t.getValues(),u=t.getRows(),f=t.getCols(),c=0;c<h.length;c++){var m=(d=u[c])+":"+(y=f[c]);n.add(m),a(d,y)}var p=e.getValues(),g=e.getRows(),w=e.getCols();for(c=0;c<p.length;c++){var d,y;m=(d=g[c])+":"+(y=w[c]);n.has(m)||a(d,y)}var v=[t.nRows,t.nCols];return new l(o,i,s,v)}e.getCSR=function(t){var e=[];t.forEach((function(t,r,n){e.push({value:t,row:r,col:n})})),e.sort((function(t,e){return t.row===e.row?t.col-e.col:t.row-e.row}));for(var r=[],n=[],o=[],i=-1,s=0;s<e.length;s++){var a=e[s],h=a.row,u=a.col,l=a.value;h!==i&&(i=h,o.push(s)),r.push(u),n.push(l)}return{indices:r,values:n,indptr:o}}},function(t,e,r){"use strict";var n=this&&this.__createBinding||(Object.create?function(t,e,r,n){void 0===n&&(n=r),Object.defineProperty(t,n,{enumerable:!0,get:function(){return e[r]}})}:function(t,e,r,n){void 0===n&&(n=r),t[n]=e[r]}),o=this&&this.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),i=this&&this.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(null!=t)for(var r in t)"default"!==r&&Object.hasOwnProperty.call(t,r)&&n(e,t,r);return o(e,t),e},s=this&&this.__read||function(t,e){var r="function"==typeof Symbol&&t[Symbol.iterator];if(!r)return t;var n,o,i=r.call(t),s=[];try{for(;(void 0===e||e-- >0)&&!(n=i.next()).done;)s.push(n.value)}catch(t){o={error:t}}finally{try{n&&!n.done&&(r=i.return)&&r.call(i)}finally{if(o)throw o.error}}return s},a=this&&this.__spread||function(){for(var t=[],e=0;e<arguments.length;e++)t=t.concat(s(arguments[e]));return t},h=this&&this.__values||function(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")};Object.defineProperty(e,"__esModule",{value:!0}),e.searchFlatTree=e.makeLeafArray=e.makeForest=e.FlatTree=void 0;var u=i(r(0)),l=function(t,e,r,n){this.hyperplanes=t,this.offsets=e,this.children=r,this.indices=n};function f(t,e,r,n){for(var o=e,i=0;i<r.length;i++)o+=t[i]*r[i];return 0===o?u.tauRandInt(2,n):o>0?0:1}e.FlatTree=l,e.makeForest=function(t,e,r,n){var o=Math.max(10,e);return u.range(r).map((function(e,r){return function(t,e,r,n){void 0===e&&(e=30);var o=u.range(t.length);return function t(e,r,n,o,i){void 0===n&&(n=30);if(r.length>n){var s=function(t,e,r){var n=t[0].length,o=u.tauRandInt(e.length,r),i=u.tauRandInt(e.length,r);i=(i+=o===i?1:0)%e.length;for(var s=e[o],a=e[i],h=0,l=u.zeros(n),f=0;f<l.length;f++)l[f]=t[s][f]-t[a][f],h-=l[f]*(t[s][f]+t[a][f])/2;var c=0,m=0,p=u.zeros(e.length);for(f=0;f<e.length;f++){for(var g=h,w=0;w<n;w++)g+=l[w]*t[e[f]][w];0===g?(p[f]=u.tauRandInt(2,r),0===p[f]?c+=1:m+=1):g>0?(p[f]=0,c+=1):(p[f]=1,m+=1)}var d=u.zeros(c),y=u.zeros(m);c=0,m=0;for(f=0;f<p.length;f++)0===p[f]?(d[c]=e[f],c+=1):(y[m]=e[f],m+=1);return{indicesLeft:d,indicesRight:y,hyperplane:l,offset:h}}(e,r,i),a=s.indicesLeft,h=s.indicesRight,l=s.hyperplane,f=s.offset,c=t(e,a,n,o+1,i),m=t(e,h,n,o+1,i);return{leftChild:c,rightChild:m,isLeaf:!1,hyperplane:l,offset:f}}return{indices:r,isLeaf:!0}}(t,o,e,r,n)}(t,o,r,n)})).map((function(t){return function(t,e){var r=function t(e){return e.isLeaf?1:1+t(e.leftChild)+t(e.rightChild)}(t),n=function t(e){return e.isLeaf?1:t(e.leftChild)+t(e.rightChild)}(t),o=u.range(r).map((function(){return u.zeros(t.hyperplane?t.hyperplane.length:0)})),i=u.zeros(r),s=u.range(r).map((function(){return[-1,-1]})),h=u.range(n).map((function(){return u.range(e).map((function(){return-1}))}));return function t(e,r,n,o,i,s,h){var u;if(e.isLeaf)return o[s][0]=-h,(u=i[h]).splice.apply(u,a([0,e.indices.length],e.indices)),{nodeNum:s,leafNum:h+=1};r[s]=e.hyperplane,n[s]=e.offset,o[s][0]=s+1;var l=s,f=t(e.leftChild,r,n,o,i,s+1,h);return s=f.nodeNum,h=f.leafNum,o[l][1]=s+1,{nodeNum:(f=t(e.rightChild,r,n,o,i,s+1,h)).nodeNum,leafNum:f.leafNum}}(t,o,i,s,h,0,0),new l(o,i,s,h)}(t,o)}))},e.makeLeafArray=function(t){var e,r;if(t.length>0){var n=[];try{for(var o=h(t),i=o.next();!i.done;i=o.next()){var s=i.value;n.push.apply(n,a(s.indices))}}catch(t){e={error:t}}finally{try{i&&!i.done&&(r=o.return)&&r.call(o)}finally{if(e)throw e.error}}return n}return[[-1]]},e.searchFlatTree=function(t,e,r){for(var n=0;e.children[n][0]>0;){n=0===f(e.hyperplanes[n],e.offsets[n],t,r)?e.children[n][0]:e.children[n][1]}var o=-1*e.children[n][0];return e.indices[o]}},function(t,e,r){"use strict";Object.defineProperty(e,"__esModule",{value:!0});var n=r(5);Object.defineProperty(e,"UMAP",{enumerable:!0,get:function(){return n.UMAP}})},function(t,e,r){"use strict";var n=this&&this.__createBinding||(Object.create?function(t,e,r,n){void 0===n&&(n=r),Object.defineProperty(t,n,{enumerable:!0,get:function(){return e[r]}})}:function(t,e,r,n){void 0===n&&(n=r),t[n]=e[r]}),o=this&&this.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),i=this&&this.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(null!=t)for(var r in t)"default"!==r&&Object.hasOwnProperty.call(t,r)&&n(e,t,r);return o(e,t),e},s=this&&this.__awaiter||function(t,e,r,n){return new(r||(r=Promise))((function(o,i){function s(t){try{h(n.next(t))}catch(t){i(t)}}function a(t){try{h(n.throw(t))}catch(t){i(t)}}function h(t){var e;t.done?o(t.value):(e=t.value,e instanceof r?e:new r((function(t){t(e)}))).then(s,a)}h((n=n.apply(t,e||[])).next())}))},a=this&&this.__generator||function(t,e){var r,n,o,i,s={label:0,sent:function(){if(1&o[0])throw o[1];return o[1]},trys:[],ops:[]};return i={next:a(0),throw:a(1),return:a(2)},"function"==typeof Symbol&&(i[Symbol.iterator]=function(){return this}),i;function a(i){return function(a){return function(i){if(r)throw new TypeError("Generator is already executing.");for(;s;)try{if(r=1,n&&(o=2&i[0]?n.return:i[0]?n.throw||((o=n.return)&&o.call(n),0):n.next)&&!(o=o.call(n,i[1])).done)return o;switch(n=0,o&&(i=[2&i[0],o.value]),i[0]){case 0:case 1:o=i;break;case 4:return s.label++,{value:i[1],done:!1};case 5:s.label++,n=i[1],i=[0];continue;case 7:i=s.ops.pop(),s.trys.pop();continue;default:if(!(o=s.trys,(o=o.length>0&&o[o.length-1])||6!==i[0]&&2!==i[0])){s=0;continue}if(3===i[0]&&(!o||i[1]>o[0]&&i[1]<o[3])){s.label=i[1];break}if(6===i[0]&&s.label<o[1]){s.label=o[1],o=i;break}if(o&&s.label<o[2]){s.label=o[2],s.ops.push(i);break}o[2]&&s.ops.pop(),s.trys.pop();continue}i=e.call(t,s)}catch(t){i=[6,t],n=0}finally{r=o=0}if(5&i[0])throw i[1];return{value:i[0]?i[1]:void 0,done:!0}}([i,a])}}},h=this&&this.__read||function(t,e){var r="function"==typeof Symbol&&t[Symbol.iterator];if(!r)return t;var n,o,i=r.call(t),s=[];try{for(;(void 0===e||e-- >0)&&!(n=i.next()).done;)s.push(n.value)}catch(t){o={error:t}}finally{try{n&&!n.done&&(r=i.return)&&r.call(i)}finally{if(o)throw o.error}}return s},u=this&&this.__spread||function(){for(var t=[],e=0;e<arguments.length;e++)t=t.concat(h(arguments[e]));return t},l=this&&this.__importDefault||function(t){return t&&t.__esModule?t:{default:t}};Object.defineProperty(e,"__esModule",{value:!0}),e.initTransform=e.resetLocalConnectivity=e.fastIntersection=e.findABParams=e.cosine=e.euclidean=e.UMAP=void 0;var f=i(r(1)),c=i(r(2)),m=i(r(6)),p=i(r(3)),g=i(r(0)),w=l(r(7)),d=function(){function t(t){var e=this;void 0===t&&(t={}),this.learningRate=1,this.localConnectivity=1,this.minDist=.1,this.nComponents=2,this.nEpochs=0,this.nNeighbors=15,this.negativeSampleRate=5,this.random=Math.random,this.repulsionStrength=1,this.setOpMixRatio=1,this.spread=1,this.transformQueueSize=4,this.targetMetric="categorical",this.targetWeight=.5,this.targetNNeighbors=this.nNeighbors,this.distanceFn=y,this.isInitialized=!1,this.rpForest=[],this.embedding=[],this.optimizationState=new v;var r=function(r){void 0!==t[r]&&(e[r]=t[r])};r("distanceFn"),r("learningRate"),r("localConnectivity"),r("minDist"),r("nComponents"),r("nEpochs"),r("nNeighbors"),r("negativeSampleRate"),r("random"),r("repulsionStrength"),r("setOpMixRatio"),r("spread"),r("transformQueueSize")}return t.prototype.fit=function(t){return this.initializeFit(t),this.optimizeLayout(),this.embedding},t.prototype.fitAsync=function(t,e){return void 0===e&&(e=function(){return!0}),s(this,void 0,void 0,(function(){return a(this,(function(r){switch(r.label){case 0:return this.initializeFit(t),[4,this.optimizeLayoutAsync(e)];case 1:return r.sent(),[2,this.embedding]}}))}))},t.prototype.setSupervisedProjection=function(t,e){void 0===e&&(e={}),this.Y=t,this.targetMetric=e.targetMetric||this.targetMetric,this.targetWeight=e.targetWeight||this.targetWeight,this.targetNNeighbors=e.targetNNeighbors||this.targetNNeighbors},t.prototype.setPrecomputedKNN=function(t,e){this.knnIndices=t,this.knnDistances=e},t.prototype.initializeFit=function(t){if(t.length<=this.nNeighbors)throw new Error("Not enough data points ("+t.length+") to create nNeighbors: "+this.nNeighbors+".  Add more data points or adjust the configuration.");if(this.X===t&&this.isInitialized)return this.getNEpochs();if(this.X=t,!this.knnIndices&&!this.knnDistances){var e=this.nearestNeighbors(t);this.knnIndices=e.knnIndices,this.knnDistances=e.knnDistances}this.graph=this.fuzzySimplicialSet(t,this.nNeighbors,this.setOpMixRatio),this.makeSearchFns(),this.searchGraph=this.makeSearchGraph(t),this.processGraphForSupervisedProjection();var r=this.initializeSimplicialSetEmbedding(),n=r.head,o=r.tail,i=r.epochsPerSample;return this.optimizationState.head=n,this.optimizationState.tail=o,this.optimizationState.epochsPerSample=i,this.initializeOptimization(),this.prepareForOptimizationLoop(),this.isInitialized=!0,this.getNEpochs()},t.prototype.makeSearchFns=function(){var t=m.makeInitializations(this.distanceFn),e=t.initFromTree,r=t.initFromRandom;this.initFromTree=e,this.initFromRandom=r,this.search=m.makeInitializedNNSearch(this.distanceFn)},t.prototype.makeSearchGraph=function(t){for(var e=this.knnIndices,r=this.knnDistances,n=[t.length,t.length],o=new c.SparseMatrix([],[],[],n),i=0;i<e.length;i++)for(var s=e[i],a=r[i],h=0;h<s.length;h++){var u=s[h],l=a[h];l>0&&o.set(i,u,l)}var f=c.transpose(o);return c.maximum(o,f)},t.prototype.transform=function(t){var e=this,r=this.X;if(void 0===r||0===r.length)throw new Error("No data has been fit.");var n=Math.floor(this.nNeighbors*this.transformQueueSize);n=Math.min(r.length,n);var o=m.initializeSearch(this.rpForest,r,t,n,this.initFromRandom,this.initFromTree,this.random),i=this.search(r,this.searchGraph,o,t),s=f.deheapSort(i),a=s.indices,h=s.weights;a=a.map((function(t){return t.slice(0,e.nNeighbors)})),h=h.map((function(t){return t.slice(0,e.nNeighbors)}));var u=Math.max(0,this.localConnectivity-1),l=this.smoothKNNDistance(h,this.nNeighbors,u),p=l.sigmas,w=l.rhos,d=this.computeMembershipStrengths(a,h,p,w),y=d.rows,v=d.cols,b=d.vals,M=[t.length,r.length],S=new c.SparseMatrix(y,v,b,M),x=c.normalize(S,"l1"),E=c.getCSR(x),k=t.length,N=R(g.reshape2d(E.indices,k,this.nNeighbors),g.reshape2d(E.values,k,this.nNeighbors),this.embedding),z=this.nEpochs?this.nEpochs/3:S.nRows<=1e4?100:30,_=S.getValues().reduce((function(t,e){return e>t?e:t}),0);S=S.map((function(t){return t<_/z?0:t})),S=c.eliminateZeros(S);var A=this.makeEpochsPerSample(S.getValues(),z),P=S.getRows(),j=S.getCols();return this.assignOptimizationStateParameters({headEmbedding:N,tailEmbedding:this.embedding,head:P,tail:j,currentEpoch:0,nEpochs:z,nVertices:S.getDims()[1],epochsPerSample:A}),this.prepareForOptimizationLoop(),this.optimizeLayout()},t.prototype.processGraphForSupervisedProjection=function(){var t=this.Y,e=this.X;if(t){if(t.length!==e.length)throw new Error("Length of X and y must be equal");if("categorical"===this.targetMetric){var r=this.targetWeight<1?1/(1-this.targetWeight)*2.5:1e12;this.graph=this.categoricalSimplicialSetIntersection(this.graph,t,r)}}},t.prototype.step=function(){var t=this.optimizationState.currentEpoch;return t<this.getNEpochs()&&this.optimizeLayoutStep(t),this.optimizationState.currentEpoch},t.prototype.getEmbedding=function(){return this.embedding},t.prototype.nearestNeighbors=function(t){var e,r=this.distanceFn,n=this.nNeighbors,o=m.makeNNDescent(r,this.random),i=5+Math.floor(.5===(e=Math.pow(t.length,.5)/20)?0:Math.round(e)),s=Math.max(5,Math.floor(Math.round(function(t){return Math.log(t)/Math.log(2)}(t.length))));this.rpForest=p.makeForest(t,n,i,this.random);var a=o(t,p.makeLeafArray(this.rpForest),n,s);return{knnIndices:a.indices,knnDistances:a.weights}},t.prototype.fuzzySimplicialSet=function(t,e,r){void 0===r&&(r=1);var n=this.knnIndices,o=void 0===n?[]:n,i=this.knnDistances,s=void 0===i?[]:i,a=this.localConnectivity,h=this.smoothKNNDistance(s,e,a),u=h.sigmas,l=h.rhos,f=this.computeMembershipStrengths(o,s,u,l),m=f.rows,p=f.cols,g=f.vals,w=[t.length,t.length],d=new c.SparseMatrix(m,p,g,w),y=c.transpose(d),v=c.pairwiseMultiply(d,y),b=c.subtract(c.add(d,y),v),M=c.multiplyScalar(b,r),S=c.multiplyScalar(v,1-r);return c.add(M,S)},t.prototype.categoricalSimplicialSetIntersection=function(t,e,r,n){void 0===n&&(n=1);var o=x(t,e,n,r);return E(o=c.eliminateZeros(o))},t.prototype.smoothKNNDistance=function(t,e,r,n,o){void 0===r&&(r=1),void 0===n&&(n=64),void 0===o&&(o=1);for(var i=Math.log(e)/Math.log(2)*o,s=g.zeros(t.length),a=g.zeros(t.length),h=0;h<t.length;h++){var u=0,l=1/0,f=1,c=t[h],m=c.filter((function(t){return t>0}));if(m.length>=r){var p=Math.floor(r),w=r-p;p>0?(s[h]=m[p-1],w>1e-5&&(s[h]+=w*(m[p]-m[p-1]))):s[h]=w*m[0]}else m.length>0&&(s[h]=g.max(m));for(var d=0;d<n;d++){for(var y=0,v=1;v<t[h].length;v++){var b=t[h][v]-s[h];y+=b>0?Math.exp(-b/f):1}if(Math.abs(y-i)<1e-5)break;y>i?f=(u+(l=f))/2:(u=f,l===1/0?f*=2:f=(u+l)/2)}if(a[h]=f,s[h]>0){var M=g.mean(c);a[h]<.001*M&&(a[h]=.001*M)}else{var S=g.mean(t.map(g.mean));a[h]<.001*S&&(a[h]=.001*S)}}return{sigmas:a,rhos:s}},t.prototype.computeMembershipStrengths=function(t,e,r,n){for(var o=t.length,i=t[0].length,s=g.zeros(o*i),a=g.zeros(o*i),h=g.zeros(o*i),u=0;u<o;u++)for(var l=0;l<i;l++){var f=0;-1!==t[u][l]&&(f=t[u][l]===u?0:e[u][l]-n[u]<=0?1:Math.exp(-(e[u][l]-n[u])/r[u]),s[u*i+l]=u,a[u*i+l]=t[u][l],h[u*i+l]=f)}return{rows:s,cols:a,vals:h}},t.prototype.initializeSimplicialSetEmbedding=function(){for(var t=this,e=this.getNEpochs(),r=this.nComponents,n=this.graph.getValues(),o=0,i=0;i<n.length;i++){var s=n[i];o<n[i]&&(o=s)}var a=this.graph.map((function(t){return t<o/e?0:t}));this.embedding=g.zeros(a.nRows).map((function(){return g.zeros(r).map((function(){return 20*g.tauRand(t.random)-10}))}));var h=[],u=[],l=[],f=a.getAll();for(i=0;i<f.length;i++){var c=f[i];c.value&&(h.push(c.value),l.push(c.row),u.push(c.col))}return{head:u,tail:l,epochsPerSample:this.makeEpochsPerSample(h,e)}},t.prototype.makeEpochsPerSample=function(t,e){var r=g.filled(t.length,-1),n=g.max(t),o=t.map((function(t){return t/n*e}));return o.forEach((function(t,n){t>0&&(r[n]=e/o[n])})),r},t.prototype.assignOptimizationStateParameters=function(t){Object.assign(this.optimizationState,t)},t.prototype.prepareForOptimizationLoop=function(){var t=this.repulsionStrength,e=this.learningRate,r=this.negativeSampleRate,n=this.optimizationState,o=n.epochsPerSample,i=n.headEmbedding,s=n.tailEmbedding,a=i[0].length,h=i.length===s.length,l=o.map((function(t){return t/r})),f=u(l),c=u(o);this.assignOptimizationStateParameters({epochOfNextSample:c,epochOfNextNegativeSample:f,epochsPerNegativeSample:l,moveOther:h,initialAlpha:e,alpha:e,gamma:t,dim:a})},t.prototype.initializeOptimization=function(){var t=this.embedding,e=this.embedding,r=this.optimizationState,n=r.head,o=r.tail,i=r.epochsPerSample,s=this.getNEpochs(),a=this.graph.nCols,h=S(this.spread,this.minDist),u=h.a,l=h.b;this.assignOptimizationStateParameters({headEmbedding:t,tailEmbedding:e,head:n,tail:o,epochsPerSample:i,a:u,b:l,nEpochs:s,nVertices:a})},t.prototype.optimizeLayoutStep=function(t){for(var e=this.optimizationState,r=e.head,n=e.tail,o=e.headEmbedding,i=e.tailEmbedding,s=e.epochsPerSample,a=e.epochOfNextSample,h=e.epochOfNextNegativeSample,u=e.epochsPerNegativeSample,l=e.moveOther,f=e.initialAlpha,c=e.alpha,m=e.gamma,p=e.a,w=e.b,d=e.dim,y=e.nEpochs,v=e.nVertices,S=0;S<s.length;S++)if(!(a[S]>t)){var x=r[S],E=n[S],R=o[x],k=i[E],N=M(R,k),z=0;N>0&&(z=-2*p*w*Math.pow(N,w-1),z/=p*Math.pow(N,w)+1);for(var _=0;_<d;_++){var A=b(z*(R[_]-k[_]),4);R[_]+=A*c,l&&(k[_]+=-A*c)}a[S]+=s[S];for(var P=Math.floor((t-h[S])/u[S]),j=0;j<P;j++){var O=g.tauRandInt(v,this.random),C=i[O],T=M(R,C),I=0;if(T>0)I=2*m*w,I/=(.001+T)*(p*Math.pow(T,w)+1);else if(x===O)continue;for(_=0;_<d;_++){A=4;I>0&&(A=b(I*(R[_]-C[_]),4)),R[_]+=A*c}}h[S]+=P*u[S]}return e.alpha=f*(1-t/y),e.currentEpoch+=1,o},t.prototype.optimizeLayoutAsync=function(t){var e=this;return void 0===t&&(t=function(){return!0}),new Promise((function(r,n){var o=function(){return s(e,void 0,void 0,(function(){var e,i,s,h,u,l;return a(this,(function(a){try{if(e=this.optimizationState,i=e.nEpochs,s=e.currentEpoch,this.embedding=this.optimizeLayoutStep(s),h=this.optimizationState.currentEpoch,u=!1===t(h),l=h===i,u||l)return[2,r(l)];setTimeout((function(){return o()}),0)}catch(t){n(t)}return[2]}))}))};setTimeout((function(){return o()}),0)}))},t.prototype.optimizeLayout=function(t){void 0===t&&(t=function(){return!0});for(var e=!1,r=[];!e;){var n=this.optimizationState,o=n.nEpochs,i=n.currentEpoch;r=this.optimizeLayoutStep(i);var s=this.optimizationState.currentEpoch,a=!1===t(s);e=s===o||a}return r},t.prototype.getNEpochs=function(){var t=this.graph;if(this.nEpochs>0)return this.nEpochs;var e=t.nRows;return e<=2500?500:e<=5e3?400:e<=7500?300:200},t}();function y(t,e){for(var r=0,n=0;n<t.length;n++)r+=Math.pow(t[n]-e[n],2);return Math.sqrt(r)}e.UMAP=d,e.euclidean=y,e.cosine=function(t,e){for(var r=0,n=0,o=0,i=0;i<t.length;i++)r+=t[i]*e[i],n+=Math.pow(t[i],2),o+=Math.pow(e[i],2);return 0===n&&0===o?0:0===n||0===o?1:1-r/Math.sqrt(n*o)};var v=function(){this.currentEpoch=0,this.headEmbedding=[],this.tailEmbedding=[],this.head=[],this.tail=[],this.epochsPerSample=[],this.epochOfNextSample=[],this.epochOfNextNegativeSample=[],this.epochsPerNegativeSample=[],this.moveOther=!0,this.initialAlpha=1,this.alpha=1,this.gamma=1,this.a=1.5769434603113077,this.b=.8950608779109733,this.dim=2,this.nEpochs=500,this.nVertices=0};function b(t,e){return t>e?e:t<-e?-e:t}function M(t,e){for(var r=0,n=0;n<t.length;n++)r+=Math.pow(t[n]-e[n],2);return r}function S(t,e){var r=g.linear(0,3*t,300).map((function(t){return t<e?1:t})),n=g.zeros(r.length).map((function(n,o){return r[o]>=e?Math.exp(-(r[o]-e)/t):n})),o={x:r,y:n},i={damping:1.5,initialValues:[.5,.5],gradientDifference:.1,maxIterations:100,errorTolerance:.01},s=w.default(o,(function(t){var e=h(t,2),r=e[0],n=e[1];return function(t){return 1/(1+r*Math.pow(t,2*n))}}),i).parameterValues,a=h(s,2);return{a:a[0],b:a[1]}}function x(t,e,r,n){return void 0===r&&(r=1),void 0===n&&(n=5),t.map((function(t,o,i){return-1===e[o]||-1===e[i]?t*Math.exp(-r):e[o]!==e[i]?t*Math.exp(-n):t}))}function E(t){t=c.normalize(t,"max");var e=c.transpose(t),r=c.pairwiseMultiply(e,t);return t=c.add(t,c.subtract(e,r)),c.eliminateZeros(t)}function R(t,e,r){for(var n=g.zeros(t.length).map((function(t){return g.zeros(r[0].length)})),o=0;o<t.length;o++)for(var i=0;i<t[0].length;i++)for(var s=0;s<r[0].length;s++){var a=t[o][i];n[o][s]+=e[o][i]*r[a][s]}return n}e.findABParams=S,e.fastIntersection=x,e.resetLocalConnectivity=E,e.initTransform=R},function(t,e,r){"use strict";var n=this&&this.__createBinding||(Object.create?function(t,e,r,n){void 0===n&&(n=r),Object.defineProperty(t,n,{enumerable:!0,get:function(){return e[r]}})}:function(t,e,r,n){void 0===n&&(n=r),t[n]=e[r]}),o=this&&this.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),i=this&&this.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(null!=t)for(var r in t)"default"!==r&&Object.hasOwnProperty.call(t,r)&&n(e,t,r);return o(e,t),e},s=this&&this.__values||function(t){var e="function"==typeof Symbol&&Symbol.iterator,r=e&&t[e],n=0;if(r)return r.call(t);if(t&&"number"==typeof t.length)return{next:function(){return t&&n>=t.length&&(t=void 0),{value:t&&t[n++],done:!t}}};throw new TypeError(e?"Object is not iterable.":"Symbol.iterator is not defined.")};Object.defineProperty(e,"__esModule",{value:!0}),e.initializeSearch=e.makeInitializedNNSearch=e.makeInitializations=e.makeNNDescent=void 0;var a=i(r(1)),h=i(r(2)),u=i(r(3)),l=i(r(0));e.makeNNDescent=function(t,e){return function(r,n,o,i,s,h,u,f){void 0===i&&(i=10),void 0===s&&(s=50),void 0===h&&(h=.001),void 0===u&&(u=.5),void 0===f&&(f=!0);for(var c=r.length,m=a.makeHeap(r.length,o),p=0;p<r.length;p++)for(var g=a.rejectionSample(o,r.length,e),w=0;w<g.length;w++){var d=t(r[p],r[g[w]]);a.heapPush(m,p,d,g[w],1),a.heapPush(m,g[w],d,p,1)}if(f)for(var y=0;y<n.length;y++)for(p=0;p<n[y].length&&!(n[y][p]<0);p++)for(w=p+1;w<n[y].length&&!(n[y][w]<0);w++){d=t(r[n[y][p]],r[n[y][w]]);a.heapPush(m,n[y][p],d,n[y][w],1),a.heapPush(m,n[y][w],d,n[y][p],1)}for(y=0;y<i;y++){var v=a.buildCandidates(m,c,o,s,e),b=0;for(p=0;p<c;p++)for(w=0;w<s;w++){var M=Math.floor(v[0][p][w]);if(!(M<0||l.tauRand(e)<u))for(var S=0;S<s;S++){var x=Math.floor(v[0][p][S]),E=v[2][p][w],R=v[2][p][S];if(!(x<0||!E&&!R)){d=t(r[M],r[x]);b+=a.heapPush(m,M,d,x,1),b+=a.heapPush(m,x,d,M,1)}}}if(b<=h*o*r.length)break}return a.deheapSort(m)}},e.makeInitializations=function(t){return{initFromRandom:function(e,r,n,o,i){for(var s=0;s<n.length;s++)for(var h=l.rejectionSample(e,r.length,i),u=0;u<h.length;u++)if(!(h[u]<0)){var f=t(r[h[u]],n[s]);a.heapPush(o,s,f,h[u],1)}},initFromTree:function(e,r,n,o,i){for(var s=0;s<n.length;s++)for(var h=u.searchFlatTree(n[s],e,i),l=0;l<h.length;l++){if(h[l]<0)return;var f=t(r[h[l]],n[s]);a.heapPush(o,s,f,h[l],1)}}}},e.makeInitializedNNSearch=function(t){return function(e,r,n,o){for(var i,u,l=h.getCSR(r),f=l.indices,c=l.indptr,m=0;m<o.length;m++)for(var p=new Set(n[0][m]);;){var g=a.smallestFlagged(n,m);if(-1===g)break;var w=f.slice(c[g],c[g+1]);try{for(var d=(i=void 0,s(w)),y=d.next();!y.done;y=d.next()){var v=y.value;if(v!==g&&-1!==v&&!p.has(v)){var b=t(e[v],o[m]);a.uncheckedHeapPush(n,m,b,v,1),p.add(v)}}}catch(t){i={error:t}}finally{try{y&&!y.done&&(u=d.return)&&u.call(d)}finally{if(i)throw i.error}}}return n}},e.initializeSearch=function(t,e,r,n,o,i,h){var u,l,f=a.makeHeap(r.length,n);if(o(n,e,r,f,h),t)try{for(var c=s(t),m=c.next();!m.done;m=c.next()){i(m.value,e,r,f,h)}}catch(t){u={error:t}}finally{try{m&&!m.done&&(l=c.return)&&l.call(c)}finally{if(u)throw u.error}}return f}},function(t,e,r){"use strict";r.r(e);const n=Object.prototype.toString;function o(t){return n.call(t).endsWith("Array]")}function i(t,e,r){let n=0;const o=r(e);for(let e=0;e<t.x.length;e++)n+=Math.abs(t.y[e]-o(t.x[e]));return n}const s=Object.prototype.toString;function a(t){return s.call(t).endsWith("Array]")}const h=Object.prototype.toString;function u(t){return h.call(t).endsWith("Array]")}var l=function(t){var e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(!u(t))throw new TypeError("input must be an array");if(0===t.length)throw new TypeError("input must not be empty");var r=e.fromIndex,n=void 0===r?0:r,o=e.toIndex,i=void 0===o?t.length:o;if(n<0||n>=t.length||!Number.isInteger(n))throw new Error("fromIndex must be a positive integer smaller than length");if(i<=n||i>t.length||!Number.isInteger(i))throw new Error("toIndex must be an integer greater than fromIndex and at most equal to length");for(var s=t[n],a=n+1;a<i;a++)t[a]>s&&(s=t[a]);return s};const f=Object.prototype.toString;function c(t){return f.call(t).endsWith("Array]")}var m=function(t){var e=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(!c(t))throw new TypeError("input must be an array");if(0===t.length)throw new TypeError("input must not be empty");var r=e.fromIndex,n=void 0===r?0:r,o=e.toIndex,i=void 0===o?t.length:o;if(n<0||n>=t.length||!Number.isInteger(n))throw new Error("fromIndex must be a positive integer smaller than length");if(i<=n||i>t.length||!Number.isInteger(i))throw new Error("toIndex must be an integer greater than fromIndex and at most equal to length");for(var s=t[n],a=n+1;a<i;a++)t[a]<s&&(s=t[a]);return s};var p=function(t){var e,r=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};if(!a(t))throw new TypeError("input must be an array");if(0===t.length)throw new TypeError("input must not be empty");if(void 0!==r.output){if(!a(r.output))throw new TypeError("output option must be an array if specified");e=r.output}else e=new Array(t.length);var n=m(t),o=l(t);if(n===o)throw new RangeError("minimum and maximum input values are equal. Cannot rescale a constant array");var i=r.min,s=void 0===i?r.autoMinMax?n:0:i,h=r.max,u=void 0===h?r.autoMinMax?o:1:h;if(s>=u)throw new RangeError("min option must be smaller than max option");for(var f=(u-s)/(o-n),c=0;c<t.length;c++)e[c]=(t[c]-n)*f+s;return e};const g=" ".repeat(2),w=" ".repeat(4);function d(t,e={}){const{maxRows:r=15,maxColumns:n=10,maxNumSize:o=8}=e;return`${t.constructor.name} {\n${g}[\n${w}${function(t,e,r,n){const{rows:o,columns:i}=t,s=Math.min(o,e),a=Math.min(i,r),h=[];for(let e=0;e<s;e++){let r=[];for(let o=0;o<a;o++)r.push(y(t.get(e,o),n));h.push(""+r.join(" "))}a!==i&&(h[h.length-1]+=` ... ${i-r} more columns`);s!==o&&h.push(`... ${o-e} more rows`);return h.join("\n"+w)}(t,r,n,o)}\n${g}]\n${g}rows: ${t.rows}\n${g}columns: ${t.columns}\n}`}function y(t,e){const r=String(t);if(r.length<=e)return r.padEnd(e," ");const n=t.toPrecision(e-2);if(n.length<=e)return n;const o=t.toExponential(e-2),i=o.indexOf("e"),s=o.slice(i);return o.slice(0,e-s.length)+s}function v(t,e,r){let n=r?t.rows:t.rows-1;if(e<0||e>n)throw new RangeError("Row index out of range")}function b(t,e,r){let n=r?t.columns:t.columns-1;if(e<0||e>n)throw new RangeError("Column index out of range")}function M(t,e){if(e.to1DArray&&(e=e.to1DArray()),e.length!==t.columns)throw new RangeError("vector size must be the same as the number of columns");return e}function S(t,e){if(e.to1DArray&&(e=e.to1DArray()),e.length!==t.rows)throw new RangeError("vector size must be the same as the number of rows");return e}function x(t,e){if("object"!=typeof e)throw new TypeError("unexpected type for row indices");if(e.some(e=>e<0||e>=t.rows))throw new RangeError("row indices are out of range");return Array.isArray(e)||(e=Array.from(e)),e}function E(t,e){if("object"!=typeof e)throw new TypeError("unexpected type for column indices");if(e.some(e=>e<0||e>=t.columns))throw new RangeError("column indices are out of range");return Array.isArray(e)||(e=Array.from(e)),e}function R(t,e,r,n,o){if(5!==arguments.length)throw new RangeError("expected 4 arguments");if(N("startRow",e),N("endRow",r),N("startColumn",n),N("endColumn",o),e>r||n>o||e<0||e>=t.rows||r<0||r>=t.rows||n<0||n>=t.columns||o<0||o>=t.columns)throw new RangeError("Submatrix indices are out of range")}function k(t,e=0){let r=[];for(let n=0;n<t;n++)r.push(e);return r}function N(t,e){if("number"!=typeof e)throw new TypeError(t+" must be a number")}function z(t){if(t.isEmpty())throw new Error("Empty matrix has no elements to index")}class _{static from1DArray(t,e,r){if(t*e!==r.length)throw new RangeError("data length does not match given dimensions");let n=new P(t,e);for(let o=0;o<t;o++)for(let t=0;t<e;t++)n.set(o,t,r[o*e+t]);return n}static rowVector(t){let e=new P(1,t.length);for(let r=0;r<t.length;r++)e.set(0,r,t[r]);return e}static columnVector(t){let e=new P(t.length,1);for(let r=0;r<t.length;r++)e.set(r,0,t[r]);return e}static zeros(t,e){return new P(t,e)}static ones(t,e){return new P(t,e).fill(1)}static rand(t,e,r={}){if("object"!=typeof r)throw new TypeError("options must be an object");const{random:n=Math.random}=r;let o=new P(t,e);for(let r=0;r<t;r++)for(let t=0;t<e;t++)o.set(r,t,n());return o}static randInt(t,e,r={}){if("object"!=typeof r)throw new TypeError("options must be an object");const{min:n=0,max:o=1e3,random:i=Math.random}=r;if(!Number.isInteger(n))throw new TypeError("min must be an integer");if(!Number.isInteger(o))throw new TypeError("max must be an integer");if(n>=o)throw new RangeError("min must be smaller than max");let s=o-n,a=new P(t,e);for(let r=0;r<t;r++)for(let t=0;t<e;t++){let e=n+Math.round(i()*s);a.set(r,t,e)}return a}static eye(t,e,r){void 0===e&&(e=t),void 0===r&&(r=1);let n=Math.min(t,e),o=this.zeros(t,e);for(let t=0;t<n;t++)o.set(t,t,r);return o}static diag(t,e,r){let n=t.length;void 0===e&&(e=n),void 0===r&&(r=e);let o=Math.min(n,e,r),i=this.zeros(e,r);for(let e=0;e<o;e++)i.set(e,e,t[e]);return i}static min(t,e){t=this.checkMatrix(t),e=this.checkMatrix(e);let r=t.rows,n=t.columns,o=new P(r,n);for(let i=0;i<r;i++)for(let r=0;r<n;r++)o.set(i,r,Math.min(t.get(i,r),e.get(i,r)));return o}static max(t,e){t=this.checkMatrix(t),e=this.checkMatrix(e);let r=t.rows,n=t.columns,o=new this(r,n);for(let i=0;i<r;i++)for(let r=0;r<n;r++)o.set(i,r,Math.max(t.get(i,r),e.get(i,r)));return o}static checkMatrix(t){return _.isMatrix(t)?t:new P(t)}static isMatrix(t){return null!=t&&"Matrix"===t.klass}get size(){return this.rows*this.columns}apply(t){if("function"!=typeof t)throw new TypeError("callback must be a function");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)t.call(this,e,r);return this}to1DArray(){let t=[];for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)t.push(this.get(e,r));return t}to2DArray(){let t=[];for(let e=0;e<this.rows;e++){t.push([]);for(let r=0;r<this.columns;r++)t[e].push(this.get(e,r))}return t}toJSON(){return this.to2DArray()}isRowVector(){return 1===this.rows}isColumnVector(){return 1===this.columns}isVector(){return 1===this.rows||1===this.columns}isSquare(){return this.rows===this.columns}isEmpty(){return 0===this.rows||0===this.columns}isSymmetric(){if(this.isSquare()){for(let t=0;t<this.rows;t++)for(let e=0;e<=t;e++)if(this.get(t,e)!==this.get(e,t))return!1;return!0}return!1}isEchelonForm(){let t=0,e=0,r=-1,n=!0,o=!1;for(;t<this.rows&&n;){for(e=0,o=!1;e<this.columns&&!1===o;)0===this.get(t,e)?e++:1===this.get(t,e)&&e>r?(o=!0,r=e):(n=!1,o=!0);t++}return n}isReducedEchelonForm(){let t=0,e=0,r=-1,n=!0,o=!1;for(;t<this.rows&&n;){for(e=0,o=!1;e<this.columns&&!1===o;)0===this.get(t,e)?e++:1===this.get(t,e)&&e>r?(o=!0,r=e):(n=!1,o=!0);for(let r=e+1;r<this.rows;r++)0!==this.get(t,r)&&(n=!1);t++}return n}echelonForm(){let t=this.clone(),e=0,r=0;for(;e<t.rows&&r<t.columns;){let n=e;for(let o=e;o<t.rows;o++)t.get(o,r)>t.get(n,r)&&(n=o);if(0===t.get(n,r))r++;else{t.swapRows(e,n);let o=t.get(e,r);for(let n=r;n<t.columns;n++)t.set(e,n,t.get(e,n)/o);for(let n=e+1;n<t.rows;n++){let o=t.get(n,r)/t.get(e,r);t.set(n,r,0);for(let i=r+1;i<t.columns;i++)t.set(n,i,t.get(n,i)-t.get(e,i)*o)}e++,r++}}return t}reducedEchelonForm(){let t=this.echelonForm(),e=t.columns,r=t.rows,n=r-1;for(;n>=0;)if(0===t.maxRow(n))n--;else{let o=0,i=!1;for(;o<r&&!1===i;)1===t.get(n,o)?i=!0:o++;for(let r=0;r<n;r++){let i=t.get(r,o);for(let s=o;s<e;s++){let e=t.get(r,s)-i*t.get(n,s);t.set(r,s,e)}}n--}return t}set(){throw new Error("set method is unimplemented")}get(){throw new Error("get method is unimplemented")}repeat(t={}){if("object"!=typeof t)throw new TypeError("options must be an object");const{rows:e=1,columns:r=1}=t;if(!Number.isInteger(e)||e<=0)throw new TypeError("rows must be a positive integer");if(!Number.isInteger(r)||r<=0)throw new TypeError("columns must be a positive integer");let n=new P(this.rows*e,this.columns*r);for(let t=0;t<e;t++)for(let e=0;e<r;e++)n.setSubMatrix(this,this.rows*t,this.columns*e);return n}fill(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,t);return this}neg(){return this.mulS(-1)}getRow(t){v(this,t);let e=[];for(let r=0;r<this.columns;r++)e.push(this.get(t,r));return e}getRowVector(t){return P.rowVector(this.getRow(t))}setRow(t,e){v(this,t),e=M(this,e);for(let r=0;r<this.columns;r++)this.set(t,r,e[r]);return this}swapRows(t,e){v(this,t),v(this,e);for(let r=0;r<this.columns;r++){let n=this.get(t,r);this.set(t,r,this.get(e,r)),this.set(e,r,n)}return this}getColumn(t){b(this,t);let e=[];for(let r=0;r<this.rows;r++)e.push(this.get(r,t));return e}getColumnVector(t){return P.columnVector(this.getColumn(t))}setColumn(t,e){b(this,t),e=S(this,e);for(let r=0;r<this.rows;r++)this.set(r,t,e[r]);return this}swapColumns(t,e){b(this,t),b(this,e);for(let r=0;r<this.rows;r++){let n=this.get(r,t);this.set(r,t,this.get(r,e)),this.set(r,e,n)}return this}addRowVector(t){t=M(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)+t[r]);return this}subRowVector(t){t=M(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)-t[r]);return this}mulRowVector(t){t=M(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)*t[r]);return this}divRowVector(t){t=M(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)/t[r]);return this}addColumnVector(t){t=S(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)+t[e]);return this}subColumnVector(t){t=S(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)-t[e]);return this}mulColumnVector(t){t=S(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)*t[e]);return this}divColumnVector(t){t=S(this,t);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)/t[e]);return this}mulRow(t,e){v(this,t);for(let r=0;r<this.columns;r++)this.set(t,r,this.get(t,r)*e);return this}mulColumn(t,e){b(this,t);for(let r=0;r<this.rows;r++)this.set(r,t,this.get(r,t)*e);return this}max(){if(this.isEmpty())return NaN;let t=this.get(0,0);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.get(e,r)>t&&(t=this.get(e,r));return t}maxIndex(){z(this);let t=this.get(0,0),e=[0,0];for(let r=0;r<this.rows;r++)for(let n=0;n<this.columns;n++)this.get(r,n)>t&&(t=this.get(r,n),e[0]=r,e[1]=n);return e}min(){if(this.isEmpty())return NaN;let t=this.get(0,0);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.get(e,r)<t&&(t=this.get(e,r));return t}minIndex(){z(this);let t=this.get(0,0),e=[0,0];for(let r=0;r<this.rows;r++)for(let n=0;n<this.columns;n++)this.get(r,n)<t&&(t=this.get(r,n),e[0]=r,e[1]=n);return e}maxRow(t){if(v(this,t),this.isEmpty())return NaN;let e=this.get(t,0);for(let r=1;r<this.columns;r++)this.get(t,r)>e&&(e=this.get(t,r));return e}maxRowIndex(t){v(this,t),z(this);let e=this.get(t,0),r=[t,0];for(let n=1;n<this.columns;n++)this.get(t,n)>e&&(e=this.get(t,n),r[1]=n);return r}minRow(t){if(v(this,t),this.isEmpty())return NaN;let e=this.get(t,0);for(let r=1;r<this.columns;r++)this.get(t,r)<e&&(e=this.get(t,r));return e}minRowIndex(t){v(this,t),z(this);let e=this.get(t,0),r=[t,0];for(let n=1;n<this.columns;n++)this.get(t,n)<e&&(e=this.get(t,n),r[1]=n);return r}maxColumn(t){if(b(this,t),this.isEmpty())return NaN;let e=this.get(0,t);for(let r=1;r<this.rows;r++)this.get(r,t)>e&&(e=this.get(r,t));return e}maxColumnIndex(t){b(this,t),z(this);let e=this.get(0,t),r=[0,t];for(let n=1;n<this.rows;n++)this.get(n,t)>e&&(e=this.get(n,t),r[0]=n);return r}minColumn(t){if(b(this,t),this.isEmpty())return NaN;let e=this.get(0,t);for(let r=1;r<this.rows;r++)this.get(r,t)<e&&(e=this.get(r,t));return e}minColumnIndex(t){b(this,t),z(this);let e=this.get(0,t),r=[0,t];for(let n=1;n<this.rows;n++)this.get(n,t)<e&&(e=this.get(n,t),r[0]=n);return r}diag(){let t=Math.min(this.rows,this.columns),e=[];for(let r=0;r<t;r++)e.push(this.get(r,r));return e}norm(t="frobenius"){let e=0;if("max"===t)return this.max();if("frobenius"===t){for(let t=0;t<this.rows;t++)for(let r=0;r<this.columns;r++)e+=this.get(t,r)*this.get(t,r);return Math.sqrt(e)}throw new RangeError("unknown norm type: "+t)}cumulativeSum(){let t=0;for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)t+=this.get(e,r),this.set(e,r,t);return this}dot(t){_.isMatrix(t)&&(t=t.to1DArray());let e=this.to1DArray();if(e.length!==t.length)throw new RangeError("vectors do not have the same size");let r=0;for(let n=0;n<e.length;n++)r+=e[n]*t[n];return r}mmul(t){t=P.checkMatrix(t);let e=this.rows,r=this.columns,n=t.columns,o=new P(e,n),i=new Float64Array(r);for(let s=0;s<n;s++){for(let e=0;e<r;e++)i[e]=t.get(e,s);for(let t=0;t<e;t++){let e=0;for(let n=0;n<r;n++)e+=this.get(t,n)*i[n];o.set(t,s,e)}}return o}strassen2x2(t){t=P.checkMatrix(t);let e=new P(2,2);const r=this.get(0,0),n=t.get(0,0),o=this.get(0,1),i=t.get(0,1),s=this.get(1,0),a=t.get(1,0),h=this.get(1,1),u=t.get(1,1),l=(r+h)*(n+u),f=(s+h)*n,c=r*(i-u),m=h*(a-n),p=(r+o)*u,g=l+m-p+(o-h)*(a+u),w=c+p,d=f+m,y=l-f+c+(s-r)*(n+i);return e.set(0,0,g),e.set(0,1,w),e.set(1,0,d),e.set(1,1,y),e}strassen3x3(t){t=P.checkMatrix(t);let e=new P(3,3);const r=this.get(0,0),n=this.get(0,1),o=this.get(0,2),i=this.get(1,0),s=this.get(1,1),a=this.get(1,2),h=this.get(2,0),u=this.get(2,1),l=this.get(2,2),f=t.get(0,0),c=t.get(0,1),m=t.get(0,2),p=t.get(1,0),g=t.get(1,1),w=t.get(1,2),d=t.get(2,0),y=t.get(2,1),v=t.get(2,2),b=(r-i)*(-c+g),M=(-r+i+s)*(f-c+g),S=(i+s)*(-f+c),x=r*f,E=(-r+h+u)*(f-m+w),R=(-r+h)*(m-w),k=(h+u)*(-f+m),N=(-o+u+l)*(g+d-y),z=(o-l)*(g-y),_=o*d,A=(u+l)*(-d+y),j=(-o+s+a)*(w+d-v),O=(o-a)*(w-v),C=(s+a)*(-d+v),T=x+_+n*p,I=(r+n+o-i-s-u-l)*g+M+S+x+N+_+A,F=x+E+k+(r+n+o-s-a-h-u)*w+_+j+C,V=b+s*(-f+c+p-g-w-d+v)+M+x+_+j+O,D=b+M+S+x+a*y,q=_+j+O+C+i*m,L=x+E+R+u*(-f+m+p-g-w-d+y)+N+z+_,U=N+z+_+A+h*c,$=x+E+R+k+l*v;return e.set(0,0,T),e.set(0,1,I),e.set(0,2,F),e.set(1,0,V),e.set(1,1,D),e.set(1,2,q),e.set(2,0,L),e.set(2,1,U),e.set(2,2,$),e}mmulStrassen(t){t=P.checkMatrix(t);let e=this.clone(),r=e.rows,n=e.columns,o=t.rows,i=t.columns;function s(t,e,r){let n=t.rows,o=t.columns;if(n===e&&o===r)return t;{let n=_.zeros(e,r);return n=n.setSubMatrix(t,0,0),n}}n!==o&&console.warn(`Multiplying ${r} x ${n} and ${o} x ${i} matrix: dimensions do not match.`);let a=Math.max(r,o),h=Math.max(n,i);return e=s(e,a,h),function t(e,r,n,o){if(n<=512||o<=512)return e.mmul(r);n%2==1&&o%2==1?(e=s(e,n+1,o+1),r=s(r,n+1,o+1)):n%2==1?(e=s(e,n+1,o),r=s(r,n+1,o)):o%2==1&&(e=s(e,n,o+1),r=s(r,n,o+1));let i=parseInt(e.rows/2,10),a=parseInt(e.columns/2,10),h=e.subMatrix(0,i-1,0,a-1),u=r.subMatrix(0,i-1,0,a-1),l=e.subMatrix(0,i-1,a,e.columns-1),f=r.subMatrix(0,i-1,a,r.columns-1),c=e.subMatrix(i,e.rows-1,0,a-1),m=r.subMatrix(i,r.rows-1,0,a-1),p=e.subMatrix(i,e.rows-1,a,e.columns-1),g=r.subMatrix(i,r.rows-1,a,r.columns-1),w=t(_.add(h,p),_.add(u,g),i,a),d=t(_.add(c,p),u,i,a),y=t(h,_.sub(f,g),i,a),v=t(p,_.sub(m,u),i,a),b=t(_.add(h,l),g,i,a),M=t(_.sub(c,h),_.add(u,f),i,a),S=t(_.sub(l,p),_.add(m,g),i,a),x=_.add(w,v);x.sub(b),x.add(S);let E=_.add(y,b),R=_.add(d,v),k=_.sub(w,d);k.add(y),k.add(M);let N=_.zeros(2*x.rows,2*x.columns);return N=N.setSubMatrix(x,0,0),N=N.setSubMatrix(E,x.rows,0),N=N.setSubMatrix(R,0,x.columns),N=N.setSubMatrix(k,x.rows,x.columns),N.subMatrix(0,n-1,0,o-1)}(e,t=s(t,a,h),a,h)}scaleRows(t={}){if("object"!=typeof t)throw new TypeError("options must be an object");const{min:e=0,max:r=1}=t;if(!Number.isFinite(e))throw new TypeError("min must be a number");if(!Number.isFinite(r))throw new TypeError("max must be a number");if(e>=r)throw new RangeError("min must be smaller than max");let n=new P(this.rows,this.columns);for(let t=0;t<this.rows;t++){const o=this.getRow(t);o.length>0&&p(o,{min:e,max:r,output:o}),n.setRow(t,o)}return n}scaleColumns(t={}){if("object"!=typeof t)throw new TypeError("options must be an object");const{min:e=0,max:r=1}=t;if(!Number.isFinite(e))throw new TypeError("min must be a number");if(!Number.isFinite(r))throw new TypeError("max must be a number");if(e>=r)throw new RangeError("min must be smaller than max");let n=new P(this.rows,this.columns);for(let t=0;t<this.columns;t++){const o=this.getColumn(t);o.length&&p(o,{min:e,max:r,output:o}),n.setColumn(t,o)}return n}flipRows(){const t=Math.ceil(this.columns/2);for(let e=0;e<this.rows;e++)for(let r=0;r<t;r++){let t=this.get(e,r),n=this.get(e,this.columns-1-r);this.set(e,r,n),this.set(e,this.columns-1-r,t)}return this}flipColumns(){const t=Math.ceil(this.rows/2);for(let e=0;e<this.columns;e++)for(let r=0;r<t;r++){let t=this.get(r,e),n=this.get(this.rows-1-r,e);this.set(r,e,n),this.set(this.rows-1-r,e,t)}return this}kroneckerProduct(t){t=P.checkMatrix(t);let e=this.rows,r=this.columns,n=t.rows,o=t.columns,i=new P(e*n,r*o);for(let s=0;s<e;s++)for(let e=0;e<r;e++)for(let r=0;r<n;r++)for(let a=0;a<o;a++)i.set(n*s+r,o*e+a,this.get(s,e)*t.get(r,a));return i}kroneckerSum(t){if(t=P.checkMatrix(t),!this.isSquare()||!t.isSquare())throw new Error("Kronecker Sum needs two Square Matrices");let e=this.rows,r=t.rows,n=this.kroneckerProduct(P.eye(r,r)),o=P.eye(e,e).kroneckerProduct(t);return n.add(o)}transpose(){let t=new P(this.columns,this.rows);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)t.set(r,e,this.get(e,r));return t}sortRows(t=A){for(let e=0;e<this.rows;e++)this.setRow(e,this.getRow(e).sort(t));return this}sortColumns(t=A){for(let e=0;e<this.columns;e++)this.setColumn(e,this.getColumn(e).sort(t));return this}subMatrix(t,e,r,n){R(this,t,e,r,n);let o=new P(e-t+1,n-r+1);for(let i=t;i<=e;i++)for(let e=r;e<=n;e++)o.set(i-t,e-r,this.get(i,e));return o}subMatrixRow(t,e,r){if(void 0===e&&(e=0),void 0===r&&(r=this.columns-1),e>r||e<0||e>=this.columns||r<0||r>=this.columns)throw new RangeError("Argument out of range");let n=new P(t.length,r-e+1);for(let o=0;o<t.length;o++)for(let i=e;i<=r;i++){if(t[o]<0||t[o]>=this.rows)throw new RangeError("Row index out of range: "+t[o]);n.set(o,i-e,this.get(t[o],i))}return n}subMatrixColumn(t,e,r){if(void 0===e&&(e=0),void 0===r&&(r=this.rows-1),e>r||e<0||e>=this.rows||r<0||r>=this.rows)throw new RangeError("Argument out of range");let n=new P(r-e+1,t.length);for(let o=0;o<t.length;o++)for(let i=e;i<=r;i++){if(t[o]<0||t[o]>=this.columns)throw new RangeError("Column index out of range: "+t[o]);n.set(i-e,o,this.get(i,t[o]))}return n}setSubMatrix(t,e,r){if((t=P.checkMatrix(t)).isEmpty())return this;R(this,e,e+t.rows-1,r,r+t.columns-1);for(let n=0;n<t.rows;n++)for(let o=0;o<t.columns;o++)this.set(e+n,r+o,t.get(n,o));return this}selection(t,e){let r=function(t,e,r){return{row:x(t,e),column:E(t,r)}}(this,t,e),n=new P(t.length,e.length);for(let t=0;t<r.row.length;t++){let e=r.row[t];for(let o=0;o<r.column.length;o++){let i=r.column[o];n.set(t,o,this.get(e,i))}}return n}trace(){let t=Math.min(this.rows,this.columns),e=0;for(let r=0;r<t;r++)e+=this.get(r,r);return e}clone(){let t=new P(this.rows,this.columns);for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)t.set(e,r,this.get(e,r));return t}sum(t){switch(t){case"row":return function(t){let e=k(t.rows);for(let r=0;r<t.rows;++r)for(let n=0;n<t.columns;++n)e[r]+=t.get(r,n);return e}(this);case"column":return function(t){let e=k(t.columns);for(let r=0;r<t.rows;++r)for(let n=0;n<t.columns;++n)e[n]+=t.get(r,n);return e}(this);case void 0:return function(t){let e=0;for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)e+=t.get(r,n);return e}(this);default:throw new Error("invalid option: "+t)}}product(t){switch(t){case"row":return function(t){let e=k(t.rows,1);for(let r=0;r<t.rows;++r)for(let n=0;n<t.columns;++n)e[r]*=t.get(r,n);return e}(this);case"column":return function(t){let e=k(t.columns,1);for(let r=0;r<t.rows;++r)for(let n=0;n<t.columns;++n)e[n]*=t.get(r,n);return e}(this);case void 0:return function(t){let e=1;for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)e*=t.get(r,n);return e}(this);default:throw new Error("invalid option: "+t)}}mean(t){const e=this.sum(t);switch(t){case"row":for(let t=0;t<this.rows;t++)e[t]/=this.columns;return e;case"column":for(let t=0;t<this.columns;t++)e[t]/=this.rows;return e;case void 0:return e/this.size;default:throw new Error("invalid option: "+t)}}variance(t,e={}){if("object"==typeof t&&(e=t,t=void 0),"object"!=typeof e)throw new TypeError("options must be an object");const{unbiased:r=!0,mean:n=this.mean(t)}=e;if("boolean"!=typeof r)throw new TypeError("unbiased must be a boolean");switch(t){case"row":if(!Array.isArray(n))throw new TypeError("mean must be an array");return function(t,e,r){const n=t.rows,o=t.columns,i=[];for(let s=0;s<n;s++){let n=0,a=0,h=0;for(let e=0;e<o;e++)h=t.get(s,e)-r[s],n+=h,a+=h*h;e?i.push((a-n*n/o)/(o-1)):i.push((a-n*n/o)/o)}return i}(this,r,n);case"column":if(!Array.isArray(n))throw new TypeError("mean must be an array");return function(t,e,r){const n=t.rows,o=t.columns,i=[];for(let s=0;s<o;s++){let o=0,a=0,h=0;for(let e=0;e<n;e++)h=t.get(e,s)-r[s],o+=h,a+=h*h;e?i.push((a-o*o/n)/(n-1)):i.push((a-o*o/n)/n)}return i}(this,r,n);case void 0:if("number"!=typeof n)throw new TypeError("mean must be a number");return function(t,e,r){const n=t.rows,o=t.columns,i=n*o;let s=0,a=0,h=0;for(let e=0;e<n;e++)for(let n=0;n<o;n++)h=t.get(e,n)-r,s+=h,a+=h*h;return e?(a-s*s/i)/(i-1):(a-s*s/i)/i}(this,r,n);default:throw new Error("invalid option: "+t)}}standardDeviation(t,e){"object"==typeof t&&(e=t,t=void 0);const r=this.variance(t,e);if(void 0===t)return Math.sqrt(r);for(let t=0;t<r.length;t++)r[t]=Math.sqrt(r[t]);return r}center(t,e={}){if("object"==typeof t&&(e=t,t=void 0),"object"!=typeof e)throw new TypeError("options must be an object");const{center:r=this.mean(t)}=e;switch(t){case"row":if(!Array.isArray(r))throw new TypeError("center must be an array");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)-e[r])}(this,r),this;case"column":if(!Array.isArray(r))throw new TypeError("center must be an array");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)-e[n])}(this,r),this;case void 0:if("number"!=typeof r)throw new TypeError("center must be a number");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)-e)}(this,r),this;default:throw new Error("invalid option: "+t)}}scale(t,e={}){if("object"==typeof t&&(e=t,t=void 0),"object"!=typeof e)throw new TypeError("options must be an object");let r=e.scale;switch(t){case"row":if(void 0===r)r=function(t){const e=[];for(let r=0;r<t.rows;r++){let n=0;for(let e=0;e<t.columns;e++)n+=Math.pow(t.get(r,e),2)/(t.columns-1);e.push(Math.sqrt(n))}return e}(this);else if(!Array.isArray(r))throw new TypeError("scale must be an array");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)/e[r])}(this,r),this;case"column":if(void 0===r)r=function(t){const e=[];for(let r=0;r<t.columns;r++){let n=0;for(let e=0;e<t.rows;e++)n+=Math.pow(t.get(e,r),2)/(t.rows-1);e.push(Math.sqrt(n))}return e}(this);else if(!Array.isArray(r))throw new TypeError("scale must be an array");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)/e[n])}(this,r),this;case void 0:if(void 0===r)r=function(t){const e=t.size-1;let r=0;for(let n=0;n<t.columns;n++)for(let o=0;o<t.rows;o++)r+=Math.pow(t.get(o,n),2)/e;return Math.sqrt(r)}(this);else if("number"!=typeof r)throw new TypeError("scale must be a number");return function(t,e){for(let r=0;r<t.rows;r++)for(let n=0;n<t.columns;n++)t.set(r,n,t.get(r,n)/e)}(this,r),this;default:throw new Error("invalid option: "+t)}}toString(t){return d(this,t)}}function A(t,e){return t-e}_.prototype.klass="Matrix","undefined"!=typeof Symbol&&(_.prototype[Symbol.for("nodejs.util.inspect.custom")]=function(){return d(this)}),_.random=_.rand,_.randomInt=_.randInt,_.diagonal=_.diag,_.prototype.diagonal=_.prototype.diag,_.identity=_.eye,_.prototype.negate=_.prototype.neg,_.prototype.tensorProduct=_.prototype.kroneckerProduct;class P extends _{constructor(t,e){if(super(),P.isMatrix(t))return t.clone();if(Number.isInteger(t)&&t>=0){if(this.data=[],!(Number.isInteger(e)&&e>=0))throw new TypeError("nColumns must be a positive integer");for(let r=0;r<t;r++)this.data.push(new Float64Array(e))}else{if(!Array.isArray(t))throw new TypeError("First argument must be a positive number or an array");{const r=t;if("number"!=typeof(e=(t=r.length)?r[0].length:0))throw new TypeError("Data must be a 2D array with at least one element");this.data=[];for(let n=0;n<t;n++){if(r[n].length!==e)throw new RangeError("Inconsistent array dimensions");this.data.push(Float64Array.from(r[n]))}}}this.rows=t,this.columns=e}set(t,e,r){return this.data[t][e]=r,this}get(t,e){return this.data[t][e]}removeRow(t){return v(this,t),this.data.splice(t,1),this.rows-=1,this}addRow(t,e){return void 0===e&&(e=t,t=this.rows),v(this,t,!0),e=Float64Array.from(M(this,e)),this.data.splice(t,0,e),this.rows+=1,this}removeColumn(t){b(this,t);for(let e=0;e<this.rows;e++){const r=new Float64Array(this.columns-1);for(let n=0;n<t;n++)r[n]=this.data[e][n];for(let n=t+1;n<this.columns;n++)r[n-1]=this.data[e][n];this.data[e]=r}return this.columns-=1,this}addColumn(t,e){void 0===e&&(e=t,t=this.columns),b(this,t,!0),e=S(this,e);for(let r=0;r<this.rows;r++){const n=new Float64Array(this.columns+1);let o=0;for(;o<t;o++)n[o]=this.data[r][o];for(n[o++]=e[r];o<this.columns+1;o++)n[o]=this.data[r][o-1];this.data[r]=n}return this.columns+=1,this}}var j,O;O=P,(j=_).prototype.add=function(t){return"number"==typeof t?this.addS(t):this.addM(t)},j.prototype.addS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)+t);return this},j.prototype.addM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)+t.get(e,r));return this},j.add=function(t,e){return new O(t).add(e)},j.prototype.sub=function(t){return"number"==typeof t?this.subS(t):this.subM(t)},j.prototype.subS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)-t);return this},j.prototype.subM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)-t.get(e,r));return this},j.sub=function(t,e){return new O(t).sub(e)},j.prototype.subtract=j.prototype.sub,j.prototype.subtractS=j.prototype.subS,j.prototype.subtractM=j.prototype.subM,j.subtract=j.sub,j.prototype.mul=function(t){return"number"==typeof t?this.mulS(t):this.mulM(t)},j.prototype.mulS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)*t);return this},j.prototype.mulM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)*t.get(e,r));return this},j.mul=function(t,e){return new O(t).mul(e)},j.prototype.multiply=j.prototype.mul,j.prototype.multiplyS=j.prototype.mulS,j.prototype.multiplyM=j.prototype.mulM,j.multiply=j.mul,j.prototype.div=function(t){return"number"==typeof t?this.divS(t):this.divM(t)},j.prototype.divS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)/t);return this},j.prototype.divM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)/t.get(e,r));return this},j.div=function(t,e){return new O(t).div(e)},j.prototype.divide=j.prototype.div,j.prototype.divideS=j.prototype.divS,j.prototype.divideM=j.prototype.divM,j.divide=j.div,j.prototype.mod=function(t){return"number"==typeof t?this.modS(t):this.modM(t)},j.prototype.modS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)%t);return this},j.prototype.modM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)%t.get(e,r));return this},j.mod=function(t,e){return new O(t).mod(e)},j.prototype.modulus=j.prototype.mod,j.prototype.modulusS=j.prototype.modS,j.prototype.modulusM=j.prototype.modM,j.modulus=j.mod,j.prototype.and=function(t){return"number"==typeof t?this.andS(t):this.andM(t)},j.prototype.andS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)&t);return this},j.prototype.andM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)&t.get(e,r));return this},j.and=function(t,e){return new O(t).and(e)},j.prototype.or=function(t){return"number"==typeof t?this.orS(t):this.orM(t)},j.prototype.orS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)|t);return this},j.prototype.orM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)|t.get(e,r));return this},j.or=function(t,e){return new O(t).or(e)},j.prototype.xor=function(t){return"number"==typeof t?this.xorS(t):this.xorM(t)},j.prototype.xorS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)^t);return this},j.prototype.xorM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)^t.get(e,r));return this},j.xor=function(t,e){return new O(t).xor(e)},j.prototype.leftShift=function(t){return"number"==typeof t?this.leftShiftS(t):this.leftShiftM(t)},j.prototype.leftShiftS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)<<t);return this},j.prototype.leftShiftM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)<<t.get(e,r));return this},j.leftShift=function(t,e){return new O(t).leftShift(e)},j.prototype.signPropagatingRightShift=function(t){return"number"==typeof t?this.signPropagatingRightShiftS(t):this.signPropagatingRightShiftM(t)},j.prototype.signPropagatingRightShiftS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)>>t);return this},j.prototype.signPropagatingRightShiftM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)>>t.get(e,r));return this},j.signPropagatingRightShift=function(t,e){return new O(t).signPropagatingRightShift(e)},j.prototype.rightShift=function(t){return"number"==typeof t?this.rightShiftS(t):this.rightShiftM(t)},j.prototype.rightShiftS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)>>>t);return this},j.prototype.rightShiftM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,this.get(e,r)>>>t.get(e,r));return this},j.rightShift=function(t,e){return new O(t).rightShift(e)},j.prototype.zeroFillRightShift=j.prototype.rightShift,j.prototype.zeroFillRightShiftS=j.prototype.rightShiftS,j.prototype.zeroFillRightShiftM=j.prototype.rightShiftM,j.zeroFillRightShift=j.rightShift,j.prototype.not=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,~this.get(t,e));return this},j.not=function(t){return new O(t).not()},j.prototype.abs=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.abs(this.get(t,e)));return this},j.abs=function(t){return new O(t).abs()},j.prototype.acos=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.acos(this.get(t,e)));return this},j.acos=function(t){return new O(t).acos()},j.prototype.acosh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.acosh(this.get(t,e)));return this},j.acosh=function(t){return new O(t).acosh()},j.prototype.asin=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.asin(this.get(t,e)));return this},j.asin=function(t){return new O(t).asin()},j.prototype.asinh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.asinh(this.get(t,e)));return this},j.asinh=function(t){return new O(t).asinh()},j.prototype.atan=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.atan(this.get(t,e)));return this},j.atan=function(t){return new O(t).atan()},j.prototype.atanh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.atanh(this.get(t,e)));return this},j.atanh=function(t){return new O(t).atanh()},j.prototype.cbrt=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.cbrt(this.get(t,e)));return this},j.cbrt=function(t){return new O(t).cbrt()},j.prototype.ceil=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.ceil(this.get(t,e)));return this},j.ceil=function(t){return new O(t).ceil()},j.prototype.clz32=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.clz32(this.get(t,e)));return this},j.clz32=function(t){return new O(t).clz32()},j.prototype.cos=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.cos(this.get(t,e)));return this},j.cos=function(t){return new O(t).cos()},j.prototype.cosh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.cosh(this.get(t,e)));return this},j.cosh=function(t){return new O(t).cosh()},j.prototype.exp=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.exp(this.get(t,e)));return this},j.exp=function(t){return new O(t).exp()},j.prototype.expm1=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.expm1(this.get(t,e)));return this},j.expm1=function(t){return new O(t).expm1()},j.prototype.floor=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.floor(this.get(t,e)));return this},j.floor=function(t){return new O(t).floor()},j.prototype.fround=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.fround(this.get(t,e)));return this},j.fround=function(t){return new O(t).fround()},j.prototype.log=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.log(this.get(t,e)));return this},j.log=function(t){return new O(t).log()},j.prototype.log1p=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.log1p(this.get(t,e)));return this},j.log1p=function(t){return new O(t).log1p()},j.prototype.log10=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.log10(this.get(t,e)));return this},j.log10=function(t){return new O(t).log10()},j.prototype.log2=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.log2(this.get(t,e)));return this},j.log2=function(t){return new O(t).log2()},j.prototype.round=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.round(this.get(t,e)));return this},j.round=function(t){return new O(t).round()},j.prototype.sign=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.sign(this.get(t,e)));return this},j.sign=function(t){return new O(t).sign()},j.prototype.sin=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.sin(this.get(t,e)));return this},j.sin=function(t){return new O(t).sin()},j.prototype.sinh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.sinh(this.get(t,e)));return this},j.sinh=function(t){return new O(t).sinh()},j.prototype.sqrt=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.sqrt(this.get(t,e)));return this},j.sqrt=function(t){return new O(t).sqrt()},j.prototype.tan=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.tan(this.get(t,e)));return this},j.tan=function(t){return new O(t).tan()},j.prototype.tanh=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.tanh(this.get(t,e)));return this},j.tanh=function(t){return new O(t).tanh()},j.prototype.trunc=function(){for(let t=0;t<this.rows;t++)for(let e=0;e<this.columns;e++)this.set(t,e,Math.trunc(this.get(t,e)));return this},j.trunc=function(t){return new O(t).trunc()},j.pow=function(t,e){return new O(t).pow(e)},j.prototype.pow=function(t){return"number"==typeof t?this.powS(t):this.powM(t)},j.prototype.powS=function(t){for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,Math.pow(this.get(e,r),t));return this},j.prototype.powM=function(t){if(t=O.checkMatrix(t),this.rows!==t.rows||this.columns!==t.columns)throw new RangeError("Matrices dimensions must be equal");for(let e=0;e<this.rows;e++)for(let r=0;r<this.columns;r++)this.set(e,r,Math.pow(this.get(e,r),t.get(e,r)));return this};class C extends _{constructor(t){super(),this.data=t,this.rows=t.length,this.columns=t[0].length}set(t,e,r){return this.data[t][e]=r,this}get(t,e){return this.data[t][e]}}class T{constructor(t){let e,r,n,o,i,s,a,h,u,l=(t=C.checkMatrix(t)).clone(),f=l.rows,c=l.columns,m=new Float64Array(f),p=1;for(e=0;e<f;e++)m[e]=e;for(h=new Float64Array(f),r=0;r<c;r++){for(e=0;e<f;e++)h[e]=l.get(e,r);for(e=0;e<f;e++){for(u=Math.min(e,r),i=0,n=0;n<u;n++)i+=l.get(e,n)*h[n];h[e]-=i,l.set(e,r,h[e])}for(o=r,e=r+1;e<f;e++)Math.abs(h[e])>Math.abs(h[o])&&(o=e);if(o!==r){for(n=0;n<c;n++)s=l.get(o,n),l.set(o,n,l.get(r,n)),l.set(r,n,s);a=m[o],m[o]=m[r],m[r]=a,p=-p}if(r<f&&0!==l.get(r,r))for(e=r+1;e<f;e++)l.set(e,r,l.get(e,r)/l.get(r,r))}this.LU=l,this.pivotVector=m,this.pivotSign=p}isSingular(){let t=this.LU,e=t.columns;for(let r=0;r<e;r++)if(0===t.get(r,r))return!0;return!1}solve(t){t=P.checkMatrix(t);let e=this.LU;if(e.rows!==t.rows)throw new Error("Invalid matrix dimensions");if(this.isSingular())throw new Error("LU matrix is singular");let r,n,o,i=t.columns,s=t.subMatrixRow(this.pivotVector,0,i-1),a=e.columns;for(o=0;o<a;o++)for(r=o+1;r<a;r++)for(n=0;n<i;n++)s.set(r,n,s.get(r,n)-s.get(o,n)*e.get(r,o));for(o=a-1;o>=0;o--){for(n=0;n<i;n++)s.set(o,n,s.get(o,n)/e.get(o,o));for(r=0;r<o;r++)for(n=0;n<i;n++)s.set(r,n,s.get(r,n)-s.get(o,n)*e.get(r,o))}return s}get determinant(){let t=this.LU;if(!t.isSquare())throw new Error("Matrix must be square");let e=this.pivotSign,r=t.columns;for(let n=0;n<r;n++)e*=t.get(n,n);return e}get lowerTriangularMatrix(){let t=this.LU,e=t.rows,r=t.columns,n=new P(e,r);for(let o=0;o<e;o++)for(let e=0;e<r;e++)o>e?n.set(o,e,t.get(o,e)):o===e?n.set(o,e,1):n.set(o,e,0);return n}get upperTriangularMatrix(){let t=this.LU,e=t.rows,r=t.columns,n=new P(e,r);for(let o=0;o<e;o++)for(let e=0;e<r;e++)o<=e?n.set(o,e,t.get(o,e)):n.set(o,e,0);return n}get pivotPermutationVector(){return Array.from(this.pivotVector)}}function I(t,e){let r=0;return Math.abs(t)>Math.abs(e)?(r=e/t,Math.abs(t)*Math.sqrt(1+r*r)):0!==e?(r=t/e,Math.abs(e)*Math.sqrt(1+r*r)):0}class F{constructor(t){let e,r,n,o,i=(t=C.checkMatrix(t)).clone(),s=t.rows,a=t.columns,h=new Float64Array(a);for(n=0;n<a;n++){let t=0;for(e=n;e<s;e++)t=I(t,i.get(e,n));if(0!==t){for(i.get(n,n)<0&&(t=-t),e=n;e<s;e++)i.set(e,n,i.get(e,n)/t);for(i.set(n,n,i.get(n,n)+1),r=n+1;r<a;r++){for(o=0,e=n;e<s;e++)o+=i.get(e,n)*i.get(e,r);for(o=-o/i.get(n,n),e=n;e<s;e++)i.set(e,r,i.get(e,r)+o*i.get(e,n))}}h[n]=-t}this.QR=i,this.Rdiag=h}solve(t){t=P.checkMatrix(t);let e=this.QR,r=e.rows;if(t.rows!==r)throw new Error("Matrix row dimensions must agree");if(!this.isFullRank())throw new Error("Matrix is rank deficient");let n,o,i,s,a=t.columns,h=t.clone(),u=e.columns;for(i=0;i<u;i++)for(o=0;o<a;o++){for(s=0,n=i;n<r;n++)s+=e.get(n,i)*h.get(n,o);for(s=-s/e.get(i,i),n=i;n<r;n++)h.set(n,o,h.get(n,o)+s*e.get(n,i))}for(i=u-1;i>=0;i--){for(o=0;o<a;o++)h.set(i,o,h.get(i,o)/this.Rdiag[i]);for(n=0;n<i;n++)for(o=0;o<a;o++)h.set(n,o,h.get(n,o)-h.get(i,o)*e.get(n,i))}return h.subMatrix(0,u-1,0,a-1)}isFullRank(){let t=this.QR.columns;for(let e=0;e<t;e++)if(0===this.Rdiag[e])return!1;return!0}get upperTriangularMatrix(){let t,e,r=this.QR,n=r.columns,o=new P(n,n);for(t=0;t<n;t++)for(e=0;e<n;e++)t<e?o.set(t,e,r.get(t,e)):t===e?o.set(t,e,this.Rdiag[t]):o.set(t,e,0);return o}get orthogonalMatrix(){let t,e,r,n,o=this.QR,i=o.rows,s=o.columns,a=new P(i,s);for(r=s-1;r>=0;r--){for(t=0;t<i;t++)a.set(t,r,0);for(a.set(r,r,1),e=r;e<s;e++)if(0!==o.get(r,r)){for(n=0,t=r;t<i;t++)n+=o.get(t,r)*a.get(t,e);for(n=-n/o.get(r,r),t=r;t<i;t++)a.set(t,e,a.get(t,e)+n*o.get(t,r))}}return a}}class V{constructor(t,e={}){if((t=C.checkMatrix(t)).isEmpty())throw new Error("Matrix must be non-empty");let r=t.rows,n=t.columns;const{computeLeftSingularVectors:o=!0,computeRightSingularVectors:i=!0,autoTranspose:s=!1}=e;let a,h=Boolean(o),u=Boolean(i),l=!1;if(r<n)if(s){a=t.transpose(),r=a.rows,n=a.columns,l=!0;let e=h;h=u,u=e}else a=t.clone(),console.warn("Computing SVD on a matrix with more columns than rows. Consider enabling autoTranspose");else a=t.clone();let f=Math.min(r,n),c=Math.min(r+1,n),m=new Float64Array(c),p=new P(r,f),g=new P(n,n),w=new Float64Array(n),d=new Float64Array(r),y=new Float64Array(c);for(let t=0;t<c;t++)y[t]=t;let v=Math.min(r-1,n),b=Math.max(0,Math.min(n-2,r)),M=Math.max(v,b);for(let t=0;t<M;t++){if(t<v){m[t]=0;for(let e=t;e<r;e++)m[t]=I(m[t],a.get(e,t));if(0!==m[t]){a.get(t,t)<0&&(m[t]=-m[t]);for(let e=t;e<r;e++)a.set(e,t,a.get(e,t)/m[t]);a.set(t,t,a.get(t,t)+1)}m[t]=-m[t]}for(let e=t+1;e<n;e++){if(t<v&&0!==m[t]){let n=0;for(let o=t;o<r;o++)n+=a.get(o,t)*a.get(o,e);n=-n/a.get(t,t);for(let o=t;o<r;o++)a.set(o,e,a.get(o,e)+n*a.get(o,t))}w[e]=a.get(t,e)}if(h&&t<v)for(let e=t;e<r;e++)p.set(e,t,a.get(e,t));if(t<b){w[t]=0;for(let e=t+1;e<n;e++)w[t]=I(w[t],w[e]);if(0!==w[t]){w[t+1]<0&&(w[t]=0-w[t]);for(let e=t+1;e<n;e++)w[e]/=w[t];w[t+1]+=1}if(w[t]=-w[t],t+1<r&&0!==w[t]){for(let e=t+1;e<r;e++)d[e]=0;for(let e=t+1;e<r;e++)for(let r=t+1;r<n;r++)d[e]+=w[r]*a.get(e,r);for(let e=t+1;e<n;e++){let n=-w[e]/w[t+1];for(let o=t+1;o<r;o++)a.set(o,e,a.get(o,e)+n*d[o])}}if(u)for(let e=t+1;e<n;e++)g.set(e,t,w[e])}}let S=Math.min(n,r+1);if(v<n&&(m[v]=a.get(v,v)),r<S&&(m[S-1]=0),b+1<S&&(w[b]=a.get(b,S-1)),w[S-1]=0,h){for(let t=v;t<f;t++){for(let e=0;e<r;e++)p.set(e,t,0);p.set(t,t,1)}for(let t=v-1;t>=0;t--)if(0!==m[t]){for(let e=t+1;e<f;e++){let n=0;for(let o=t;o<r;o++)n+=p.get(o,t)*p.get(o,e);n=-n/p.get(t,t);for(let o=t;o<r;o++)p.set(o,e,p.get(o,e)+n*p.get(o,t))}for(let e=t;e<r;e++)p.set(e,t,-p.get(e,t));p.set(t,t,1+p.get(t,t));for(let e=0;e<t-1;e++)p.set(e,t,0)}else{for(let e=0;e<r;e++)p.set(e,t,0);p.set(t,t,1)}}if(u)for(let t=n-1;t>=0;t--){if(t<b&&0!==w[t])for(let e=t+1;e<n;e++){let r=0;for(let o=t+1;o<n;o++)r+=g.get(o,t)*g.get(o,e);r=-r/g.get(t+1,t);for(let o=t+1;o<n;o++)g.set(o,e,g.get(o,e)+r*g.get(o,t))}for(let e=0;e<n;e++)g.set(e,t,0);g.set(t,t,1)}let x=S-1,E=0,R=Number.EPSILON;for(;S>0;){let t,e;for(t=S-2;t>=-1&&-1!==t;t--){const e=Number.MIN_VALUE+R*Math.abs(m[t]+Math.abs(m[t+1]));if(Math.abs(w[t])<=e||Number.isNaN(w[t])){w[t]=0;break}}if(t===S-2)e=4;else{let r;for(r=S-1;r>=t&&r!==t;r--){let e=(r!==S?Math.abs(w[r]):0)+(r!==t+1?Math.abs(w[r-1]):0);if(Math.abs(m[r])<=R*e){m[r]=0;break}}r===t?e=3:r===S-1?e=1:(e=2,t=r)}switch(t++,e){case 1:{let e=w[S-2];w[S-2]=0;for(let r=S-2;r>=t;r--){let o=I(m[r],e),i=m[r]/o,s=e/o;if(m[r]=o,r!==t&&(e=-s*w[r-1],w[r-1]=i*w[r-1]),u)for(let t=0;t<n;t++)o=i*g.get(t,r)+s*g.get(t,S-1),g.set(t,S-1,-s*g.get(t,r)+i*g.get(t,S-1)),g.set(t,r,o)}break}case 2:{let e=w[t-1];w[t-1]=0;for(let n=t;n<S;n++){let o=I(m[n],e),i=m[n]/o,s=e/o;if(m[n]=o,e=-s*w[n],w[n]=i*w[n],h)for(let e=0;e<r;e++)o=i*p.get(e,n)+s*p.get(e,t-1),p.set(e,t-1,-s*p.get(e,n)+i*p.get(e,t-1)),p.set(e,n,o)}break}case 3:{const e=Math.max(Math.abs(m[S-1]),Math.abs(m[S-2]),Math.abs(w[S-2]),Math.abs(m[t]),Math.abs(w[t])),o=m[S-1]/e,i=m[S-2]/e,s=w[S-2]/e,a=m[t]/e,l=w[t]/e,f=((i+o)*(i-o)+s*s)/2,c=o*s*(o*s);let d=0;0===f&&0===c||(d=f<0?0-Math.sqrt(f*f+c):Math.sqrt(f*f+c),d=c/(f+d));let y=(a+o)*(a-o)+d,v=a*l;for(let e=t;e<S-1;e++){let o=I(y,v);0===o&&(o=Number.MIN_VALUE);let i=y/o,s=v/o;if(e!==t&&(w[e-1]=o),y=i*m[e]+s*w[e],w[e]=i*w[e]-s*m[e],v=s*m[e+1],m[e+1]=i*m[e+1],u)for(let t=0;t<n;t++)o=i*g.get(t,e)+s*g.get(t,e+1),g.set(t,e+1,-s*g.get(t,e)+i*g.get(t,e+1)),g.set(t,e,o);if(o=I(y,v),0===o&&(o=Number.MIN_VALUE),i=y/o,s=v/o,m[e]=o,y=i*w[e]+s*m[e+1],m[e+1]=-s*w[e]+i*m[e+1],v=s*w[e+1],w[e+1]=i*w[e+1],h&&e<r-1)for(let t=0;t<r;t++)o=i*p.get(t,e)+s*p.get(t,e+1),p.set(t,e+1,-s*p.get(t,e)+i*p.get(t,e+1)),p.set(t,e,o)}w[S-2]=y,E+=1;break}case 4:if(m[t]<=0&&(m[t]=m[t]<0?-m[t]:0,u))for(let e=0;e<=x;e++)g.set(e,t,-g.get(e,t));for(;t<x&&!(m[t]>=m[t+1]);){let e=m[t];if(m[t]=m[t+1],m[t+1]=e,u&&t<n-1)for(let r=0;r<n;r++)e=g.get(r,t+1),g.set(r,t+1,g.get(r,t)),g.set(r,t,e);if(h&&t<r-1)for(let n=0;n<r;n++)e=p.get(n,t+1),p.set(n,t+1,p.get(n,t)),p.set(n,t,e);t++}E=0,S--}}if(l){let t=g;g=p,p=t}this.m=r,this.n=n,this.s=m,this.U=p,this.V=g}solve(t){let e=t,r=this.threshold,n=this.s.length,o=P.zeros(n,n);for(let t=0;t<n;t++)Math.abs(this.s[t])<=r?o.set(t,t,0):o.set(t,t,1/this.s[t]);let i=this.U,s=this.rightSingularVectors,a=s.mmul(o),h=s.rows,u=i.rows,l=P.zeros(h,u);for(let t=0;t<h;t++)for(let e=0;e<u;e++){let r=0;for(let o=0;o<n;o++)r+=a.get(t,o)*i.get(e,o);l.set(t,e,r)}return l.mmul(e)}solveForDiagonal(t){return this.solve(P.diag(t))}inverse(){let t=this.V,e=this.threshold,r=t.rows,n=t.columns,o=new P(r,this.s.length);for(let i=0;i<r;i++)for(let r=0;r<n;r++)Math.abs(this.s[r])>e&&o.set(i,r,t.get(i,r)/this.s[r]);let i=this.U,s=i.rows,a=i.columns,h=new P(r,s);for(let t=0;t<r;t++)for(let e=0;e<s;e++){let r=0;for(let n=0;n<a;n++)r+=o.get(t,n)*i.get(e,n);h.set(t,e,r)}return h}get condition(){return this.s[0]/this.s[Math.min(this.m,this.n)-1]}get norm2(){return this.s[0]}get rank(){let t=Math.max(this.m,this.n)*this.s[0]*Number.EPSILON,e=0,r=this.s;for(let n=0,o=r.length;n<o;n++)r[n]>t&&e++;return e}get diagonal(){return Array.from(this.s)}get threshold(){return Number.EPSILON/2*Math.max(this.m,this.n)*this.s[0]}get leftSingularVectors(){return this.U}get rightSingularVectors(){return this.V}get diagonalMatrix(){return P.diag(this.s)}}function D(t,e=!1){return t=C.checkMatrix(t),e?new V(t).inverse():function(t,e,r=!1){return t=C.checkMatrix(t),e=C.checkMatrix(e),r?new V(t).solve(e):t.isSquare()?new T(t).solve(e):new F(t).solve(e)}(t,P.eye(t.rows))}function q(t,e,r,n,o){let i=r*n*n,s=P.eye(e.length,e.length,i);const a=o(e);let h=new Float64Array(t.x.length);for(let e=0;e<t.x.length;e++)h[e]=a(t.x[e]);let u=function(t,e,r,n,o){const i=r.length,s=t.x.length;let a=new Array(i);for(let h=0;h<i;h++){a[h]=new Array(s);let i=r.slice();i[h]+=n;let u=o(i);for(let r=0;r<s;r++)a[h][r]=e[r]-u(t.x[r])}return new P(a)}(t,h,e,n,o),l=function(t,e){const r=t.x.length;let n=new Array(r);for(let o=0;o<r;o++)n[o]=[t.y[o]-e[o]];return new P(n)}(t,h),f=D(s.add(u.mmul(u.transpose())));return(e=(e=new P([e])).sub(f.mmul(u).mmul(l).mul(n).transpose())).to1DArray()}function L(t,e,r={}){let{maxIterations:n=100,gradientDifference:s=.1,damping:a=0,errorTolerance:h=.01,minValues:u,maxValues:l,initialValues:f}=r;if(a<=0)throw new Error("The damping option must be a positive number");if(!t.x||!t.y)throw new Error("The data parameter must have x and y elements");if(!o(t.x)||t.x.length<2||!o(t.y)||t.y.length<2)throw new Error("The data parameter elements must be an array with more than 2 points");if(t.x.length!==t.y.length)throw new Error("The data parameter elements must have the same size");let c=f||new Array(e.length).fill(1),m=c.length;if(l=l||new Array(m).fill(Number.MAX_SAFE_INTEGER),u=u||new Array(m).fill(Number.MIN_SAFE_INTEGER),l.length!==u.length)throw new Error("minValues and maxValues must be the same size");if(!o(c))throw new Error("initialValues must be an array");let p,g=i(t,c,e),w=g<=h;for(p=0;p<n&&!w;p++){c=q(t,c,a,s,e);for(let t=0;t<m;t++)c[t]=Math.min(Math.max(u[t],c[t]),l[t]);if(g=i(t,c,e),isNaN(g))break;w=g<=h}return{parameterValues:c,parameterError:g,iterations:p}}r.d(e,"default",(function(){return L}))}])}));
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * File picker and drag-and-drop upload of CSV files and XES event logs.
+ *
+ * The upload panel only collects files and reports progress; parsing and
+ * rendering are left to the `onFile` callback so that uploaded files go
+ * through the same loading pipeline as every other data source.
+ */
+
+import { OUTCOME_RULE_PRESETS } from './eventLog.js';
+
+const CSV_TYPES = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+/**
+ * Wires the file input and drop target to a load callback
+ * @param {Object} options - Upload options
+ * @param {string} options.input - Selector of the `<input type="file">`
+ * @param {string} options.eventLogToggle - Selector of the checkbox marking CSV files as event logs
+ * @param {string} options.outcomeRules - Selector of the select choosing how event logs
+ *   label their outcomes, among OUTCOME_RULE_PRESETS
+ * @param {string} options.status - Selector of the element that shows messages
+ * @param {Array<string>} options.dropTargets - Selectors of elements accepting dropped files
+ * @param {Function} options.onFile - Async callback receiving the File and `{ eventLog, outcomeRules }`;
+ *   resolves to the loaded rows, or undefined if they were not shown
+ */
+export function initFileUpload({ input, eventLogToggle, outcomeRules, status, dropTargets, onFile }) {
+    const statusEl = d3.select(status);
+    const rulesSelect = d3.select(outcomeRules);
+
+    rulesSelect.selectAll('option')
+        .data(Object.entries(OUTCOME_RULE_PRESETS))
+        .join('option')
+        .attr('value', ([key]) => key)
+        .text(([, preset]) => preset.label);
+
+    /**
+     * Validates and loads a single file, reporting the outcome in the panel
+     * @param {File} file - The picked or dropped file
+     */
+    async function handleFile(file) {
+        if (!file) return;
+
+        if (!isSupportedFile(file)) {
+            showStatus(statusEl, `"${file.name}" is not a CSV or XES file.`, 'danger');
+            return;
+        }
+
+        showStatus(statusEl, `Loading "${file.name}"...`, 'secondary');
+        try {
+            const data = await onFile(file, {
+                eventLog: d3.select(eventLogToggle).property('checked'),
+                outcomeRules: rulesSelect.property('value')
+            });
+            if (data) {
+                showStatus(statusEl, `Loaded ${data.length.toLocaleString()} rows from "${file.name}".`, 'success');
+            } else {
+                // Cancelled in the column mapping dialog, or replaced by another dataset
+                showStatus(statusEl, `"${file.name}" was not loaded.`, 'secondary');
+            }
+        } catch (error) {
+            console.error('Upload failed:', error);
+            showStatus(statusEl, error.message, 'danger');
+        }
+    }
+
+    d3.select(input).on('change', function () {
+        handleFile(this.files[0]);
+        this.value = ''; // Allow picking the same file again
+    });
+
+    dropTargets.forEach(target => {
+        const el = d3.select(target);
+        // Count nested enter/leave events so the highlight does not flicker over children
+        let depth = 0;
+
+        el
+            .on('dragenter', event => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                depth++;
+                el.classed('drop-active', true);
+            })
+            .on('dragover', event => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'copy';
+            })
+            .on('dragleave', () => {
+                depth = Math.max(0, depth - 1);
+                if (depth === 0) el.classed('drop-active', false);
+            })
+            .on('drop', event => {
+                if (!hasFiles(event)) return;
+                event.preventDefault();
+                depth = 0;
+                el.classed('drop-active', false);
+
+                const files = event.dataTransfer.files;
+                if (files.length > 1) {
+                    showStatus(statusEl, 'Please drop a single file.', 'warning');
+                    return;
+                }
+                handleFile(files[0]);
+            });
+    });
+}
+
+/**
+ * Displays a message in the upload panel
+ * @param {d3.Selection} statusEl - Status element
+ * @param {string} message - Text to show
+ * @param {string} level - Bootstrap contextual color (success, danger, ...)
+ */
+function showStatus(statusEl, message, level) {
+    statusEl
+        .attr('class', `upload-status small mt-2 text-${level}`)
+        .text(message);
+}
+
+/**
+ * Checks whether a drag event carries files (as opposed to text or links)
+ * @param {DragEvent} event - Drag event
+ * @returns {boolean} True if files are being dragged
+ */
+function hasFiles(event) {
+    return Array.from(event.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * Checks whether a file looks like CSV or XES by extension or MIME type
+ * @param {File} file - File to check
+ * @returns {boolean} True if the file can be loaded
+ */
+function isSupportedFile(file) {
+    return /\.(csv|xes)$/i.test(file.name) || CSV_TYPES.includes(file.type);
+}
@@ -0,0 +1,39 @@
+/**
+ * View geometry of the scatter plot: which part of the data is on screen, and
+ * how to keep it there when the plot changes size.
+ *
+ * `x0` and `y0` are the scales from data to plot coordinates before the zoom,
+ * and the zoom transform maps plot coordinates to the screen.
+ */
+
+/**
+ * Finds the data position shown at the center of the plot
+ * @param {d3.ZoomTransform} transform - Current zoom transform
+ * @param {d3.ScaleLinear} x0 - Scale from data to plot coordinates along x
+ * @param {d3.ScaleLinear} y0 - Scale from data to plot coordinates along y
+ * @param {number} width - Plot width in pixels
+ * @param {number} height - Plot height in pixels
+ * @returns {Array<number>} [x, y] in data space
+ */
+export function viewCenter(transform, x0, y0, width, height) {
+    const [cx, cy] = transform.invert([width / 2, height / 2]);
+    return [x0.invert(cx), y0.invert(cy)];
+}
+
+/**
+ * Builds the zoom transform that shows a data position at the center of the
+ * plot, keeping the zoom level. After a resize, `x0` and `y0` already span
+ * the new size.
+ * @param {Array<number>} anchor - [x, y] in data space, e.g. from viewCenter
+ * @param {number} k - Zoom level
+ * @param {d3.ScaleLinear} x0 - Scale from data to plot coordinates along x
+ * @param {d3.ScaleLinear} y0 - Scale from data to plot coordinates along y
+ * @param {number} width - Plot width in pixels
+ * @param {number} height - Plot height in pixels
+ * @returns {d3.ZoomTransform} Transform centered on the anchor
+ */
+export function recenterTransform([ax, ay], k, x0, y0, width, height) {
+    return d3.zoomIdentity
+        .translate(width / 2 - k * x0(ax), height / 2 - k * y0(ay))
+        .scale(k);
+}
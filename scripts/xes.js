@@ -0,0 +1,88 @@
+/**
+ * Parser for IEEE XES event logs.
+ *
+ * Produces the case structure used by eventLog.js:
+ * `{ id, attributes, events: [{ activity, timestamp, attributes }] }`.
+ * Nested attributes (lists and containers) are ignored.
+ */
+
+const ACTIVITY_KEY = 'concept:name';
+const TIMESTAMP_KEY = 'time:timestamp';
+
+/**
+ * Converts an XES attribute element to a JavaScript value
+ * @param {Element} el - Attribute element (string, date, int, float, boolean or id)
+ * @returns {*} Typed value, or undefined for unsupported attribute types
+ */
+function attributeValue(el) {
+    const value = el.getAttribute('value');
+
+    switch (el.tagName) {
+        case 'string':
+        case 'id':
+            return value;
+        case 'int':
+        case 'float':
+            return +value;
+        case 'boolean':
+            return value === 'true';
+        case 'date': {
+            const date = new Date(value);
+            return isNaN(date) ? null : date;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Reads the direct attribute children of a trace or event element
+ * @param {Element} el - Trace or event element
+ * @returns {Object} Attributes keyed by XES key
+ */
+function readAttributes(el) {
+    const attributes = {};
+    for (const child of el.children) {
+        const key = child.getAttribute('key');
+        if (!key) continue;
+        const value = attributeValue(child);
+        if (value !== undefined) attributes[key] = value;
+    }
+    return attributes;
+}
+
+/**
+ * Parses an XES document into cases
+ * @param {string} text - XES (XML) content
+ * @returns {Array<Object>} Cases with their events in log order
+ */
+export function parseXes(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    const error = doc.querySelector('parsererror');
+    if (error) {
+        throw new Error(`Invalid XES file: ${error.textContent.split('\n')[0]}`);
+    }
+    if (!doc.documentElement || doc.documentElement.tagName !== 'log') {
+        throw new Error('Invalid XES file: missing <log> element');
+    }
+
+    const traces = doc.getElementsByTagName('trace');
+    return Array.from(traces, (trace, i) => {
+        const attributes = readAttributes(trace);
+        const events = Array.from(trace.getElementsByTagName('event'), event => {
+            const eventAttributes = readAttributes(event);
+            return {
+                activity: eventAttributes[ACTIVITY_KEY],
+                timestamp: eventAttributes[TIMESTAMP_KEY] || null,
+                attributes: eventAttributes
+            };
+        });
+
+        return {
+            id: attributes[ACTIVITY_KEY] !== undefined ? String(attributes[ACTIVITY_KEY]) : String(i + 1),
+            attributes,
+            events
+        };
+    });
+}
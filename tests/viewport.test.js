@@ -0,0 +1,77 @@
+/**
+ * Tests of the view geometry kept across resizes (scripts/viewport.js).
+ *
+ * Run from the repository root: node --test tests/
+ */
+
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+
+const require = createRequire(import.meta.url);
+globalThis.d3 = require('../scripts/d3.v7.js');
+const { recenterTransform, viewCenter } = await import('../scripts/viewport.js');
+
+/**
+ * Builds the plot scales for a plot size, as drawScatterPlotWebGL does
+ * @param {number} width - Plot width in pixels
+ * @param {number} height - Plot height in pixels
+ * @returns {Array<d3.ScaleLinear>} [x0, y0]
+ */
+function scales(width, height) {
+    return [
+        d3.scaleLinear([-10, 10], [0, width]),
+        d3.scaleLinear([0, 100], [height, 0])
+    ];
+}
+
+/**
+ * Compares two positions up to rounding
+ * @param {Array<number>} actual - [x, y]
+ * @param {Array<number>} expected - [x, y]
+ */
+function assertClose(actual, expected) {
+    actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) < 1e-9, `${actual} differs from ${expected}`));
+}
+
+describe('viewCenter', () => {
+    it('finds the middle of the domains without zoom', () => {
+        const [x0, y0] = scales(400, 300);
+        assertClose(viewCenter(d3.zoomIdentity, x0, y0, 400, 300), [0, 50]);
+    });
+
+    it('follows the pan and zoom of the transform', () => {
+        const [x0, y0] = scales(400, 300);
+        // Zoomed in 2x on the data position (5, 75)
+        const transform = d3.zoomIdentity.translate(200 - 2 * x0(5), 150 - 2 * y0(75)).scale(2);
+        assertClose(viewCenter(transform, x0, y0, 400, 300), [5, 75]);
+    });
+});
+
+describe('recenterTransform', () => {
+    it('keeps the data at the center and the zoom level across a resize', () => {
+        const [x0, y0] = scales(400, 300);
+        const before = d3.zoomIdentity.translate(-120, 40).scale(3);
+        const anchor = viewCenter(before, x0, y0, 400, 300);
+
+        x0.range([0, 900]);
+        y0.range([500, 0]);
+        const after = recenterTransform(anchor, before.k, x0, y0, 900, 500);
+
+        assert.equal(after.k, 3);
+        assertClose(viewCenter(after, x0, y0, 900, 500), anchor);
+    });
+
+    it('is the identity for the middle of the domains without zoom', () => {
+        const [x0, y0] = scales(640, 480);
+        const transform = recenterTransform([0, 50], 1, x0, y0, 640, 480);
+        assertClose([transform.x, transform.y, transform.k], [0, 0, 1]);
+    });
+
+    it('shows points off the domains when the view was panned past them', () => {
+        const [x0, y0] = scales(400, 300);
+        const transform = recenterTransform([40, -200], 0.5, x0, y0, 200, 100);
+        const center = transform.apply([x0(40), y0(-200)]);
+        assertClose(center, [100, 50]);
+    });
+});